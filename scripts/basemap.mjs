@@ -0,0 +1,50 @@
+// ==================== BASEMAP BUILDER ====================
+// Writes public/data/oregon.topo.json, the bundled basemap for the Geographic
+// View: Oregon's state and county outlines from us-atlas (Census cartographic
+// boundary files, 1:10m), plus ZIP Code Tabulation Area polygons when a ZCTA
+// GeoJSON file is given:
+//
+//   npm run basemap                              # state and counties only
+//   npm run basemap -- path/to/oregon-zcta.geojson
+//
+// The ZCTA file should hold Oregon's ZCTAs in WGS84, e.g. the Census
+// cb_2020_us_zcta520_500k shapefile converted to GeoJSON and simplified
+// (mapshaper -simplify 10%). Only the ZCTAs of ZIPs in the dataset's ZIP-level
+// data are kept, which keeps the basemap small; rebuild when new ZIPs appear.
+
+import fs from 'fs';
+import { createRequire } from 'module';
+import { feature } from 'topojson-client';
+import { topology } from 'topojson-server';
+
+const require = createRequire(import.meta.url);
+const OUTPUT = new URL('../public/data/oregon.topo.json', import.meta.url);
+const DATASET = new URL('../public/data/ebmr.json', import.meta.url);
+const OREGON_FIPS = '41';
+
+const us = require('us-atlas/counties-10m.json');
+const collection = (features) => ({ type: 'FeatureCollection', features });
+
+const state = feature(us, us.objects.states).features.filter(f => f.id === OREGON_FIPS);
+const counties = feature(us, us.objects.counties).features
+  .filter(f => f.id.startsWith(OREGON_FIPS))
+  .map(f => ({ ...f, properties: { name: f.properties.name } }));
+
+const objects = { state: collection(state), counties: collection(counties) };
+
+const zctaPath = process.argv[2];
+if (zctaPath) {
+  const zcta = JSON.parse(fs.readFileSync(zctaPath, 'utf8'));
+  const dataset = JSON.parse(fs.readFileSync(DATASET, 'utf8'));
+  const zips = new Set(Object.values(dataset.zip.utilities).flat().map(row => row.zip));
+  // Census files name the ZCTA column after the vintage (ZCTA5CE20, ZCTA5CE10)
+  const zipOf = (p) => p.ZCTA5CE20 || p.ZCTA5CE10 || p.GEOID20 || p.GEOID10 || p.zip;
+  objects.zcta = collection(zcta.features
+    .map(f => ({ type: 'Feature', id: String(zipOf(f.properties || {}) || ''), properties: {}, geometry: f.geometry }))
+    .filter(f => zips.has(f.id)));
+  const missing = [...zips].filter(zip => !objects.zcta.features.some(f => f.id === zip));
+  console.log(`${objects.zcta.features.length} of ${zips.size} dataset ZIPs have a ZCTA${missing.length ? `; drawn as points: ${missing.join(', ')}` : ''}`);
+}
+
+fs.writeFileSync(OUTPUT, JSON.stringify(topology(objects, 1e5)));
+console.log(`Wrote ${OUTPUT.pathname} (${counties.length} counties${zctaPath ? ', ZCTAs' : ''})`);
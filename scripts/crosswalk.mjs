@@ -0,0 +1,86 @@
+// ==================== CROSSWALK BUILDER ====================
+// Writes public/data/zip-crosswalk.csv, which splits each ZIP in the dataset's
+// ZIP-level data across counties and Oregon House and Senate districts, from
+// files downloaded by hand:
+//
+//   npm run crosswalk -- --county ZIP_COUNTY_122024.xlsx --house geocorr-sldl.csv --senate geocorr-sldu.csv
+//
+//   --county  HUD USPS ZIP Code crosswalk, ZIP-COUNTY (columns ZIP, COUNTY,
+//             RES_RATIO), from huduser.gov/portal/datasets/usps_crosswalk.html
+//   --house   Geocorr ZCTA to state house district export (zcta, sldl*, afact),
+//             from mcdc.missouri.edu/applications/geocorr2022.html, weighted
+//             by housing units
+//   --senate  The same for state senate districts (zcta, sldu*, afact)
+//
+// Any of the three may be left out; Senate districts are derived from House
+// districts by the dashboard when only those are given. Shares are the
+// residential ratio (HUD) or allocation factor (Geocorr).
+
+import fs from 'fs';
+import { createRequire } from 'module';
+import * as XLSX from 'xlsx';
+
+const require = createRequire(import.meta.url);
+const OUTPUT = new URL('../public/data/zip-crosswalk.csv', import.meta.url);
+const DATASET = new URL('../public/data/ebmr.json', import.meta.url);
+const OREGON_FIPS = '41';
+
+const args = Object.fromEntries(process.argv.slice(2).reduce((pairs, arg, i, all) => (
+  arg.startsWith('--') ? [...pairs, [arg.slice(2), all[i + 1]]] : pairs
+), []));
+const sources = {
+  county: { area: /^county$/i, share: /^res_ratio$/i },
+  house: { area: /^sldl/i, share: /^afact$/i },
+  senate: { area: /^sldu/i, share: /^afact$/i }
+};
+if (!Object.keys(sources).some(type => args[type])) {
+  console.error('Give at least one of --county, --house or --senate (see the top of scripts/crosswalk.mjs)');
+  process.exit(1);
+}
+
+const dataset = JSON.parse(fs.readFileSync(DATASET, 'utf8'));
+const zips = new Set(Object.values(dataset.zip.utilities).flat().map(row => row.zip));
+
+// County names by 5-digit FIPS code, as on the basemap
+const us = require('us-atlas/counties-10m.json');
+const countyNames = Object.fromEntries(us.objects.counties.geometries
+  .filter(g => g.id.startsWith(OREGON_FIPS))
+  .map(g => [g.id, g.properties.name]));
+
+// Rows of the first sheet (or the CSV) as objects keyed by the header row.
+// Geocorr repeats the header as labels on a second row; it has no ZIP and drops out.
+const readRows = (path) => {
+  const workbook = XLSX.read(fs.readFileSync(path), { raw: true });
+  return XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { raw: false, defval: '' });
+};
+
+const lines = ['zip,type,area,share'];
+Object.entries(sources).forEach(([type, pattern]) => {
+  if (!args[type]) return;
+  const rows = readRows(args[type]);
+  const columns = Object.keys(rows[0] || {});
+  const column = (re) => columns.find(c => re.test(c));
+  const zipColumn = column(/^(zip|zcta)/i);
+  const areaColumn = column(pattern.area);
+  const shareColumn = column(pattern.share);
+  if (!zipColumn || !areaColumn || !shareColumn) {
+    console.error(`${args[type]}: needs ZIP/ZCTA, ${pattern.area.source.replace(/[\^$]/g, '')} and ${pattern.share.source.replace(/[\^$]/g, '')} columns; found ${columns.join(', ')}`);
+    process.exit(1);
+  }
+  let written = 0;
+  rows.forEach(row => {
+    const zip = String(row[zipColumn]).padStart(5, '0');
+    const share = Number(row[shareColumn]);
+    if (!zips.has(zip) || !(share > 0)) return;
+    const code = String(row[areaColumn]).trim();
+    const area = type === 'county' ? countyNames[code.padStart(5, '0')]
+      : Number(code) > 0 ? `${type === 'house' ? 'HD' : 'SD'} ${Number(code)}` : null;
+    if (!area) return;
+    lines.push(`${zip},${type},${area},${share}`);
+    written += 1;
+  });
+  console.log(`${type}: ${written} rows from ${args[type]}`);
+});
+
+fs.writeFileSync(OUTPUT, `${lines.join('\n')}\n`);
+console.log(`Wrote ${OUTPUT.pathname} for ${zips.size} dataset ZIPs`);
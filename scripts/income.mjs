@@ -0,0 +1,67 @@
+// ==================== INCOME TABLE BUILDER ====================
+// Writes public/data/income.csv, the median household incomes behind the
+// Energy Burden map, from the Census Bureau's American Community Survey 5-year
+// estimates (table B19013): one row per Oregon county, and one per ZIP Code
+// Tabulation Area in the dataset's ZIP-level data.
+//
+//   npm run income                # ACS 2019-2023 5-year estimates
+//   npm run income -- 2022        # another 5-year vintage
+//
+// Needs network access to api.census.gov. Set CENSUS_API_KEY to use a key;
+// without one the API allows a small number of requests per day. ZIPs whose
+// estimate is suppressed are written with a blank income and the county that
+// holds their map point, so the county median stands in for them.
+
+import fs from 'fs';
+import { feature } from 'topojson-client';
+import { countyAt } from '../src/basemap.js';
+
+const OUTPUT = new URL('../public/data/income.csv', import.meta.url);
+const DATASET = new URL('../public/data/ebmr.json', import.meta.url);
+const BASEMAP = new URL('../public/data/oregon.topo.json', import.meta.url);
+const OREGON_FIPS = '41';
+const VARIABLE = 'B19013_001E';
+
+const vintage = process.argv[2] || '2023';
+const key = process.env.CENSUS_API_KEY ? `&key=${process.env.CENSUS_API_KEY}` : '';
+
+// Rows of the API's JSON table as objects keyed by its header row
+const query = async (params) => {
+  const url = `https://api.census.gov/data/${vintage}/acs/acs5?get=NAME,${VARIABLE}&${params}${key}`;
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+  const [head, ...rows] = await response.json();
+  return rows.map(row => Object.fromEntries(head.map((h, i) => [h, row[i]])));
+};
+
+// Suppressed or unavailable estimates come back as large negative sentinels
+const income = (value) => (Number(value) > 0 ? Number(value) : null);
+
+const dataset = JSON.parse(fs.readFileSync(DATASET, 'utf8'));
+const basemap = JSON.parse(fs.readFileSync(BASEMAP, 'utf8'));
+const counties = feature(basemap, basemap.objects.counties).features;
+
+// County holding a ZIP's map point, chosen as in the dashboard's rollups
+const countyOf = ({ lng, lat }) => countyAt(counties, lng, lat).properties.name;
+
+const zips = {};
+Object.values(dataset.zip.utilities).flat().forEach(row => { zips[row.zip] = zips[row.zip] || countyOf(row); });
+
+const countyRows = await query(`for=county:*&in=state:${OREGON_FIPS}`);
+// ZCTAs do not nest within states, so they are requested by code
+const zipRows = await query(`for=zip%20code%20tabulation%20area:${Object.keys(zips).sort().join(',')}`);
+const zipIncome = Object.fromEntries(zipRows.map(r => [r['zip code tabulation area'], income(r[VARIABLE])]));
+
+const lines = [
+  'zip,county,median_household_income',
+  ...countyRows
+    .map(r => ({ name: r.NAME.replace(/ County, Oregon$/, ''), value: income(r[VARIABLE]) }))
+    .filter(c => c.value !== null)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(c => `,${c.name},${c.value}`),
+  ...Object.keys(zips).sort().map(zip => `${zip},${zips[zip]},${zipIncome[zip] ?? ''}`)
+];
+fs.writeFileSync(OUTPUT, `${lines.join('\n')}\n`);
+
+const withIncome = Object.keys(zips).filter(zip => zipIncome[zip] !== null && zipIncome[zip] !== undefined).length;
+console.log(`Wrote ${OUTPUT.pathname}: ${countyRows.length} counties, ${Object.keys(zips).length} ZIPs (${withIncome} with their own estimate), ACS ${vintage} 5-year`);
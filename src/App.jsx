@@ -1,6 +1,23 @@
-import React, { useState, useMemo } from 'react';
-import { AreaChart, Area, BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell } from 'recharts';
+import React, { useState, useMemo, useEffect } from 'react';
+import { AreaChart, Area, BarChart, Bar, LineChart, Line, ComposedChart, Sankey, FunnelChart, Funnel, LabelList, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell, ReferenceLine } from 'recharts';
 import * as XLSX from 'xlsx';
+import { loadDataset, loadLegacyTable, loadIncomeText, loadCrosswalkText, loadBasemap, formatMonthLong, formatMonthYear, serializeDataset, monthOrdinal, monthFromOrdinal, zipMonthKeys, optionalMetrics, reportingUtilities } from './data.js';
+import { deriveMetrics, derivePooledMetrics, weightedAverage, reconcileLegacy, isNum, ratio, total } from './metrics.js';
+import { parseEbmrWorkbook, diffFiling, applyFiling, missingMetrics, toMonthLabel } from './importer.js';
+import { runQualityChecks, qualityRules, cellKey } from './quality.js';
+import { useUrlState } from './urlState.js';
+import { agingBases, agingFlow, rollRates } from './aging.js';
+import { funnelLags, funnelStages } from './funnel.js';
+import { rollupLevels, crosswalkColumns, parseCrosswalk, rollupZips, zipAllocation } from './crosswalk.js';
+import { oregonProjection, basemapLayers, geoPath } from './basemap.js';
+import { MIN_ZIP_ACCOUNTS, zipTotals, zipHistory, regionsContaining, zipRank } from './zipProfile.js';
+import { hotspotMetrics, hotspotBands, autoBand, getisOrdGiStar } from './hotspots.js';
+import { serviceAreas, combinedBill, arrearsExposure } from './territory.js';
+import { burdenTypes, HIGH_BURDEN_PERCENT, incomeColumns, parseIncomeTable, annualBill, zipBurdens } from './burden.js';
+import { forecastSeries, forecastMethods, forecastHorizons, INTERVAL_LEVEL } from './forecast.js';
+import { reportNarrative } from './report.js';
+import { insightKinds, tabInsightRules, tabInsights } from './insights.js';
+import { computeTrend, trendPeriods, trendComparison, decomposeSeries, trendModes, trendWindows, trendThresholds, defaultTrendSettings } from './trends.js';
 
 // ==================== METRIC DEFINITIONS ====================
 // Official definitions from Oregon Administrative Rules (OAR 860-021-0408)
@@ -178,6 +195,11 @@ const definitions = {
     definition: "Instances where utility service to a residential account enrolled in a bill discount program was terminated due to the customer's failure to pay their utility bill.",
     source: "Derived from OAR 860-021-0408(1)(r)"
   },
+  nonParticipants: {
+    title: "Non-Participants",
+    definition: "Residential customers not enrolled in a bill discount program, calculated as all residential accounts less bill discount participants. Their arrears, arrears balance and disconnections are the utility totals less those reported for participants.",
+    source: "Derived from OAR 860-021-0408(1)(a), (1)(c), (1)(r), (1)(s)"
+  },
   
   // High-usage customer metrics
   highUsageCustomer: {
@@ -201,6 +223,11 @@ const definitions = {
     title: "Energy Assistance Recipient",
     definition: "A residential customer who has received bill payment assistance with an energy bill from any federal, state, customer-funded bill payment assistance fund or program at least once within the past 12 months.",
     source: "OAR 860-021-0408(1)(l)"
+  },
+  energyAssistanceDollars: {
+    title: "Energy Assistance Dollars",
+    definition: "The dollar amount of bill payment assistance (for example LIHEAP, OEAP or customer-funded programs) applied to residential customers' energy bills during the month, as reported by the utility.",
+    source: "Utility-reported; not a defined OAR 860-021-0408 metric"
   }
 };
 
@@ -278,349 +305,32 @@ const ChartTitle = ({ children, defKey, style = {} }) => (
   </h3>
 );
 
-// ==================== VERIFIED DATA ====================
-// Source: Oregon PUC Docket RO 16 Energy Burden Metrics Reports
-// Period: January 2024 - September 2025 (21 months)
-
-const months = [
-  'Jan 24', 'Feb 24', 'Mar 24', 'Apr 24', 'May 24', 'Jun 24',
-  'Jul 24', 'Aug 24', 'Sep 24', 'Oct 24', 'Nov 24', 'Dec 24',
-  'Jan 25', 'Feb 25', 'Mar 25', 'Apr 25', 'May 25', 'Jun 25',
-  'Jul 25', 'Aug 25', 'Sep 25'
-];
-
-const utilities = [
-  { id: 'pge', name: 'Portland General Electric', short: 'PGE', type: 'Electric', color: '#1E3A5F' },
-  { id: 'pac', name: 'Pacific Power', short: 'PacifiCorp', type: 'Electric', color: '#DC2626' },
-  { id: 'ipco', name: 'Idaho Power', short: 'IPCO', type: 'Electric', color: '#059669' },
-  { id: 'nwn', name: 'NW Natural', short: 'NWN', type: 'Gas', color: '#7C3AED' },
-  { id: 'cng', name: 'Cascade Natural Gas', short: 'Cascade', type: 'Gas', color: '#EA580C' },
-  { id: 'avista', name: 'Avista Utilities', short: 'Avista', type: 'Gas', color: '#0891B2' }
-];
-
-// Verified Disconnection Data (from spreadsheet)
-const disconnections = {
-  pge: [761, 2216, 2403, 4521, 4044, 3269, 3087, 3300, 3428, 4180, 2541, 336, 365, 1376, 2610, 4600, 4753, 3138, 3871, 2088, 4081],
-  pac: [3245, 2600, 2463, 3129, 2255, 2534, 1938, 2094, 2017, 2979, 1509, 850, 366, 478, 1295, 1554, 3916, 3190, 2627, 1874, 2833],
-  ipco: [43, 69, 86, 55, 52, 46, 10, 57, 43, 71, 18, 12, 45, 36, 37, 72, 39, 58, 51, 47, 47],
-  nwn: [590, 938, 633, 906, 1209, 869, 1058, 997, 56, 872, 646, 400, 462, 899, 1527, 1803, 999, 1426, 1594, 1023, 826],
-  cng: [1, 3, 29, 62, 81, 47, 80, 98, 99, 33, 10, 5, 0, 0, 12, 92, 126, 54, 46, 26, 30],
-  avista: [140, 135, 105, 187, 138, 140, 156, 100, 45, 79, 49, 72, 68, 107, 111, 114, 98, 63, 71, 47, 83]
-};
-
-// Active Residential Accounts (from spreadsheet)
-const accounts = {
-  pge: [822345, 824585, 825786, 826711, 828581, 829774, 830947, 832291, 831582, 833100, 834785, 835058, 835265, 837706, 838355, 839466, 839880, 840422, 840707, 841383, 841869],
-  pac: [520138, 519816, 520585, 521119, 521566, 522229, 522499, 523443, 523236, 523493, 523212, 523152, 523938, 524477, 525758, 526185, 526977, 527535, 527778, 528166, 528315],
-  ipco: [14641, 14603, 14639, 14649, 14704, 14656, 14681, 14684, 14698, 14711, 14683, 14716, 14700, 14686, 14695, 14690, 14742, 14764, 14765, 14808, 14812],
-  nwn: [642904, 642992, 643112, 643915, 644027, 644368, 643678, 643683, 643502, 645109, 645848, 647425, 648145, 648230, 648494, 649069, 649069, 649110, 648638, 648421, 648036],
-  cng: [73546, 73585, 73747, 73836, 73911, 73855, 73990, 73916, 73938, 74237, 74451, 74691, 74787, 74897, 75031, 75155, 75122, 75112, 75141, 75129, 75260],
-  avista: [96285, 95323, 95334, 96344, 94870, 94982, 95090, 95019, 95055, 95226, 95547, 95669, 95727, 94361, 94525, 94450, 94325, 94206, 93140, 93110, 93103]
-};
-
-// Disconnection Percentage (pre-calculated from spreadsheet)
-const discPct = {
-  pge: [0.093, 0.269, 0.291, 0.547, 0.488, 0.394, 0.372, 0.396, 0.412, 0.502, 0.304, 0.04, 0.044, 0.164, 0.311, 0.548, 0.566, 0.373, 0.46, 0.248, 0.485],
-  pac: [0.624, 0.5, 0.473, 0.6, 0.432, 0.485, 0.371, 0.4, 0.385, 0.569, 0.288, 0.162, 0.07, 0.091, 0.246, 0.295, 0.743, 0.605, 0.498, 0.355, 0.536],
-  ipco: [0.294, 0.473, 0.587, 0.375, 0.354, 0.314, 0.068, 0.388, 0.293, 0.483, 0.123, 0.082, 0.306, 0.245, 0.252, 0.49, 0.265, 0.393, 0.345, 0.317, 0.317],
-  nwn: [0.092, 0.146, 0.098, 0.141, 0.188, 0.135, 0.164, 0.155, 0.009, 0.135, 0.1, 0.062, 0.071, 0.139, 0.235, 0.278, 0.154, 0.22, 0.246, 0.158, 0.127],
-  cng: [0.001, 0.004, 0.039, 0.084, 0.11, 0.064, 0.108, 0.133, 0.134, 0.044, 0.013, 0.007, 0.0, 0.0, 0.016, 0.122, 0.168, 0.072, 0.061, 0.035, 0.04],
-  avista: [0.145, 0.142, 0.11, 0.194, 0.145, 0.147, 0.164, 0.105, 0.047, 0.083, 0.051, 0.075, 0.071, 0.113, 0.117, 0.121, 0.104, 0.067, 0.076, 0.05, 0.089]
-};
-
-// Verified Arrears Data (from Excel files) - 18 months Jan 2024 - Jun 2025
-const arrearsCustomers = {
-  pge: [130053, 124362, 116177, 112594, 115343, 123049, 118552, 118736, 130600, 121071, 137380, 134869, 122501, 136015, 146602, 121530, 121299, 123340, 125609, 126029, 129642],
-  pac: [105060, 114450, 113114, 113223, 114612, 114928, 109937, 106709, 113639, 103542, 103223, 99730, 108808, 108967, 113349, 115198, 119297, 109187, 109233, 110018, 108453],
-  ipco: [3899, 2907, 2931, 3381, 2756, 2884, 2787, 2802, 2620, 2535, 2397, 3870, 2104, 2145, 2125, 2113, 2029, 2050, 1922, 1994, 1944],
-  nwn: [45351, 50964, 49647, 51203, 50216, 54138, 52718, 54789, 57007, 55356, 57337, 51517, 48660, 54496, 50248, 50388, 55870, 51119, 53545, 57725, 55982],
-  cng: [4825, 5465, 5570, 5446, 5612, 5687, 5739, 5355, 5976, 5252, 5085, 5580, 5318, 4996, 5727, 5453, 5563, 5455, 5317, 5543, 5779],
-  avista: [9204, 8901, 9631, 9593, 9676, 10156, 9594, 10231, 10240, 9429, 9868, 9461, 9249, 8769, 9790, 9789, 10418, 10405, 10152, 10802, 9996]
-};
-
-const arrearsBalance = {
-  pge: [17959201, 20327246, 18368566, 16757185, 15486669, 15188481, 14052669, 15413638, 17062019, 14719328, 17215936, 17822143, 19974865, 24743042, 28317962, 19892692, 17766195, 16187278, 15788242, 16724173, 17596343],
-  pac: [35822060, 39830544, 39270400, 38995673, 38386688, 36367616, 32375403, 29613778, 30361323, 26091335, 24583206, 24352312, 29350814, 32405543, 37020070, 38455283, 37311730, 31770839, 30297203, 29846409, 28529091],
-  ipco: [1249486, 1091698, 1093710, 1117246, 907108, 847407, 765004, 748525, 693490, 590563, 562913, 987155, 680993, 794683, 876919, 840663, 708343, 601597, 538700, 539545, 518853],
-  nwn: [6471439, 7682322, 7318112, 6908961, 6194965, 5917161, 4898960, 4255535, 4154894, 4048138, 4295215, 5436400, 7132970, 8110503, 7549449, 6824380, 7030485, 5219814, 4450767, 4204896, 3791976],
-  cng: [615537, 864716, 929819, 903333, 835282, 734965, 613611, 465664, 369920, 300057, 321797, 504792, 626779, 685195, 869440, 782137, 678650, 546828, 412773, 332785, 285775],
-  avista: [1322783, 1427726, 1539465, 1514320, 1428331, 1340671, 1116538, 1028268, 945870, 838843, 862020, 1001221, 1282028, 1325945, 1599574, 1505898, 1476147, 1340025, 1130967, 1005687, 851085]
-};
-
-// Arrears Balance by Bucket (31-60 days, 61-90 days, 91+ days)
-const arrearsBalance31_60 = {
-  pge: [11988178, 14271168, 12889541, 11638882, 10843329, 10499943, 9176388, 11144875, 12475940, 9899837, 11092043, 11054210, 13804318, 16251667, 17721826, 11727030, 11480713, 10160076, 10078212, 11236346, 12060399],
-  pac: [12952199, 17444225, 15672548, 15211526, 14052856, 12308716, 10999482, 11658848, 13664446, 9645581, 9568842, 10545160, 15641569, 17020698, 18792691, 17068489, 15715704, 11089503, 12003227, 11720519, 12787607],
-  ipco: [529849, 281959, 283713, 322592, 168689, 165800, 159550, 193624, 173593, 117795, 118573, 476885, 299953, 347088, 358269, 314591, 256963, 207116, 84168, 107768, 114652],
-  nwn: [4275152, 5421186, 4453641, 4089330, 3204468, 2716237, 1771080, 1370970, 1298419, 1378168, 2037101, 3136505, 4924090, 5706013, 4978082, 4299177, 3721189, 1994400, 1833141, 1555281, 1319720],
-  cng: [401849, 621139, 594702, 476018, 382115, 298697, 174019, 125052, 131394, 110196, 146990, 309044, 403045, 437951, 548612, 376062, 307241, 184604, 129932, 113062, 103516],
-  avista: [338911, 382127, 407557, 368139, 275849, 191781, 102452, 105505, 95841, 91206, 92281, 105447, 139714, 140912, 176831, 160412, 146834, 110217, 111349, 103730, 83710]
-};
-
-const arrearsBalance61_90 = {
-  pge: [3467620, 3586460, 3306791, 3022518, 2622942, 2782089, 2674248, 2360668, 2766000, 2840767, 3013430, 3657192, 3280178, 4716132, 5679103, 4264896, 2993076, 3008977, 2792245, 2643244, 2692489],
-  pac: [4579592, 6164916, 8262188, 8207479, 8155967, 7664109, 6086494, 5067663, 5448035, 6526735, 5600247, 4431317, 4842347, 6674482, 8441392, 10081774, 9368008, 8096878, 5965334, 5409144, 5419016],
-  ipco: [115495, 206925, 164565, 157655, 143805, 84426, 85194, 82494, 119581, 109938, 64135, 115471, 102251, 137992, 171011, 162645, 136167, 125233, 60089, 73298, 83589],
-  nwn: [1052858, 1181040, 1703159, 1380643, 1512652, 1376398, 1149156, 929279, 801140, 688914, 685053, 946581, 1100364, 1361286, 1505821, 1297977, 1751054, 1476520, 813701, 964134, 796478],
-  cng: [108902, 138575, 205252, 238933, 209839, 171001, 160946, 94550, 61895, 56584, 57593, 86761, 105008, 121184, 186070, 228712, 171502, 157566, 86929, 67178, 54892],
-  avista: [227094, 298425, 332286, 334635, 299511, 248856, 147647, 96832, 91660, 79349, 79789, 96373, 114689, 131498, 165041, 163247, 163166, 139591, 127304, 113466, 81182]
-};
-
-const arrearsBalance91Plus = {
-  pge: [2503403, 2469618, 2172234, 2095786, 2020397, 1906450, 2202032, 1908095, 1820078, 1978723, 3110463, 3110741, 2890369, 3775244, 4917034, 3900766, 3292405, 3018225, 2917785, 2844583, 2843455],
-  pac: [18290269, 16221403, 15335664, 15576668, 16177865, 16394791, 15289427, 12887267, 11248842, 9919019, 9414117, 9375835, 8866898, 8710363, 9785987, 11305020, 12228018, 12584458, 11877848, 13167539, 10322469],
-  ipco: [604142, 602814, 645432, 636999, 594614, 597181, 520260, 472407, 400316, 362830, 380205, 394799, 278789, 309603, 347639, 363427, 315213, 269248, 394443, 358479, 320612],
-  nwn: [1143429, 1080096, 1161312, 1438988, 1477845, 1824526, 1978724, 1955286, 2055335, 1981056, 1573061, 1353314, 1108516, 1043204, 1065546, 1227226, 1558242, 1748894, 1803925, 1685482, 1675778],
-  cng: [104786, 105002, 129865, 188382, 243328, 265267, 278646, 246062, 176631, 133277, 117214, 108987, 118726, 126060, 134758, 177363, 199907, 204658, 195912, 152545, 127367],
-  avista: [756778, 747174, 799622, 811546, 852971, 900034, 866439, 825931, 758369, 668288, 689950, 799401, 1027625, 1053535, 1257702, 1182239, 1166147, 1090217, 892314, 788490, 686193]
-};
-
-// Customers in Arrears by Bucket
-const arrearsCustomers31_60 = {
-  pge: [81587, 81351, 80640, 78624, 81546, 84920, 78250, 81363, 91174, 79546, 90787, 82863, 80235, 88820, 93645, 77675, 82844, 82641, 83355, 83489, 87462],
-  pac: [48686, 58248, 50656, 48571, 47364, 45775, 45094, 47398, 54332, 40120, 43228, 43886, 56260, 54062, 52802, 48851, 50086, 41255, 46772, 47224, 50512],
-  ipco: [2681, 1513, 1558, 2097, 1303, 1532, 1500, 1574, 1472, 1284, 1293, 2798, 1278, 1319, 1200, 1187, 1087, 1076, 918, 1014, 1023],
-  nwn: [21899, 32226, 24227, 29823, 23035, 27713, 24514, 24149, 23697, 22312, 25518, 22145, 25557, 33556, 24018, 29269, 29751, 22658, 25875, 25060, 22018],
-  cng: [2701, 3504, 3303, 2875, 2945, 2768, 2466, 2360, 3073, 2345, 2490, 2794, 2918, 2867, 3354, 2764, 2779, 2468, 2441, 2577, 2727],
-  avista: [4043, 4069, 4733, 4617, 4331, 4188, 3366, 4062, 3887, 3330, 4236, 3972, 4543, 4381, 5282, 4763, 4862, 4295, 3940, 4366, 3680]
-};
-
-const arrearsCustomers61_90 = {
-  pge: [34470, 30528, 26399, 25781, 25727, 29354, 30026, 27528, 29754, 31061, 32494, 37488, 28599, 32340, 36963, 31369, 27735, 29632, 30348, 29941, 29393],
-  pac: [20765, 25966, 33814, 32624, 31900, 31185, 26292, 23726, 27091, 32814, 28728, 22969, 22461, 27648, 31393, 34356, 33362, 30699, 27982, 22653, 26607],
-  ipco: [377, 675, 549, 514, 697, 432, 443, 391, 516, 662, 386, 408, 318, 386, 450, 446, 438, 469, 366, 374, 400],
-  nwn: [9790, 7710, 15634, 9304, 15916, 10838, 12342, 12396, 11491, 9889, 10177, 10492, 8808, 9210, 15805, 9138, 13289, 13958, 10218, 13714, 12024],
-  cng: [907, 984, 1221, 1340, 1203, 1231, 1383, 1073, 1074, 1216, 872, 1205, 862, 904, 1160, 1367, 1235, 1310, 1063, 1123, 1098],
-  avista: [1765, 1836, 1979, 2052, 2163, 2306, 2051, 1705, 1855, 1658, 1444, 1672, 1475, 1695, 1925, 2365, 2387, 2348, 1887, 2099, 1880]
-};
-
-const arrearsCustomers91Plus = {
-  pge: [13996, 12483, 9138, 8189, 8070, 8775, 10276, 9845, 9672, 10464, 14099, 14518, 13667, 14855, 15994, 12486, 10720, 11067, 11906, 12599, 12787],
-  pac: [35609, 30236, 28644, 32028, 35348, 37968, 38551, 35585, 32216, 30608, 31267, 32875, 30087, 27257, 29154, 31991, 35849, 37233, 35264, 39356, 31334],
-  ipco: [841, 719, 824, 770, 756, 920, 844, 837, 632, 589, 718, 664, 508, 440, 475, 480, 504, 505, 638, 606, 521],
-  nwn: [13662, 11028, 9786, 12076, 11265, 15587, 15862, 18244, 21819, 23155, 21642, 18880, 14295, 11730, 10425, 11981, 12830, 14503, 17452, 18951, 21940],
-  cng: [1217, 977, 1046, 1231, 1464, 1688, 1890, 1922, 1829, 1691, 1723, 1581, 1538, 1225, 1213, 1322, 1549, 1677, 1813, 1843, 1954],
-  avista: [3396, 2996, 2919, 2924, 3182, 3662, 4177, 4464, 4498, 4441, 4188, 3817, 3231, 2693, 2583, 2661, 3169, 3762, 4325, 4337, 4436]
-};
-
-// Bill Discount Data (verified from EBMR reports)
-const billDiscountParticipants = {
-  avista: [7864, 8307, 8454, 9694, 9910, 8803, 10139, 10123, 9034, 10444, 9397, 11009, 10912, 10287, 11365, 11401, 11343, 11268, 11145, 10996, 10855],
-  pge: [63969, 67475, 77393, 82662, 84925, 85445, 85446, 85781, 85796, 85982, 84412, 87592, 89009, 91879, 95225, 97757, 99074, 99769, 100371, 99848, 101371],
-  pac: [43831, 45761, 47412, 48698, 50349, 48877, 51379, 53740, 51420, 59601, 54802, 61842, 64169, 64734, 68895, 70482, 71505, 72194, 68294, 71194, 66673],
-  ipco: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 3, 222, 726, 897, 1113, 1246, 1314, 1378, 1408, 1429, 1451],
-  nwn: [35217, 37323, 38842, 39862, 40491, 40636, 40710, 41040, 41272, 43418, 42839, 43298, 44446, 45084, 45634, 46254, 39548, 46396, 46268, 46007, 46107],
-  cng: [3547, 3781, 3975, 4063, 4077, 4073, 4082, 4072, 4035, 3845, 3925, 4067, 4236, 4421, 4524, 4617, 4640, 4637, 4615, 4620, 4641]
-};
-
-const billDiscountDollars = {
-  avista: [253457, 231510, 238938, 215194, 170248, 79881, 82739, 67597, 67862, 110457, 180462, 349087, 362621, 387060, 335362, 250393, 150281, 107002, 83328, 75505, 79227],
-  pge: [3176059, 3542327, 4306227, 3192056, 2990368, 2840207, 3235956, 3422523, 3147988, 2899255, 3279126, 4874681, 5234060, 5753932, 4849047, 4152831, 3522412, 3824460, 4672513, 4773612, 5068408],
-  pac: [2000601, 1873009, 1915684, 1697019, 1583586, 1376286, 1676023, 1923305, 1526292, 1801344, 1842180, 2967619, 3404053, 3890344, 3436326, 3066211, 2492352, 2582302, 3002118, 2917650, 2834532],
-  ipco: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 237, 22460, 75710, 105810, 112476, 89704, 72382, 79626, 103671, 97433, 99829],
-  nwn: [1142902, 894213, 968551, 684249, 539225, 362570, 246153, 219365, 236905, 332625, 1145501, 2353805, 2638850, 2377700, 2083557, 1584665, 864803, 754111, 573975, 492952, 507902],
-  cng: [189262, 184189, 178434, 144836, 114678, 68236, 46462, 40571, 42964, 64370, 126173, 204770, 248102, 267887, 223408, 167231, 106119, 74674, 54676, 47743, 50493]
-};
-
-// Verified Average Residential Usage (from utility reports - simple average across zip codes)
-// Electric utilities: kWh, Gas utilities: therms
-const avgUsage = {
-  pge: [1290, 992, 891, 814, 608, 553, 663, 834, 613, 641, 681, 1072, 1185, 1089, 964, 797, 548, 669, 636, 701, 525],
-  pac: [1436, 1188, 1134, 971, 846, 737, 875, 931, 759, 826, 913, 1317, 1419, 1362, 1100, 944, 726, 733, 864, 806, 813],
-  ipco: [1454, 1453, 1248, 924, 798, 756, 1006, 1161, 850, 688, 901, 1307, 1406, 1567, 1312, 935, 726, 792, 991, 1016, 943],
-  nwn: [99, 84, 77, 51, 39, 24, 15, 12, 14, 20, 46, 90, 95, 105, 71, 50, 30, 20, 14, 11, 12],
-  cng: [116, 91, 80, 58, 41, 24, 14, 11, 12, 22, 50, 91, 106, 108, 77, 54, 32, 21, 17, 14, 15],
-  avista: [80, 69, 68, 49, 34, 18, 11, 10, 11, 16, 44, 82, 86, 91, 68, 47, 28, 17, 11, 9, 10]
-};
+// Sankey node for the arrears aging flow: a colored bar with its label and
+// value on the outer side
+const agingNodeColor = (name) => (name.startsWith('Cured') ? '#059669' : name.startsWith('Newly') ? '#94A3B8'
+  : name.startsWith('31-60') ? '#FBBF24' : name.startsWith('61-90') ? '#F97316' : '#DC2626');
 
-// Verified Average Residential Bill ($) - simple average across zip codes
-const avgBill = {
-  pge: [219, 182, 163, 152, 113, 103, 123, 158, 116, 124, 128, 197, 226, 212, 190, 158, 108, 133, 126, 139, 102],
-  pac: [196, 174, 166, 146, 131, 116, 136, 144, 119, 130, 139, 194, 215, 213, 175, 155, 124, 125, 146, 137, 138],
-  ipco: [174, 173, 148, 110, 96, 88, 109, 125, 92, 77, 115, 164, 172, 190, 157, 112, 89, 96, 120, 117, 112],
-  nwn: [140, 105, 110, 75, 60, 40, 28, 24, 26, 34, 70, 133, 146, 131, 113, 85, 54, 39, 31, 28, 28],
-  cng: [144, 115, 101, 75, 55, 35, 23, 20, 21, 32, 61, 97, 113, 116, 85, 62, 40, 28, 25, 21, 23],
-  avista: [104, 94, 93, 72, 55, 37, 30, 28, 30, 35, 62, 97, 104, 112, 87, 65, 46, 35, 29, 27, 28]
-};
-
-// Verified Reconnections (0-1 day + 2-7 day combined) - from Energy Burden Metrics Reports
-const reconnections = {
-  pge: [534, 2018, 2174, 3956, 3694, 2820, 2665, 2917, 2978, 3766, 2300, 300, 330, 1200, 2300, 4000, 4200, 2800, 3473, 1885, 3655],
-  pac: [1919, 1813, 1789, 2307, 1612, 2243, 1258, 1629, 1493, 2352, 1200, 680, 290, 380, 1030, 1240, 3130, 2550, 2075, 1492, 2218],
-  nwn: [369, 582, 372, 488, 585, 432, 462, 430, 28, 508, 400, 250, 290, 560, 950, 1120, 620, 890, 746, 530, 509],
-  avista: [72, 76, 60, 95, 55, 61, 73, 39, 15, 46, 30, 45, 43, 67, 70, 72, 62, 40, 67, 47, 75],
-  cng: [0, 0, 17, 17, 24, 16, 12, 27, 43, 12, 6, 3, 0, 0, 8, 58, 80, 34, 19, 9, 11],
-  ipco: [38, 60, 75, 47, 39, 39, 6, 48, 37, 58, 14, 9, 36, 29, 30, 58, 31, 46, 45, 39, 42]
-};
-
-// Verified Disconnection Notices Sent - from utility EBMR reports
-const disconnectionNotices = {
-  pge: [40233, 33922, 40506, 43338, 37842, 37792, 40494, 37632, 37260, 42442, 36518, 36900, 41307, 31219, 38109, 51095, 39609, 39714, 39534, 39472, 44712],
-  pac: [41576, 41745, 40444, 42094, 41296, 38815, 40800, 41376, 38818, 42768, 35955, 39757, 28987, 27240, 27738, 41299, 42224, 39706, 42556, 43062, 44265],
-  nwn: [39527, 43400, 30976, 34731, 23029, 17476, 14241, 5651, 5686, 9477, 7974, 20286, 37611, 38313, 37424, 31324, 25207, 13130, 12181, 7664, 7139],
-  avista: [1796, 1862, 1747, 1805, 1750, 962, 921, 787, 511, 1006, 709, 1373, 2251, 2106, 2482, 2055, 1639, 1235, 999, 884, 664],
-  cng: [2368, 1688, 1294, 1816, 1256, 1336, 1294, 1250, 1142, 950, 664, 1886, 1772, 1226, 1868, 1274, 1384, 1470, 570, 353, 506],
-  ipco: [254, 236, 366, 270, 298, 316, 308, 286, 300, 296, 212, 270, 290, 186, 170, 370, 284, 260, 230, 258, 268]
-};
-
-// Bill Discount Recipient Service Disconnections (Jan 2024 - Sep 2025)
-// Source: Oregon PUC EBMR Reports - Table 3 Line 5 (4h)
-const billDiscountDisconnections = {
-  pge: [266, 833, 908, 1653, 1534, 1257, 1236, 1318, 1292, 1483, 857, 95, 0, 0, 0, 1182, 2054, 1440, 1752, 1001, 1822],
-  pac: [264, 265, 268, 288, 263, 265, 249, 245, 262, 262, 225, 153, 219, 222, 330, 364, 420, 393, 995, 708, 1016],
-  nwn: [217, 342, 238, 362, 494, 322, 425, 408, 25, 380, 281, 169, 176, 371, 620, 756, 397, 559, 614, 436, 327],
-  avista: [10, 20, 15, 30, 23, 16, 24, 17, 7, 18, 11, 14, 10, 20, 15, 30, 23, 16, 26, 16, 17],
-  cng: [0, 0, 5, 16, 28, 13, 29, 41, 39, 13, 3, 1, 0, 0, 1, 29, 47, 12, 6, 1, 1],
-  ipco: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 2, 2, 0, 1, 0, 0, 0]
-};
-
-// Bill Discount Program Participants with Arrears (Jan 2024 - Sep 2025)
-// Source: Oregon PUC EBMR Reports - Table 5 Line 36
-const billDiscountParticipantsWithArrears = {
-  pge: [19897, 19584, 20376, 21440, 22766, 23571, 22211, 22799, 24328, 22225, 23534, 24566, 22906, 27639, 29613, 24800, 25542, 26290, 26621, 26934, 28618],
-  pac: [17121, 18286, 18978, 19485, 20391, 19590, 19988, 19968, 18894, 21162, 18854, 21652, 25262, 25880, 29210, 30020, 30366, 28742, 27702, 26124, 24694],
-  nwn: [7876, 8433, 8863, 8806, 9082, 9249, 8982, 8974, 9018, 9660, 9486, 9522, 9963, 10466, 10190, 10457, 8994, 9835, 10063, 10304, 9939],
-  avista: [2104, 1997, 2138, 2206, 2291, 2403, 2313, 2441, 2347, 2284, 2368, 2396, 2256, 2156, 2321, 2395, 2491, 2468, 2412, 2470, 2325],
-  cng: [1086, 1225, 1305, 1318, 1297, 1311, 1305, 1200, 1217, 1068, 1096, 1266, 1298, 1315, 1459, 1461, 1513, 1501, 1482, 1544, 1538],
-  ipco: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 40, 155, 160, 200, 196, 185, 145, 167, 213, 176]
-};
-
-// Total Arrears Balance of Bill Discount Program Participants ($) (Jan 2024 - Sep 2025)
-// Source: Oregon PUC EBMR Reports - Table 5 Line 40
-const billDiscountArrearsBalance = {
-  pge: [4603436, 5113248, 5002562, 4859883, 4735633, 4608240, 4180147, 4527181, 4865456, 4319081, 4577098, 5147138, 6355177, 8805133, 10798381, 7159478, 6149375, 5609489, 5544757, 5651480, 5996987],
-  pac: [6174184, 6864329, 6888561, 6865046, 6925754, 6234795, 6260166, 4453337, 7508310, 5954119, 4043122, 6488703, 12864886, 7186437, 9777375, 13380562, 12124426, 10160273, 9006348, 8101107, 7226526],
-  nwn: [1159594, 1423639, 1422473, 1371444, 1264057, 1156163, 972232, 805965, 779150, 812085, 812827, 946566, 1269451, 1522773, 1453346, 1361748, 1083522, 984641, 835117, 728684, 625098],
-  avista: [322756, 320597, 346872, 351114, 343196, 335300, 292457, 274757, 244555, 226529, 233702, 267591, 306702, 313524, 352735, 349356, 339311, 313713, 272479, 264402, 217868],
-  cng: [135555, 176387, 211047, 205024, 196359, 183739, 164354, 122385, 80843, 61168, 62427, 90290, 122234, 142358, 180184, 174885, 153100, 138101, 103949, 79858, 67393],
-  ipco: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 126, 21443, 89914, 114469, 148681, 113954, 82772, 53740, 67647, 67994, 52578]
+const AgingFlowNode = ({ x, y, width, height, payload, format }) => {
+  const left = payload.depth === 0;
+  return (
+    <g>
+      <rect x={x} y={y} width={width} height={height} fill={agingNodeColor(payload.name)} />
+      <text
+        x={left ? x + width + 6 : x - 6}
+        y={y + height / 2}
+        textAnchor={left ? 'start' : 'end'}
+        dominantBaseline="middle"
+        fontSize={11}
+        fill="#374151"
+      >
+        {payload.name}: {format(payload.value)}
+      </text>
+    </g>
+  );
 };
 
-// ==================== GEOGRAPHIC VIEW DATA (Q2 2025) ====================
-// ZIP-level data for geographic visualization
-const geoZipData = {
-  pge: [
-    {zip:"97003",lat:45.527,lng:-122.887,apr:{active:11334,arrears:1862,disc:69},may:{active:11323,arrears:1821,disc:84},jun:{active:11325,arrears:1941,disc:68}},
-    {zip:"97005",lat:45.492,lng:-122.791,apr:{active:12929,arrears:2349,disc:110},may:{active:12918,arrears:2642,disc:116},jun:{active:12921,arrears:2626,disc:69}},
-    {zip:"97006",lat:45.532,lng:-122.849,apr:{active:19823,arrears:3084,disc:96},may:{active:20014,arrears:2912,disc:145},jun:{active:20011,arrears:2963,disc:76}},
-    {zip:"97007",lat:45.47,lng:-122.846,apr:{active:19861,arrears:1923,disc:62},may:{active:19886,arrears:1955,disc:56},jun:{active:19906,arrears:1993,disc:50}},
-    {zip:"97008",lat:45.457,lng:-122.789,apr:{active:11967,arrears:1850,disc:73},may:{active:11968,arrears:1813,disc:86},jun:{active:11966,arrears:1860,disc:50}},
-    {zip:"97015",lat:45.403,lng:-122.549,apr:{active:9307,arrears:1538,disc:61},may:{active:9307,arrears:1563,disc:82},jun:{active:9302,arrears:1611,disc:43}},
-    {zip:"97030",lat:45.506,lng:-122.437,apr:{active:15700,arrears:3428,disc:168},may:{active:15696,arrears:3363,disc:166},jun:{active:15701,arrears:3522,disc:123}},
-    {zip:"97045",lat:45.358,lng:-122.579,apr:{active:22990,arrears:2950,disc:108},may:{active:22985,arrears:3071,disc:113},jun:{active:22992,arrears:2679,disc:88}},
-    {zip:"97080",lat:45.496,lng:-122.427,apr:{active:17047,arrears:2484,disc:79},may:{active:17074,arrears:2579,disc:107},jun:{active:17099,arrears:2585,disc:75}},
-    {zip:"97086",lat:45.448,lng:-122.52,apr:{active:13969,arrears:2142,disc:90},may:{active:13965,arrears:2054,disc:87},jun:{active:13998,arrears:2133,disc:70}},
-    {zip:"97123",lat:45.462,lng:-122.975,apr:{active:19636,arrears:2101,disc:110},may:{active:19682,arrears:1922,disc:115},jun:{active:19704,arrears:2082,disc:68}},
-    {zip:"97124",lat:45.535,lng:-122.957,apr:{active:21879,arrears:2520,disc:114},may:{active:21876,arrears:2492,disc:119},jun:{active:21879,arrears:2592,disc:70}},
-    {zip:"97202",lat:45.483,lng:-122.641,apr:{active:20912,arrears:3038,disc:74},may:{active:20914,arrears:2891,disc:93},jun:{active:20916,arrears:2955,disc:58}},
-    {zip:"97206",lat:45.474,lng:-122.6,apr:{active:22587,arrears:3284,disc:79},may:{active:22577,arrears:3280,disc:99},jun:{active:22584,arrears:3422,disc:59}},
-    {zip:"97209",lat:45.535,lng:-122.685,apr:{active:16511,arrears:3774,disc:117},may:{active:16514,arrears:3758,disc:89},jun:{active:16501,arrears:3869,disc:54}},
-    {zip:"97222",lat:45.442,lng:-122.62,apr:{active:16093,arrears:2890,disc:107},may:{active:16102,arrears:2831,disc:100},jun:{active:16117,arrears:2381,disc:57}},
-    {zip:"97223",lat:45.441,lng:-122.782,apr:{active:21762,arrears:3201,disc:108},may:{active:21753,arrears:3203,disc:123},jun:{active:21743,arrears:3322,disc:97}},
-    {zip:"97229",lat:45.558,lng:-122.819,apr:{active:28913,arrears:2634,disc:102},may:{active:28932,arrears:2627,disc:85},jun:{active:28952,arrears:2311,disc:60}},
-    {zip:"97230",lat:45.56,lng:-122.5,apr:{active:15846,arrears:2821,disc:165},may:{active:15862,arrears:2613,disc:136},jun:{active:15844,arrears:2785,disc:78}},
-    {zip:"97233",lat:45.517,lng:-122.5,apr:{active:15703,arrears:4343,disc:229},may:{active:15697,arrears:4228,disc:233},jun:{active:15684,arrears:4428,disc:164}},
-    {zip:"97236",lat:45.482,lng:-122.51,apr:{active:14294,arrears:3208,disc:183},may:{active:14272,arrears:3061,disc:148},jun:{active:14289,arrears:3192,disc:116}},
-    {zip:"97266",lat:45.482,lng:-122.557,apr:{active:13597,arrears:2858,disc:96},may:{active:13602,arrears:2919,disc:102},jun:{active:13607,arrears:3045,disc:99}},
-    {zip:"97301",lat:44.932,lng:-122.999,apr:{active:20152,arrears:4868,disc:227},may:{active:20175,arrears:4753,disc:242},jun:{active:20315,arrears:4846,disc:158}},
-    {zip:"97302",lat:44.908,lng:-123.034,apr:{active:17894,arrears:2264,disc:114},may:{active:17888,arrears:2142,disc:109},jun:{active:17891,arrears:2225,disc:52}},
-    {zip:"97305",lat:44.978,lng:-122.948,apr:{active:16305,arrears:3903,disc:163},may:{active:16301,arrears:3685,disc:200},jun:{active:16308,arrears:3893,disc:119}}
-  ],
-  nwn: [
-    {zip:"97003",lat:45.527,lng:-122.887,apr:{active:7027,arrears:665,disc:29},may:{active:7032,arrears:709,disc:0},jun:{active:7039,arrears:689,disc:32}},
-    {zip:"97006",lat:45.532,lng:-122.849,apr:{active:9418,arrears:703,disc:26},may:{active:9385,arrears:722,disc:12},jun:{active:9424,arrears:713,disc:21}},
-    {zip:"97007",lat:45.47,lng:-122.846,apr:{active:14541,arrears:698,disc:25},may:{active:14539,arrears:767,disc:15},jun:{active:14554,arrears:758,disc:40}},
-    {zip:"97045",lat:45.358,lng:-122.579,apr:{active:11607,arrears:1074,disc:21},may:{active:11585,arrears:1092,disc:8},jun:{active:11593,arrears:1041,disc:41}},
-    {zip:"97080",lat:45.496,lng:-122.427,apr:{active:11607,arrears:1161,disc:43},may:{active:4411,arrears:1225,disc:0},jun:{active:11647,arrears:854,disc:33}},
-    {zip:"97086",lat:45.448,lng:-122.52,apr:{active:9643,arrears:859,disc:19},may:{active:9566,arrears:841,disc:18},jun:{active:9640,arrears:803,disc:16}},
-    {zip:"97123",lat:45.462,lng:-122.975,apr:{active:12736,arrears:623,disc:31},may:{active:12742,arrears:1360,disc:49},jun:{active:12763,arrears:932,disc:21}},
-    {zip:"97124",lat:45.535,lng:-122.957,apr:{active:10799,arrears:428,disc:41},may:{active:10802,arrears:658,disc:27},jun:{active:10812,arrears:645,disc:20}},
-    {zip:"97202",lat:45.483,lng:-122.641,apr:{active:11785,arrears:893,disc:31},may:{active:5220,arrears:989,disc:0},jun:{active:11774,arrears:730,disc:9}},
-    {zip:"97206",lat:45.474,lng:-122.6,apr:{active:14103,arrears:1339,disc:41},may:{active:2655,arrears:1459,disc:0},jun:{active:14042,arrears:941,disc:6}},
-    {zip:"97211",lat:45.576,lng:-122.638,apr:{active:10561,arrears:760,disc:49},may:{active:10560,arrears:971,disc:28},jun:{active:10544,arrears:850,disc:17}},
-    {zip:"97217",lat:45.591,lng:-122.693,apr:{active:10683,arrears:962,disc:33},may:{active:10674,arrears:1129,disc:31},jun:{active:10665,arrears:1020,disc:39}},
-    {zip:"97222",lat:45.442,lng:-122.62,apr:{active:8165,arrears:856,disc:28},may:{active:7762,arrears:871,disc:5},jun:{active:8133,arrears:838,disc:5}},
-    {zip:"97223",lat:45.441,lng:-122.782,apr:{active:13106,arrears:820,disc:22},may:{active:13085,arrears:849,disc:5},jun:{active:13124,arrears:809,disc:34}},
-    {zip:"97229",lat:45.558,lng:-122.819,apr:{active:21977,arrears:1250,disc:44},may:{active:21986,arrears:1292,disc:26},jun:{active:22031,arrears:1286,disc:31}},
-    {zip:"97230",lat:45.56,lng:-122.5,apr:{active:9478,arrears:1103,disc:30},may:{active:8478,arrears:1152,disc:2},jun:{active:9467,arrears:992,disc:25}},
-    {zip:"97301",lat:44.932,lng:-122.999,apr:{active:8990,arrears:997,disc:61},may:{active:8975,arrears:1102,disc:57},jun:{active:8983,arrears:1275,disc:24}},
-    {zip:"97302",lat:44.908,lng:-123.034,apr:{active:10458,arrears:680,disc:33},may:{active:10426,arrears:733,disc:2},jun:{active:10451,arrears:702,disc:28}},
-    {zip:"97305",lat:44.978,lng:-122.948,apr:{active:7063,arrears:665,disc:38},may:{active:7038,arrears:695,disc:24},jun:{active:7046,arrears:674,disc:46}}
-  ],
-  avista: [
-    {zip:"97470",lat:43.22,lng:-123.35,apr:{active:3328,arrears:527,disc:4},may:{active:3323,arrears:550,disc:3},jun:{active:3320,arrears:570,disc:2}},
-    {zip:"97471",lat:43.28,lng:-123.38,apr:{active:5195,arrears:430,disc:6},may:{active:5190,arrears:579,disc:5},jun:{active:5180,arrears:565,disc:3}},
-    {zip:"97502",lat:42.3,lng:-122.92,apr:{active:9199,arrears:1116,disc:11},may:{active:9162,arrears:1401,disc:10},jun:{active:9144,arrears:1357,disc:6}},
-    {zip:"97503",lat:42.38,lng:-122.83,apr:{active:6404,arrears:697,disc:8},may:{active:6406,arrears:717,disc:7},jun:{active:6401,arrears:689,disc:4}},
-    {zip:"97520",lat:42.2,lng:-122.7,apr:{active:13106,arrears:997,disc:16},may:{active:13097,arrears:1122,disc:14},jun:{active:13115,arrears:1141,disc:9}},
-    {zip:"97524",lat:42.45,lng:-122.85,apr:{active:7039,arrears:442,disc:8},may:{active:7050,arrears:468,disc:7},jun:{active:7057,arrears:486,disc:5}},
-    {zip:"97527",lat:42.42,lng:-123.33,apr:{active:6332,arrears:771,disc:8},may:{active:6328,arrears:804,disc:7},jun:{active:6313,arrears:796,disc:4}},
-    {zip:"97530",lat:42.12,lng:-122.9,apr:{active:5544,arrears:537,disc:7},may:{active:5535,arrears:539,disc:6},jun:{active:5515,arrears:534,disc:4}},
-    {zip:"97601",lat:42.22,lng:-121.75,apr:{active:6433,arrears:803,disc:8},may:{active:6407,arrears:783,disc:7},jun:{active:6362,arrears:857,disc:4}},
-    {zip:"97603",lat:42.18,lng:-121.72,apr:{active:8852,arrears:990,disc:11},may:{active:8816,arrears:1016,disc:9},jun:{active:8801,arrears:986,disc:6}},
-    {zip:"97850",lat:45.33,lng:-118.08,apr:{active:4853,arrears:314,disc:6},may:{active:4857,arrears:317,disc:5},jun:{active:4851,arrears:334,disc:3}}
-  ],
-  cng: [
-    {zip:"97701",lat:44.06,lng:-121.31,apr:{active:10842,arrears:576,disc:2},may:{active:10821,arrears:621,disc:14},jun:{active:10857,arrears:625,disc:1}},
-    {zip:"97702",lat:43.99,lng:-121.35,apr:{active:14441,arrears:801,disc:8},may:{active:14446,arrears:844,disc:18},jun:{active:14458,arrears:798,disc:3}},
-    {zip:"97703",lat:44.12,lng:-121.29,apr:{active:10056,arrears:459,disc:5},may:{active:10056,arrears:446,disc:3},jun:{active:10048,arrears:442,disc:2}},
-    {zip:"97707",lat:43.88,lng:-121.5,apr:{active:3976,arrears:82,disc:1},may:{active:3983,arrears:101,disc:0},jun:{active:3987,arrears:110,disc:1}},
-    {zip:"97741",lat:44.59,lng:-121.13,apr:{active:1598,arrears:171,disc:3},may:{active:1599,arrears:176,disc:6},jun:{active:1592,arrears:158,disc:0}},
-    {zip:"97754",lat:44.27,lng:-120.9,apr:{active:2989,arrears:356,disc:2},may:{active:3004,arrears:367,disc:3},jun:{active:2996,arrears:352,disc:7}},
-    {zip:"97756",lat:44.27,lng:-121.17,apr:{active:9870,arrears:524,disc:5},may:{active:9879,arrears:540,disc:11},jun:{active:9896,arrears:535,disc:2}},
-    {zip:"97801",lat:45.67,lng:-118.78,apr:{active:4896,arrears:524,disc:17},may:{active:4883,arrears:521,disc:23},jun:{active:4859,arrears:536,disc:9}},
-    {zip:"97814",lat:44.78,lng:-117.83,apr:{active:3511,arrears:341,disc:5},may:{active:3509,arrears:354,disc:6},jun:{active:3494,arrears:314,disc:6}},
-    {zip:"97838",lat:45.83,lng:-119.17,apr:{active:4271,arrears:477,disc:8},may:{active:4262,arrears:506,disc:12},jun:{active:4261,arrears:522,disc:4}},
-    {zip:"97914",lat:44.05,lng:-116.97,apr:{active:2778,arrears:334,disc:16},may:{active:2763,arrears:324,disc:11},jun:{active:2746,arrears:317,disc:11}}
-  ],
-  pac: [
-    {zip:"97756",lat:44.27,lng:-121.17,apr:{active:14291,arrears:2764,disc:31},may:{active:14300,arrears:2794,disc:82},jun:{active:14313,arrears:2690,disc:57}},
-    {zip:"97471",lat:43.28,lng:-123.38,apr:{active:10913,arrears:1963,disc:24},may:{active:10899,arrears:2645,disc:45},jun:{active:10900,arrears:1960,disc:74}},
-    {zip:"97211",lat:45.576,lng:-122.638,apr:{active:15281,arrears:2477,disc:34},may:{active:15342,arrears:2547,disc:80},jun:{active:15348,arrears:2348,disc:48}},
-    {zip:"97351",lat:44.87,lng:-123.02,apr:{active:4098,arrears:1008,disc:17},may:{active:4113,arrears:1122,disc:37},jun:{active:4102,arrears:1037,disc:22}},
-    {zip:"97701",lat:44.06,lng:-121.31,apr:{active:14440,arrears:2592,disc:21},may:{active:14497,arrears:2508,disc:61},jun:{active:14518,arrears:2446,disc:26}},
-    {zip:"97520",lat:42.2,lng:-122.7,apr:{active:2030,arrears:350,disc:2},may:{active:2032,arrears:346,disc:8},jun:{active:2040,arrears:330,disc:4}},
-    {zip:"97527",lat:42.42,lng:-123.33,apr:{active:16394,arrears:3526,disc:48},may:{active:16375,arrears:3445,disc:134},jun:{active:16399,arrears:3175,disc:68}},
-    {zip:"97530",lat:42.12,lng:-122.9,apr:{active:4056,arrears:706,disc:4},may:{active:4044,arrears:684,disc:31},jun:{active:4043,arrears:675,disc:10}},
-    {zip:"97525",lat:42.43,lng:-123.0,apr:{active:2542,arrears:631,disc:9},may:{active:2549,arrears:597,disc:17},jun:{active:2543,arrears:578,disc:14}},
-    {zip:"97212",lat:45.546,lng:-122.643,apr:{active:11954,arrears:1682,disc:17},may:{active:11978,arrears:1704,disc:56},jun:{active:11991,arrears:1619,disc:32}},
-    {zip:"97504",lat:42.35,lng:-122.85,apr:{active:21326,arrears:3898,disc:70},may:{active:21335,arrears:5239,disc:108},jun:{active:21359,arrears:3808,disc:213}},
-    {zip:"97470",lat:43.22,lng:-123.35,apr:{active:9661,arrears:2539,disc:30},may:{active:9652,arrears:2453,disc:124},jun:{active:9641,arrears:2369,disc:43}},
-    {zip:"97138",lat:46.0,lng:-123.92,apr:{active:7030,arrears:1254,disc:28},may:{active:7025,arrears:1252,disc:42},jun:{active:7032,arrears:1254,disc:23}},
-    {zip:"97601",lat:42.22,lng:-121.75,apr:{active:11714,arrears:2576,disc:67},may:{active:11703,arrears:2785,disc:69},jun:{active:11720,arrears:2538,disc:151}},
-    {zip:"97540",lat:42.12,lng:-122.82,apr:{active:3785,arrears:683,disc:8},may:{active:3818,arrears:672,disc:39},jun:{active:3800,arrears:659,disc:7}},
-    {zip:"97031",lat:45.68,lng:-121.52,apr:{active:6684,arrears:904,disc:12},may:{active:6687,arrears:927,disc:18},jun:{active:6675,arrears:854,disc:20}},
-    {zip:"97217",lat:45.591,lng:-122.693,apr:{active:5907,arrears:1068,disc:15},may:{active:5921,arrears:1107,disc:35},jun:{active:5965,arrears:1002,disc:41}},
-    {zip:"97338",lat:44.97,lng:-123.35,apr:{active:9557,arrears:1986,disc:11},may:{active:9574,arrears:1991,disc:40},jun:{active:9537,arrears:1827,disc:30}},
-    {zip:"97367",lat:44.88,lng:-124.02,apr:{active:7553,arrears:1296,disc:19},may:{active:7578,arrears:1291,disc:45},jun:{active:7566,arrears:1243,disc:23}},
-    {zip:"97524",lat:42.45,lng:-122.85,apr:{active:6983,arrears:1664,disc:31},may:{active:6999,arrears:1584,disc:82},jun:{active:7016,arrears:1504,disc:23}},
-    {zip:"97501",lat:42.33,lng:-122.87,apr:{active:19469,arrears:4844,disc:90},may:{active:19520,arrears:4640,disc:178},jun:{active:19540,arrears:4340,disc:201}},
-    {zip:"97703",lat:44.12,lng:-121.29,apr:{active:14183,arrears:1178,disc:11},may:{active:14206,arrears:1486,disc:24},jun:{active:14247,arrears:1186,disc:18}},
-    {zip:"97321",lat:44.65,lng:-123.07,apr:{active:12830,arrears:2183,disc:24},may:{active:12834,arrears:2274,disc:57},jun:{active:12879,arrears:1930,disc:75}},
-    {zip:"97333",lat:44.55,lng:-123.25,apr:{active:9981,arrears:1636,disc:23},may:{active:10042,arrears:1731,disc:61},jun:{active:10139,arrears:1630,disc:35}},
-    {zip:"97702",lat:43.99,lng:-121.35,apr:{active:20298,arrears:2867,disc:26},may:{active:20390,arrears:2853,disc:89},jun:{active:20424,arrears:2693,disc:70}},
-    {zip:"97330",lat:44.58,lng:-123.27,apr:{active:14260,arrears:1892,disc:23},may:{active:14290,arrears:2008,disc:35},jun:{active:14531,arrears:1811,disc:56}},
-    {zip:"97754",lat:44.27,lng:-120.9,apr:{active:7879,arrears:1724,disc:30},may:{active:7879,arrears:1793,disc:51},jun:{active:7878,arrears:1679,disc:55}},
-    {zip:"97526",lat:42.45,lng:-123.32,apr:{active:16814,arrears:3630,disc:40},may:{active:16806,arrears:3852,disc:62},jun:{active:16870,arrears:3286,disc:158}},
-    {zip:"97801",lat:45.67,lng:-118.78,apr:{active:8943,arrears:2282,disc:30},may:{active:8962,arrears:2184,disc:93},jun:{active:8956,arrears:2094,disc:48}},
-    {zip:"97503",lat:42.38,lng:-122.83,apr:{active:4668,arrears:1469,disc:15},may:{active:4689,arrears:1404,disc:68},jun:{active:4686,arrears:1299,disc:29}},
-    {zip:"97322",lat:44.63,lng:-123.1,apr:{active:14414,arrears:3771,disc:35},may:{active:14445,arrears:3675,disc:129},jun:{active:14433,arrears:3389,disc:58}},
-    {zip:"97502",lat:42.3,lng:-122.92,apr:{active:12616,arrears:2597,disc:31},may:{active:12609,arrears:2456,disc:81},jun:{active:12626,arrears:2326,disc:99}},
-    {zip:"97603",lat:42.18,lng:-121.72,apr:{active:14095,arrears:3479,disc:67},may:{active:14100,arrears:3426,disc:122},jun:{active:14087,arrears:3297,disc:110}},
-    {zip:"97103",lat:46.18,lng:-123.83,apr:{active:8590,arrears:1417,disc:11},may:{active:8609,arrears:1611,disc:33},jun:{active:8619,arrears:1461,disc:41}},
-    {zip:"97213",lat:45.538,lng:-122.6,apr:{active:11324,arrears:1462,disc:13},may:{active:11400,arrears:1759,disc:42},jun:{active:11384,arrears:1542,disc:25}}
-  ],
-  ipco: [
-    {zip:"97834",lat:44.98,lng:-117.17,apr:{active:661,arrears:34,disc:0},may:{active:660,arrears:48,disc:0},jun:{active:661,arrears:36,disc:0}},
-    {zip:"97870",lat:44.77,lng:-117.18,apr:{active:434,arrears:23,disc:0},may:{active:436,arrears:32,disc:0},jun:{active:437,arrears:31,disc:1}},
-    {zip:"97901",lat:43.88,lng:-117.03,apr:{active:377,arrears:36,disc:0},may:{active:379,arrears:36,disc:1},jun:{active:377,arrears:40,disc:1}},
-    {zip:"97907",lat:44.15,lng:-117.42,apr:{active:378,arrears:43,disc:1},may:{active:382,arrears:51,disc:0},jun:{active:383,arrears:42,disc:2}},
-    {zip:"97910",lat:43.12,lng:-117.02,apr:{active:368,arrears:30,disc:1},may:{active:382,arrears:34,disc:1},jun:{active:382,arrears:27,disc:0}},
-    {zip:"97913",lat:44.02,lng:-116.97,apr:{active:2274,arrears:388,disc:10},may:{active:2294,arrears:366,disc:6},jun:{active:2289,arrears:356,disc:7}},
-    {zip:"97914",lat:44.05,lng:-116.97,apr:{active:7106,arrears:1223,disc:41},may:{active:7117,arrears:1171,disc:22},jun:{active:7132,arrears:1110,disc:35}},
-    {zip:"97918",lat:43.97,lng:-117.25,apr:{active:1993,arrears:270,disc:18},may:{active:1996,arrears:238,disc:9},jun:{active:2003,arrears:241,disc:10}}
-  ]
-};
+// ==================== GEOGRAPHIC VIEW CONFIG ====================
+// ZIP-level values come from the `zip` section of the EBMR dataset
 
 const geoRegions = {
   statewide: { name: '🗺️ Entire State', latMin: 41.95, latMax: 46.30, lngMin: -124.60, lngMax: -116.45 },
@@ -646,10 +356,19 @@ const geoMetricConfig = {
   arrears_rate: { label: 'Arrears Rate (%)', format: v => v.toFixed(1) + '%' },
   disc_rate: { label: 'Disconnection Rate (%)', format: v => v.toFixed(2) + '%' },
   arrears_count: { label: 'Accounts in Arrears', format: v => v.toLocaleString() },
-  disconnections: { label: 'Disconnections', format: v => v.toLocaleString() }
+  disconnections: { label: 'Disconnections', format: v => v.toLocaleString() },
+  energy_burden: { label: 'Energy Burden (%)', format: v => v.toFixed(1) + '%' }
+};
+
+// Hotspot ring colors by cluster type and confidence level
+const hotspotColors = {
+  hot: { 99: '#991b1b', 95: '#dc2626', 90: '#f87171' },
+  cold: { 99: '#1e3a8a', 95: '#2563eb', 90: '#60a5fa' }
 };
 
-const geoMonthLabels = { apr: 'April 2025', may: 'May 2025', jun: 'June 2025' };
+// Tag colors for the kinds of finding in the insight callouts (insights.js)
+const insightColors = { mover: '#1E40AF', record: '#7C3AED', peer: '#B45309', seasonal: '#047857' };
+
 const geoUtilityColors = { 'pge': '#16a34a', 'nwn': '#2563eb', 'avista': '#ea580c', 'cng': '#9333ea', 'pac': '#dc2626', 'ipco': '#0891b2' };
 const geoUtilityNames = { 'pge': 'PGE', 'nwn': 'NW Natural', 'avista': 'Avista', 'cng': 'Cascade', 'pac': 'Pacific Power', 'ipco': 'Idaho Power' };
 
@@ -666,29 +385,218 @@ const formatNumber = (val) => {
   return val?.toLocaleString() || '0';
 };
 
-const getTrend = (data, periods = 3) => {
-  if (!data || data.length < periods + 1) return { direction: 'flat', change: 0 };
-  const recent = data.slice(-periods).reduce((a, b) => a + b, 0) / periods;
-  const prior = data.slice(-(periods * 2), -periods).reduce((a, b) => a + b, 0) / periods;
-  const change = ((recent - prior) / prior) * 100;
-  return {
-    direction: change > 2 ? 'up' : change < -2 ? 'down' : 'flat',
-    change: change.toFixed(1)
-  };
-};
-
 // ==================== MAIN COMPONENT ====================
+// Fetches the EBMR dataset once, then hands it to the dashboard
 export default function OregonEnergyDashboard() {
-  const [activeTab, setActiveTab] = useState('overview');
-  const [selectedUtility, setSelectedUtility] = useState('all');
-  
+  const [dataset, setDataset] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    loadDataset().then(setDataset).catch(setLoadError);
+  }, []);
+
+  if (loadError) {
+    return (
+      <div style={{ minHeight: '100vh', background: '#F3F4F6', fontFamily: 'system-ui, -apple-system, sans-serif', padding: '48px 32px' }}>
+        <div style={{ maxWidth: '720px', margin: '0 auto', background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', borderLeft: '4px solid #DC2626' }}>
+          <h2 style={{ margin: '0 0 12px', fontSize: '18px', color: '#991B1B' }}>Unable to load dashboard data</h2>
+          <pre style={{ margin: 0, fontSize: '13px', color: '#374151', whiteSpace: 'pre-wrap' }}>{loadError.message}</pre>
+        </div>
+      </div>
+    );
+  }
+
+  if (!dataset) {
+    return (
+      <div style={{ minHeight: '100vh', background: '#F3F4F6', fontFamily: 'system-ui, -apple-system, sans-serif', padding: '48px 32px', textAlign: 'center', color: '#6B7280', fontSize: '14px' }}>
+        Loading Energy Burden Metrics Reports…
+      </div>
+    );
+  }
+
+  return <Dashboard dataset={dataset} onDatasetChange={setDataset} />;
+}
+
+function Dashboard({ dataset, onDatasetChange }) {
+  const { months, utilities } = dataset;
+  const {
+    accounts, disconnections, reconnections, disconnectionNotices,
+    arrearsCustomers, arrearsBalance, arrearsBalance31_60, arrearsBalance61_90, arrearsBalance91Plus,
+    arrearsCustomers31_60, arrearsCustomers61_90, arrearsCustomers91Plus,
+    billDiscountParticipants, billDiscountDollars, billDiscountDisconnections,
+    billDiscountParticipantsWithArrears, billDiscountArrearsBalance, avgBill, avgUsage
+  } = dataset.metrics;
+  // Rates are always derived from the reported counts (see metrics.js)
+  const derived = useMemo(() => deriveMetrics(dataset), [dataset]);
+  const {
+    discPct, reconnectionRate, averageArrears, arrearsRate, billDiscountArrearsRate,
+    billDiscountAverageArrears, billDiscountDisconnectionRate, billDiscountDisconnectionShare
+  } = derived;
+  const geoZipData = dataset.zip.utilities;
+  const geoMonthKeys = zipMonthKeys(dataset.zip);
+  const geoMonthLabels = Object.fromEntries(geoMonthKeys.map(k => [k, formatMonthLong(dataset.zip.months[k])]));
+  // Electric/gas service areas from the latest ZIP month (see territory.js)
+  const latestZipMonth = geoMonthKeys[geoMonthKeys.length - 1];
+  const latestZipMonthIndex = months.indexOf(dataset.zip.months[latestZipMonth]);
+  const serviceAreaList = useMemo(
+    () => serviceAreas(geoZipData, Object.fromEntries(utilities.map(u => [u.id, u.type])), latestZipMonth),
+    [dataset]
+  );
+
+  // Shareable view state, kept in the query string (see urlState.js).
+  // Values from a pasted link are checked so a stale or mistyped one falls
+  // back to the default instead of breaking a tab.
+  const [view, updateView] = useUrlState({
+    tab: 'overview',
+    utility: 'all',
+    series: 'combined',
+    arrearsView: 'total',
+    trendMode: defaultTrendSettings.mode,
+    trendWindow: String(defaultTrendSettings.window),
+    trendThreshold: String(defaultTrendSettings.threshold),
+    forecast: '0',
+    forecastMethod: 'holtWinters',
+    from: null,
+    to: null,
+    asOf: null,
+    geoMonth: geoMonthKeys[geoMonthKeys.length - 1],
+    geoMetric: 'arrears_rate',
+    geoUtility: 'all',
+    geoRegion: 'statewide',
+    burden: 'combined',
+    rollup: 'county',
+    hotspots: 'off',
+    hotspotBand: 'auto',
+    zip: null,
+    geoView: 'map',
+    report: null
+  });
+  const oneOf = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+
+  // Utility filter: any subset of utilities, kept in the URL as 'all' or a
+  // comma-separated list of ids. Charts show the subset combined, or one
+  // series per utility when `series` is 'split'.
+  const utilityIds = utilities.map(u => u.id);
+  const requestedIds = view.utility === 'all' ? utilityIds : view.utility.split(',').filter(id => utilityIds.includes(id));
+  const selectedIds = requestedIds.length ? utilityIds.filter(id => requestedIds.includes(id)) : utilityIds;
+  const selectedUtilities = utilities.filter(u => selectedIds.includes(u.id));
+  const allSelected = selectedIds.length === utilityIds.length;
+  const singleUtility = selectedUtilities.length === 1 ? selectedUtilities[0] : null;
+  const setSelectedIds = (ids) => updateView({
+    utility: !ids.length || ids.length === utilityIds.length ? 'all' : utilityIds.filter(id => ids.includes(id)).join(',')
+  });
+  const groupIds = (type) => utilities.filter(u => u.type === type).map(u => u.id);
+  const isGroup = (type) => !allSelected && selectedIds.join(',') === groupIds(type).join(',');
+  const selectionLabel = allSelected ? 'All Utilities'
+    : isGroup('Electric') ? 'Electric Utilities'
+    : isGroup('Gas') ? 'Gas Utilities'
+    : selectedUtilities.map(u => u.short).join(' + ');
+  const splitSeries = view.series === 'split' && selectedUtilities.length > 1;
+  const setSplitSeries = (split) => updateView({ series: split ? 'split' : 'combined' });
+  // Overview arrears charts: the selection's total, stacked by utility, or
+  // each utility's share of the total
+  const arrearsView = oneOf(view.arrearsView, ['total', 'stacked', 'share'], 'total');
+  // Pooled rates and account-weighted averages for the current selection
+  const selectedRates = useMemo(() => derivePooledMetrics(dataset, selectedIds), [dataset, selectedIds.join(',')]);
+  const selectedAvgBill = useMemo(() => weightedAverage(dataset.metrics, 'avgBill', selectedIds), [dataset, selectedIds.join(',')]);
+  // Usage is kWh for electric and therms for gas, so it is only combined within
+  // one type: the selection's electric utilities, or its gas utilities when no
+  // electric utility is selected
+  const usageType = selectedUtilities.some(u => u.type === 'Electric') ? 'Electric' : 'Gas';
+  const usageUtilities = selectedUtilities.filter(u => u.type === usageType);
+  const usageUnit = usageType === 'Electric' ? 'kWh' : 'therms';
+  const selectedAvgUsage = useMemo(() => weightedAverage(dataset.metrics, 'avgUsage', usageUtilities.map(u => u.id)), [dataset, selectedIds.join(',')]);
+  const range = { start: view.from, end: view.to, asOf: view.asOf };
+  // 'copied' or 'failed' for a couple of seconds after "Copy link to this view"
+  const [linkStatus, setLinkStatus] = useState(null);
+  useEffect(() => {
+    if (!linkStatus) return;
+    const timer = setTimeout(() => setLinkStatus(null), 2500);
+    return () => clearTimeout(timer);
+  }, [linkStatus]);
+  // The clipboard API is missing over plain http and rejects when permission is denied
+  const copyLink = () => (navigator.clipboard
+    ? navigator.clipboard.writeText(window.location.href)
+    : Promise.reject(new Error('Clipboard unavailable')))
+    .then(() => setLinkStatus('copied'))
+    .catch(() => setLinkStatus('failed'));
+
+  // Trend comparison settings shared by the badges and trend panels (trends.js)
+  const trendSettings = {
+    mode: oneOf(view.trendMode, Object.keys(trendModes), defaultTrendSettings.mode),
+    window: Number(oneOf(view.trendWindow, trendWindows.map(String), String(defaultTrendSettings.window))),
+    threshold: Number(oneOf(view.trendThreshold, trendThresholds.map(String), String(defaultTrendSettings.threshold)))
+  };
+  const updateTrendSettings = (patch) => updateView(Object.fromEntries(Object.entries(patch).map(([key, value]) => [
+    `trend${key[0].toUpperCase()}${key.slice(1)}`, String(value)
+  ])));
+  const [seasonalMetric, setSeasonalMetric] = useState({ arrears: 'arrearsCustomers', disconnections: 'disconnections' });
+  const [agingBasis, setAgingBasis] = useState('Balance');
+  const [funnelLag, setFunnelLag] = useState(0);
+
   // Geographic tab state
-  const [geoMonth, setGeoMonth] = useState('jun');
-  const [geoMetric, setGeoMetric] = useState('arrears_rate');
-  const [geoUtility, setGeoUtility] = useState('all');
+  const geoMonth = oneOf(view.geoMonth, geoMonthKeys, geoMonthKeys[geoMonthKeys.length - 1]);
+  const geoMetric = oneOf(view.geoMetric, Object.keys(geoMetricConfig), 'arrears_rate');
+  const geoUtility = oneOf(view.geoUtility, ['all', ...Object.keys(geoZipData)], 'all');
+  const geoRegion = oneOf(view.geoRegion, Object.keys(geoRegions), 'statewide');
+  const geoSelected = view.zip;
+  const setGeoMonth = (geoMonth) => updateView({ geoMonth });
+  const setGeoMetric = (geoMetric) => updateView({ geoMetric });
+  const setGeoUtility = (geoUtility) => updateView({ geoUtility });
+  const setGeoRegion = (geoRegion) => updateView({ geoRegion });
+  const setGeoSelected = (zip) => updateView({ zip, geoView: 'map' });
+  // The ZIP profile replaces the map until closed; it needs a selected ZIP
+  const geoView = view.geoView === 'profile' && geoSelected ? 'profile' : 'map';
+  const openZipProfile = () => updateView({ geoView: 'profile' });
+  const closeZipProfile = () => updateView({ geoView: 'map' });
+  const [geoPlaying, setGeoPlaying] = useState(false);
+  const toggleGeoPlaying = () => {
+    // Playing from the last month starts over from the first
+    if (!geoPlaying && geoMonth === geoMonthKeys[geoMonthKeys.length - 1]) updateView({ geoMonth: geoMonthKeys[0] }, { replace: true });
+    setGeoPlaying(!geoPlaying);
+  };
   const [geoHover, setGeoHover] = useState(null);
-  const [geoSelected, setGeoSelected] = useState(null);
-  const [geoRegion, setGeoRegion] = useState('statewide');
+  const burdenType = oneOf(view.burden, Object.keys(burdenTypes), 'combined');
+  const setBurdenType = (burden) => updateView({ burden });
+  const hotspotMetric = oneOf(view.hotspots, ['off', ...Object.keys(hotspotMetrics)], 'off');
+  const hotspotBand = oneOf(view.hotspotBand, Object.keys(hotspotBands), 'auto');
+  const setHotspotMetric = (hotspots) => updateView({ hotspots });
+  const setHotspotBand = (hotspotBand) => updateView({ hotspotBand });
+  // Income table for energy burden: the shipped CSV, or one loaded from disk
+  const [incomeTable, setIncomeTable] = useState(null);
+  const [incomeError, setIncomeError] = useState(null);
+  const rollupLevel = oneOf(view.rollup, Object.keys(rollupLevels), 'county');
+  const setRollupLevel = (rollup) => updateView({ rollup });
+  const [rollupSort, setRollupSort] = useState('arrearsRate');
+  const [crosswalk, setCrosswalk] = useState(null);
+  const [crosswalkError, setCrosswalkError] = useState(null);
+  const [basemap, setBasemap] = useState(null);
+  const [basemapError, setBasemapError] = useState(null);
+  const basemapLayerSet = useMemo(() => (basemap ? basemapLayers(basemap) : null), [basemap]);
+
+  // Data quality tab state
+  const [qualitySeverity, setQualitySeverity] = useState('all');
+  const [qualityMetric, setQualityMetric] = useState('arrearsBalance');
+  const [legacyDiscPct, setLegacyDiscPct] = useState(null);
+  const [legacyError, setLegacyError] = useState(null);
+
+  // Import tab state
+  const [importUtility, setImportUtility] = useState(utilities[0].id);
+  const [importFallbackMonth, setImportFallbackMonth] = useState('');
+  const [importFile, setImportFile] = useState(null);
+  const [importShowUnchanged, setImportShowUnchanged] = useState(false);
+  const [importApplied, setImportApplied] = useState(false);
+
+  // Re-parse when the fallback month changes so single-month filings can be relabelled
+  const importResult = useMemo(() => {
+    if (!importFile) return null;
+    try {
+      const filing = parseEbmrWorkbook(importFile.data, { fallbackMonth: toMonthLabel(importFallbackMonth) });
+      return { filing, diff: diffFiling(dataset, importUtility, filing), missing: missingMetrics(filing) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [importFile, importFallbackMonth, importUtility, dataset]);
 
   const tabs = [
     { id: 'overview', label: 'Overview' },
@@ -697,43 +605,105 @@ export default function OregonEnergyDashboard() {
     { id: 'billDiscount', label: 'Bill Discounts' },
     { id: 'comparison', label: 'Utility Comparison' },
     { id: 'geographic', label: 'Geographic View' },
-    { id: 'export', label: 'Export Data' }
+    { id: 'quality', label: 'Data Quality' },
+    { id: 'export', label: 'Export Data' },
+    { id: 'import', label: 'Import Filing' }
   ];
+  const activeTab = oneOf(view.tab, tabs.map(t => t.id), 'overview');
+  const setActiveTab = (tab) => updateView({ tab });
+
+  // Validation rules re-run whenever the data changes (including after an import)
+  const quality = useMemo(() => runQualityChecks(dataset), [dataset]);
+
+  // The retired discPct table is only needed for the reconciliation report
+  useEffect(() => {
+    if (activeTab !== 'quality' || legacyDiscPct || legacyError) return;
+    loadLegacyTable('discPct').then(setLegacyDiscPct).catch(setLegacyError);
+  }, [activeTab, legacyDiscPct, legacyError]);
+
+  useEffect(() => {
+    if (activeTab !== 'geographic' || incomeTable || incomeError) return;
+    loadIncomeText()
+      .then(text => setIncomeTable({ ...parseIncomeTable(text), source: 'data/income.csv' }))
+      .catch(setIncomeError);
+  }, [activeTab, incomeTable, incomeError]);
 
-  // Calculate totals and trends
-  const currentMonth = 20; // Sep 2025 (index)
+  useEffect(() => {
+    if (activeTab !== 'geographic' || basemap || basemapError) return;
+    loadBasemap().then(setBasemap).catch(setBasemapError);
+  }, [activeTab, basemap, basemapError]);
+
+  useEffect(() => {
+    if (activeTab !== 'geographic' || crosswalk || crosswalkError) return;
+    loadCrosswalkText()
+      .then(text => setCrosswalk({ ...parseCrosswalk(text), source: 'data/zip-crosswalk.csv' }))
+      .catch(setCrosswalkError);
+  }, [activeTab, crosswalk, crosswalkError]);
+
+  // Time slider animation: one ZIP month per frame, stopping at the last.
+  // Frames replace the history entry so Back leaves the map in one step.
+  useEffect(() => {
+    if (!geoPlaying) return;
+    const next = geoMonthKeys.indexOf(geoMonth) + 1;
+    if (activeTab !== 'geographic' || next >= geoMonthKeys.length) {
+      setGeoPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => updateView({ geoMonth: geoMonthKeys[next] }, { replace: true }), 1200);
+    return () => clearTimeout(timer);
+  }, [geoPlaying, geoMonth, activeTab]);
+
+  const loadCrosswalkFile = async (file) => {
+    if (!file) return;
+    setCrosswalk({ ...parseCrosswalk(await file.text()), source: file.name });
+    setCrosswalkError(null);
+  };
+
+  const loadIncomeFile = async (file) => {
+    if (!file) return;
+    setIncomeTable({ ...parseIncomeTable(await file.text()), source: file.name });
+    setIncomeError(null);
+  };
+
+  const discPctReconciliation = useMemo(
+    () => (legacyDiscPct ? reconcileLegacy(dataset, 'discPct', legacyDiscPct) : null),
+    [dataset, legacyDiscPct]
+  );
+
+  // Charts cover windowStart..windowEnd; cards, tables and trends are as of
+  // currentMonth. A null bound follows the data (first month, latest month), so
+  // the dashboard advances on its own when a new month is published.
+  const lastMonth = months.length - 1;
+  const monthIndex = (label, fallback) => (label && months.includes(label) ? months.indexOf(label) : fallback);
+  const windowStart = monthIndex(range.start, 0);
+  const windowEnd = Math.max(windowStart, monthIndex(range.end, lastMonth));
+  const currentMonth = Math.min(Math.max(monthIndex(range.asOf, windowEnd), windowStart), windowEnd);
+  const inWindow = (series) => series.slice(windowStart, windowEnd + 1);
+  // Sum of the months reported within the window
+  const windowTotal = (series) => inWindow(series).filter(isNum).reduce((a, b) => a + b, 0);
+  const upToAsOf = (series) => series.slice(0, currentMonth + 1);
+
+  const updateRange = (field, label) => {
+    const defaults = { start: months[0], end: months[lastMonth], asOf: months[windowEnd] };
+    const param = { start: 'from', end: 'to', asOf: 'asOf' }[field];
+    updateView({ [param]: label === defaults[field] ? null : label });
+  };
+
+  // Calculate totals and trends as of the selected month
+  const currentMonthLabel = formatMonthLong(months[currentMonth]);
+  const currentMonthShort = formatMonthYear(months[currentMonth]);
+  const periodLabel = `${formatMonthLong(months[windowStart])} – ${formatMonthLong(months[windowEnd])}`;
+  const periodShort = `${formatMonthYear(months[windowStart])} - ${formatMonthYear(months[windowEnd])}`;
   
   const totals = useMemo(() => {
     const sumArray = (obj, idx) => utilities.reduce((sum, u) => sum + (obj[u.id]?.[idx] || 0), 0);
     
-    // Calculate weighted average bill (weighted by accounts)
-    const totalAccounts = utilities.reduce((sum, u) => sum + (accounts[u.id]?.[currentMonth] || 0), 0);
-    const weightedBillSum = utilities.reduce((sum, u) => {
-      const acct = accounts[u.id]?.[currentMonth] || 0;
-      const bill = avgBill[u.id]?.[currentMonth] || 0;
-      return sum + (acct * bill);
-    }, 0);
-    const avgBillWeighted = totalAccounts > 0 ? Math.round(weightedBillSum / totalAccounts) : 0;
-    
-    // Calculate average usage separately for electric and gas
-    const electricUtils = ['pge', 'pac', 'ipco'];
-    const gasUtils = ['nwn', 'cng', 'avista'];
-    
-    const electricAccounts = electricUtils.reduce((sum, u) => sum + (accounts[u]?.[currentMonth] || 0), 0);
-    const electricUsageSum = electricUtils.reduce((sum, u) => {
-      const acct = accounts[u]?.[currentMonth] || 0;
-      const usage = avgUsage[u]?.[currentMonth] || 0;
-      return sum + (acct * usage);
-    }, 0);
-    const avgElectricUsage = electricAccounts > 0 ? Math.round(electricUsageSum / electricAccounts) : 0;
-    
-    const gasAccounts = gasUtils.reduce((sum, u) => sum + (accounts[u]?.[currentMonth] || 0), 0);
-    const gasUsageSum = gasUtils.reduce((sum, u) => {
-      const acct = accounts[u]?.[currentMonth] || 0;
-      const usage = avgUsage[u]?.[currentMonth] || 0;
-      return sum + (acct * usage);
-    }, 0);
-    const avgGasUsage = gasAccounts > 0 ? Math.round(gasUsageSum / gasAccounts) : 0;
+    // Account-weighted average bill, and usage separately for electric and gas
+    const totalAccounts = sumArray(accounts, currentMonth);
+    const weighted = (key, ids) => Math.round(weightedAverage(dataset.metrics, key, ids)[currentMonth] || 0);
+    const avgBillWeighted = weighted('avgBill', utilities.map(u => u.id));
+    const avgElectricUsage = weighted('avgUsage', groupIds('Electric'));
+    const avgGasUsage = weighted('avgUsage', groupIds('Gas'));
     
     return {
       customers: sumArray(arrearsCustomers, currentMonth),
@@ -746,46 +716,118 @@ export default function OregonEnergyDashboard() {
       avgGasUsage,
       totalAccounts
     };
-  }, []);
+  }, [dataset, currentMonth]);
 
   const trends = useMemo(() => {
     // Calculate weighted average bill trend
-    const getWeightedAvgBillByMonth = (monthIdx) => {
-      const totalAccounts = utilities.reduce((sum, u) => sum + (accounts[u.id]?.[monthIdx] || 0), 0);
-      const weightedSum = utilities.reduce((sum, u) => {
-        const acct = accounts[u.id]?.[monthIdx] || 0;
-        const bill = avgBill[u.id]?.[monthIdx] || 0;
-        return sum + (acct * bill);
-      }, 0);
-      return totalAccounts > 0 ? weightedSum / totalAccounts : 0;
-    };
-    
-    const avgBillTrend = months.map((_, i) => getWeightedAvgBillByMonth(i));
+    const avgBillTrend = weightedAverage(dataset.metrics, 'avgBill', utilities.map(u => u.id));
+    const trend = (data) => computeTrend(upToAsOf(data), trendSettings);
     
     return {
-      customers: getTrend(months.map((_, i) => utilities.reduce((s, u) => s + arrearsCustomers[u.id][i], 0))),
-      balance: getTrend(months.map((_, i) => utilities.reduce((s, u) => s + arrearsBalance[u.id][i], 0))),
-      disconnections: getTrend(months.map((_, i) => utilities.reduce((s, u) => s + disconnections[u.id][i], 0))),
-      bdParticipants: getTrend(months.map((_, i) => utilities.reduce((s, u) => s + billDiscountParticipants[u.id][i], 0))),
-      avgBill: getTrend(avgBillTrend)
+      customers: trend(months.map((_, i) => total(utilities.map(u => arrearsCustomers[u.id][i])))),
+      balance: trend(months.map((_, i) => total(utilities.map(u => arrearsBalance[u.id][i])))),
+      disconnections: trend(months.map((_, i) => total(utilities.map(u => disconnections[u.id][i])))),
+      bdParticipants: trend(months.map((_, i) => total(utilities.map(u => billDiscountParticipants[u.id][i])))),
+      avgBill: trend(avgBillTrend)
     };
-  }, []);
+  }, [dataset, currentMonth, trendSettings.mode, trendSettings.window, trendSettings.threshold]);
+  const trendPeriodLabels = trendPeriods(months.map(formatMonthYear), currentMonth, trendSettings);
 
-  // Prepare chart data based on selected utility
-  const getChartData = (dataObj) => {
-    return months.map((month, i) => {
-      const row = { month };
-      if (selectedUtility === 'all') {
-        row.value = utilities.reduce((sum, u) => sum + (dataObj[u.id]?.[i] || 0), 0);
-      } else {
-        row.value = dataObj[selectedUtility]?.[i] || 0;
-      }
+  // Sum of a reported series over the selected utilities; null for a month
+  // any of them has not filed
+  const sumSelected = (dataObj, i) => total(selectedIds.map(id => dataObj[id]?.[i]));
+  // Sum of an optional series (optionalMetrics in data.js) over the selected
+  // utilities that reported it; null when none did that month
+  const sumReported = (key, i) => {
+    const values = selectedIds.map(id => dataset.metrics[key]?.[id]?.[i]).filter(isNum);
+    return values.length ? values.reduce((a, b) => a + b, 0) : null;
+  };
+
+  // Prepare chart data for the selected utilities: `value` is the combined
+  // series and each utility id carries its own, for split charts. Pass
+  // `combined` to supply a different combined series (pooled rates, weighted
+  // averages) and `digits` to round.
+  const getChartData = (dataObj, { combined, digits } = {}) => {
+    const round = (v) => (digits === undefined || v === null ? v : parseFloat(v.toFixed(digits)));
+    return inWindow(months.map((month, i) => {
+      const row = { month, value: round(combined ? combined[i] ?? null : sumSelected(dataObj, i)) };
+      selectedUtilities.forEach(u => { row[u.id] = round(dataObj[u.id]?.[i] ?? null); });
       return row;
+    }));
+  };
+
+  // Per-utility areas for the Overview arrears charts in stacked or share view.
+  // Months a utility has not filed are gaps, as in the total.
+  const arrearsAreas = (totalSeries) => {
+    const legend = <Legend key="legend" wrapperStyle={{ fontSize: '11px' }} />;
+    if (arrearsView === 'total') return splitSeries ? [legend, ...selectionSeries(Area, totalSeries)] : selectionSeries(Area, totalSeries);
+    return [
+      legend,
+      ...selectedUtilities.map(u => (
+        <Area key={u.id} type="monotone" dataKey={u.id} name={u.short} stackId="utilities" stroke={u.color} fill={u.color} fillOpacity={0.55} />
+      ))
+    ];
+  };
+  // In share view the tooltip adds each utility's percentage of the total
+  const arrearsTooltip = (format) => (v, name, item) => (arrearsView === 'share' && item.payload.value
+    ? `${format(v)} (${((v / item.payload.value) * 100).toFixed(1)}%)`
+    : format(v));
+
+  // Forecasts (forecast.js) for the combined selection, projected from the
+  // as-of month. Off when `forecast` is '0' or charts are split by utility.
+  const forecastHorizon = Number(oneOf(view.forecast, ['0', ...forecastHorizons.map(String)], '0'));
+  const forecastMethod = oneOf(view.forecastMethod, Object.keys(forecastMethods), 'holtWinters');
+  const showForecast = forecastHorizon > 0 && !splitSeries;
+  const selectionForecast = (dataObj) => forecastSeries(
+    upToAsOf(months.map((_, i) => sumSelected(dataObj, i))),
+    { method: forecastMethod, horizon: forecastHorizon }
+  );
+
+  // getChartData plus `forecast` (projected mean) and `forecastBand` ([lower,
+  // upper]) columns. The projection starts at the as-of month's actual value;
+  // months past the window or the dataset are appended.
+  const getForecastChartData = (dataObj) => {
+    const rows = getChartData(dataObj);
+    if (!showForecast) return rows;
+    const { points } = selectionForecast(dataObj);
+    if (!points.length) return rows;
+    const anchor = rows.find(r => r.month === months[currentMonth]);
+    if (anchor) Object.assign(anchor, { forecast: anchor.value, forecastBand: [anchor.value, anchor.value] });
+    const start = monthOrdinal(months[currentMonth]);
+    points.forEach(p => {
+      const month = monthFromOrdinal(start + p.offset);
+      let row = rows.find(r => r.month === month);
+      if (!row) rows.push(row = { month });
+      Object.assign(row, { forecast: p.mean, forecastBand: [p.lower, p.upper] });
     });
+    return rows;
+  };
+  const forecastElements = (color) => (showForecast ? [
+    <Area key="forecastBand" type="monotone" dataKey="forecastBand" stroke="none" fill={color} fillOpacity={0.15} name={`${INTERVAL_LEVEL}% interval`} />,
+    <Line key="forecast" type="monotone" dataKey="forecast" stroke={color} strokeWidth={2} strokeDasharray="6 4" dot={false} name="Forecast" />
+  ] : []);
+  // The interval band's value is a [lower, upper] pair
+  const forecastTooltip = (format) => (v, name) => [Array.isArray(v) ? `${format(v[0])} – ${format(v[1])}` : format(v), name];
+
+  // A single selected utility's own color, otherwise the chart's default
+  const selectionStroke = (fallback) => singleUtility?.color || fallback;
+  const selectionFill = (fallback) => (singleUtility ? `${singleUtility.color}20` : fallback);
+
+  // Series for a chart built with getChartData: one element for the combined
+  // selection, or one per selected utility in its own color. Returned as an
+  // array so Recharts sees each series as a direct child. `seriesUtilities`
+  // narrows the split to part of the selection.
+  const selectionSeries = (Series, { stroke, fill, name, ...props }, seriesUtilities = selectedUtilities) => {
+    if (!splitSeries) return [<Series key="value" {...props} dataKey="value" name={name} stroke={stroke} fill={fill} />];
+    return seriesUtilities.map(u => (
+      <Series key={u.id} {...props} dataKey={u.id} name={u.short}
+        stroke={stroke && u.color}
+        fill={fill && (Series === Bar ? u.color : `${u.color}20`)} />
+    ));
   };
 
   const TrendIndicator = ({ trend }) => (
-    <span style={{
+    <span title={trend.change === null ? 'Not enough history for this comparison' : trendComparison(trendSettings)} style={{
       display: 'inline-flex',
       alignItems: 'center',
       padding: '4px 8px',
@@ -795,14 +837,173 @@ export default function OregonEnergyDashboard() {
       background: trend.direction === 'up' ? '#FEE2E2' : trend.direction === 'down' ? '#D1FAE5' : '#F3F4F6',
       color: trend.direction === 'up' ? '#991B1B' : trend.direction === 'down' ? '#065F46' : '#6B7280'
     }}>
-      {trend.direction === 'up' ? '↑' : trend.direction === 'down' ? '↓' : '→'} {Math.abs(trend.change)}%
+      {trend.change === null ? 'n/a' : (
+        `${trend.direction === 'up' ? '↑' : trend.direction === 'down' ? '↓' : '→'} ${Math.abs(trend.change).toFixed(1)}%${trendSettings.mode === 'yoy' ? ' YoY' : ''}`
+      )}
     </span>
   );
 
+  // Icon, label and color for a trend panel; `upColor` is the panel's warning color
+  const trendStatus = (trend, upColor) => {
+    if (trend.change === null) return { icon: '–', color: '#6B7280', text: 'Not enough history' };
+    if (trend.direction === 'up') return { icon: '↑', color: upColor, text: 'Trending Up' };
+    if (trend.direction === 'down') return { icon: '↓', color: '#059669', text: 'Trending Down' };
+    return { icon: '→', color: '#6B7280', text: 'Flat' };
+  };
+  const trendChangeText = (trend) => (trend.change === null
+    ? `No data ${trendComparison(trendSettings).replace('vs ', 'for ')}`
+    : `${trend.change >= 0 ? '+' : ''}${trend.change.toFixed(1)}% ${trendComparison(trendSettings)}`);
+
+  const TrendSettings = ({ dark }) => {
+    const selectStyle = { padding: '4px 8px', borderRadius: '6px', border: '1px solid #D1D5DB', fontSize: '12px' };
+    return (
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', fontSize: '12px', color: dark ? 'rgba(255,255,255,0.8)' : '#64748B' }}>
+        Compare:
+        {Object.entries(trendModes).map(([mode, { label }]) => (
+          <button
+            key={mode}
+            onClick={() => updateTrendSettings({ mode })}
+            style={{ ...filterButton(trendSettings.mode === mode, '#0284C7'), padding: '4px 10px', fontSize: '12px' }}
+          >
+            {label}
+          </button>
+        ))}
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', marginLeft: '8px' }}>
+          Window
+          <select value={trendSettings.window} onChange={(e) => updateTrendSettings({ window: e.target.value })} style={selectStyle}>
+            {trendWindows.map(w => <option key={w} value={w}>{w} {w === 1 ? 'month' : 'months'}</option>)}
+          </select>
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', marginLeft: '8px' }}>
+          Flat within ±
+          <select value={trendSettings.threshold} onChange={(e) => updateTrendSettings({ threshold: e.target.value })} style={selectStyle}>
+            {trendThresholds.map(t => <option key={t} value={t}>{t}%</option>)}
+          </select>
+        </label>
+      </div>
+    );
+  };
+
+  // Seasonal decomposition of one metric for the selected utilities. `options`
+  // lists the metrics offered on the tab; `rate` options use the pooled rate.
+  const monthOfYear = months.map(m => monthOrdinal(m) % 12);
+  const SeasonalPanel = ({ tab, options }) => {
+    const option = options.find(o => o.key === seasonalMetric[tab]) || options[0];
+    const reported = dataset.metrics[option.key];
+    const series = option.rate
+      ? selectedRates[option.key]
+      : months.map((_, i) => sumSelected(reported, i));
+    const { rows, seasonalFactors, cycles } = decomposeSeries(series, monthOfYear);
+    const withTrend = rows.map((r, i) => (r.trend === null ? null : months[i])).filter(Boolean);
+    const factorData = seasonalFactors
+      .map((factor, k) => ({ name: months.find((_, i) => monthOfYear[i] === k)?.split(' ')[0], factor }))
+      .filter(d => d.name && d.factor !== null);
+    // Factors are above or below trend; the shared formatters expect positives
+    const signed = (v) => `${v < 0 ? '−' : v > 0 ? '+' : ''}${option.format(Math.abs(v))}`;
+
+    return (
+      <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px', gap: '12px', flexWrap: 'wrap' }}>
+          <h3 style={{ margin: 0, fontSize: '16px', color: '#1E3A5F' }}>Seasonal Decomposition — {selectionLabel}</h3>
+          <select
+            value={option.key}
+            onChange={(e) => setSeasonalMetric({ ...seasonalMetric, [tab]: e.target.value })}
+            style={{ padding: '6px 10px', borderRadius: '6px', border: '1px solid #D1D5DB', fontSize: '13px' }}
+          >
+            {options.map(o => <option key={o.key} value={o.key}>{o.label}</option>)}
+          </select>
+        </div>
+        {!withTrend.length ? (
+          <p style={{ margin: 0, fontSize: '13px', color: '#6B7280' }}>
+            A seasonal decomposition needs at least 13 consecutive months of data for the selected utilities.
+          </p>
+        ) : (
+          <>
+            <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>
+              Reported values split into a trend (centered 12-month moving average, {withTrend[0]}–{withTrend[withTrend.length - 1]}), a repeating
+              seasonal pattern, and a seasonally adjusted series (reported minus seasonal). Each seasonal factor rests on {cycles} {cycles === 1 ? 'year' : 'years'} of
+              data and will firm up as more filings arrive.
+              {factorData.length < 12 && ` ${12 - factorData.length} calendar months have no factor yet, so their seasonally adjusted values are blank.`}
+            </p>
+            <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '24px' }}>
+              <ResponsiveContainer width="100%" height={260}>
+                <LineChart data={inWindow(rows.map((r, i) => ({ month: months[i], ...r })))}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                  <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={2} />
+                  <YAxis tickFormatter={option.format} tick={{ fontSize: 10 }} />
+                  <Tooltip formatter={(v) => option.format(v)} />
+                  <Legend wrapperStyle={{ fontSize: '11px' }} />
+                  <Line type="monotone" dataKey="value" stroke="#9CA3AF" strokeWidth={1.5} dot={false} name="Reported" />
+                  <Line type="monotone" dataKey="adjusted" stroke="#0284C7" strokeWidth={2} strokeDasharray="5 4" dot={false} name="Seasonally Adjusted" />
+                  <Line type="monotone" dataKey="trend" stroke="#1E3A5F" strokeWidth={3} dot={false} name="Trend" />
+                </LineChart>
+              </ResponsiveContainer>
+              <div>
+                <div style={{ fontSize: '12px', fontWeight: '600', color: '#374151', marginBottom: '4px' }}>Seasonal factor by month</div>
+                <ResponsiveContainer width="100%" height={240}>
+                  <BarChart data={factorData}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                    <XAxis dataKey="name" tick={{ fontSize: 10 }} interval={0} />
+                    <YAxis tickFormatter={signed} tick={{ fontSize: 10 }} />
+                    <Tooltip formatter={(v) => [signed(v), 'vs. trend']} />
+                    <Bar dataKey="factor" name="Seasonal factor">
+                      {factorData.map(d => <Cell key={d.name} fill={d.factor >= 0 ? '#F97316' : '#0EA5E9'} />)}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  // `metrics` are the series the tab forecasts, used to report any that are too short
+  const ForecastControls = ({ metrics }) => {
+    const reasons = showForecast ? [...new Set(metrics.map(m => selectionForecast(m).reason).filter(Boolean))] : [];
+    return (
+      <div style={{ background: 'white', borderRadius: '8px', padding: '10px 16px', marginBottom: '16px', boxShadow: '0 1px 2px rgba(0,0,0,0.06)', fontSize: '12px', color: '#64748B' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap' }}>
+          Forecast:
+          {[0, ...forecastHorizons].map(h => (
+            <button
+              key={h}
+              onClick={() => updateView({ forecast: String(h) })}
+              style={{ ...filterButton(forecastHorizon === h, '#1E3A5F'), padding: '4px 10px', fontSize: '12px' }}
+            >
+              {h ? `${h} months` : 'Off'}
+            </button>
+          ))}
+          <select
+            value={forecastMethod}
+            onChange={(e) => updateView({ forecastMethod: e.target.value })}
+            disabled={!forecastHorizon}
+            style={{ padding: '4px 8px', borderRadius: '6px', border: '1px solid #D1D5DB', fontSize: '12px', marginLeft: '8px' }}
+          >
+            {Object.entries(forecastMethods).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          {forecastHorizon > 0 && (
+            <span style={{ marginLeft: '8px' }}>
+              Dashed line projects from {currentMonthShort}; shading is the {INTERVAL_LEVEL}% prediction interval.
+            </span>
+          )}
+        </div>
+        {forecastHorizon > 0 && splitSeries && (
+          <div style={{ marginTop: '6px', color: '#92400E' }}>Forecasts are drawn for the combined selection. Switch the utility filter to Combined to see them.</div>
+        )}
+        {reasons.map(r => <div key={r} style={{ marginTop: '6px', color: '#92400E' }}>{r}</div>)}
+        {forecastHorizon > 0 && (
+          <div style={{ marginTop: '6px', fontStyle: 'italic' }}>{forecastMethods[forecastMethod].description}. A statistical projection from past filings, not a utility estimate.</div>
+        )}
+      </div>
+    );
+  };
+
   const MetricCard = ({ title, value, trend, subtitle, color = '#1E3A5F' }) => (
     <div style={{ background: 'white', borderRadius: '12px', padding: '20px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', borderLeft: `4px solid ${color}` }}>
       <div style={{ fontSize: '13px', color: '#6B7280', marginBottom: '4px' }}>{title}</div>
-      <div style={{ display: 'flex', alignItems: 'baseline', gap: '12px' }}>
+      <div style={{ display: 'flex', alignItems: 'baseline', gap: '12px', flexWrap: 'wrap' }}>
         <div style={{ fontSize: '28px', fontWeight: '700', color }}>{value}</div>
         {trend && <TrendIndicator trend={trend} />}
       </div>
@@ -810,51 +1011,361 @@ export default function OregonEnergyDashboard() {
     </div>
   );
 
+  const filterButton = (active, activeColor) => ({
+    padding: '8px 16px',
+    borderRadius: '20px',
+    border: 'none',
+    background: active ? activeColor : '#E5E7EB',
+    color: active ? 'white' : '#374151',
+    fontSize: '13px',
+    fontWeight: '500',
+    cursor: 'pointer'
+  });
+
+  // Right-aligned header and body cells for the inline data tables
+  const th = { padding: '8px 12px', textAlign: 'right', borderBottom: '2px solid #E5E7EB', fontSize: '12px', color: '#374151' };
+  const td = { padding: '8px 12px', textAlign: 'right', borderBottom: '1px solid #F3F4F6', fontSize: '13px' };
+  // Formats a table value, or a dash where it was not reported
+  const show = (format) => (v) => (isNum(v) ? format(v) : '—');
+
+  // From "All Utilities" a click picks just that utility; after that, clicks
+  // add or remove utilities from the selection
+  const toggleUtility = (id) => {
+    if (allSelected) return setSelectedIds([id]);
+    setSelectedIds(selectedIds.includes(id) ? selectedIds.filter(x => x !== id) : [...selectedIds, id]);
+  };
+  const toggleGroup = (type) => setSelectedIds(isGroup(type) ? utilityIds : groupIds(type));
+
+  // Rules-based findings for a tab (insights.js) as of the selected month
+  const InsightCallout = ({ tab, ids = selectedIds }) => {
+    const found = tabInsights(dataset, derived, tab, { end: currentMonth, utilityIds: ids, settings: trendSettings });
+    return (
+      <div style={{ background: '#F8FAFC', borderRadius: '12px', padding: '14px 20px', marginBottom: '20px', border: '1px solid #CBD5E1', borderLeft: '4px solid #1E3A5F' }}>
+        <div style={{ fontSize: '13px', fontWeight: '600', color: '#1E3A5F', marginBottom: found.length ? '8px' : 0 }}>
+          Insights — {ids.length === utilityIds.length ? 'All Utilities' : selectionLabel}, {currentMonthShort}
+          {!found.length && (
+            <span style={{ fontWeight: '400', color: '#6B7280' }}> · No large movers, records, peer outliers or seasonal anomalies this month.</span>
+          )}
+        </div>
+        {found.length > 0 && (
+          <ul style={{ margin: 0, padding: 0, listStyle: 'none', display: 'grid', gap: '6px' }}>
+            {found.map(f => (
+              <li key={f.text} style={{ display: 'flex', gap: '8px', alignItems: 'baseline', fontSize: '13px', color: '#374151' }}>
+                <span style={{ flexShrink: 0, padding: '2px 8px', borderRadius: '10px', fontSize: '11px', fontWeight: '600', color: insightColors[f.kind], background: `${insightColors[f.kind]}14` }}>
+                  {insightKinds[f.kind].label}
+                </span>
+                {f.text}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  // Statewide cards at the top of the Overview tab and the printed report
+  const OverviewCards = () => (
+    <>
+      {/* Key Metrics - Row 1 */}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '16px', marginBottom: '16px' }}>
+        <MetricCard 
+          title="Customers in Arrears" 
+          value={formatNumber(totals.customers)} 
+          trend={trends.customers}
+          subtitle={currentMonthShort}
+          color="#DC2626"
+        />
+        <MetricCard 
+          title="Total Arrears Balance" 
+          value={formatCurrency(totals.balance)} 
+          trend={trends.balance}
+          subtitle="All utilities combined"
+          color="#7C3AED"
+        />
+        <MetricCard 
+          title="Monthly Disconnections" 
+          value={formatNumber(totals.disconnections)} 
+          trend={trends.disconnections}
+          subtitle={currentMonthShort}
+          color="#EA580C"
+        />
+        <MetricCard 
+          title="Bill Discount Participants" 
+          value={formatNumber(totals.bdParticipants)} 
+          trend={trends.bdParticipants}
+          subtitle="Active enrollees"
+          color="#059669"
+        />
+      </div>
+
+      {/* Key Metrics - Row 2: Bill & Usage */}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '16px', marginBottom: '24px' }}>
+        <MetricCard 
+          title="Avg. Residential Bill" 
+          value={`$${totals.avgBill}`} 
+          trend={trends.avgBill}
+          subtitle="Weighted avg. all utilities"
+          color="#0284C7"
+        />
+        <MetricCard 
+          title="Avg. Electric Usage" 
+          value={`${totals.avgElectricUsage} kWh`}
+          subtitle={utilities.filter(u => u.type === 'Electric').map(u => u.short).join(', ')}
+          color="#1E3A5F"
+        />
+        <MetricCard 
+          title="Avg. Gas Usage" 
+          value={`${totals.avgGasUsage} therms`}
+          subtitle={utilities.filter(u => u.type === 'Gas').map(u => u.short).join(', ')}
+          color="#7C3AED"
+        />
+        <MetricCard 
+          title="Total Accounts" 
+          value={formatNumber(totals.totalAccounts)} 
+          subtitle="Residential customers served"
+          color="#374151"
+        />
+      </div>
+    </>
+  );
+
+  // Per-utility snapshot for the as-of month (Utility Comparison tab and the printed report)
+  const ComparisonTable = () => (
+    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+      <thead>
+        <tr style={{ background: '#F9FAFB' }}>
+          <th style={{ padding: '12px', textAlign: 'left', borderBottom: '2px solid #E5E7EB' }}>Utility</th>
+          <th style={{ padding: '12px', textAlign: 'center', borderBottom: '2px solid #E5E7EB' }}>Type</th>
+          <th style={{ padding: '12px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Accounts</th>
+          <th style={{ padding: '12px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Arrears Rate</th>
+          <th style={{ padding: '12px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Avg Arrears</th>
+          <th style={{ padding: '12px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Disc. Rate</th>
+          <th style={{ padding: '12px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Avg Bill</th>
+          <th style={{ padding: '12px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Avg Usage</th>
+        </tr>
+      </thead>
+      <tbody>
+        {utilities.map(u => {
+          const acct = accounts[u.id][currentMonth];
+          const bill = avgBill[u.id][currentMonth];
+          const usage = avgUsage[u.id][currentMonth];
+          const isElectric = u.type === 'Electric';
+          
+          return (
+            <tr key={u.id} style={{ borderBottom: '1px solid #E5E7EB' }}>
+              <td style={{ padding: '12px' }}>
+                <span style={{ display: 'inline-block', width: '8px', height: '8px', borderRadius: '50%', background: u.color, marginRight: '8px' }}></span>
+                {u.name}
+              </td>
+              <td style={{ padding: '12px', textAlign: 'center' }}>
+                <span style={{ 
+                  padding: '2px 8px', 
+                  borderRadius: '10px', 
+                  fontSize: '11px',
+                  background: isElectric ? '#DBEAFE' : '#FEF3C7',
+                  color: isElectric ? '#1E40AF' : '#92400E'
+                }}>
+                  {isElectric ? 'Electric' : 'Gas'}
+                </span>
+              </td>
+              <td style={{ padding: '12px', textAlign: 'right' }}>{show(formatNumber)(acct)}</td>
+              <td style={{ padding: '12px', textAlign: 'right' }}>{show(v => `${v.toFixed(1)}%`)(arrearsRate[u.id][currentMonth])}</td>
+              <td style={{ padding: '12px', textAlign: 'right' }}>{show(v => `$${Math.round(v)}`)(averageArrears[u.id][currentMonth])}</td>
+              <td style={{ padding: '12px', textAlign: 'right' }}>{show(v => `${v.toFixed(2)}%`)(discPct[u.id][currentMonth])}</td>
+              <td style={{ padding: '12px', textAlign: 'right', fontWeight: '500' }}>{show(v => `$${v}`)(bill)}</td>
+              <td style={{ padding: '12px', textAlign: 'right' }}>{show(v => `${v} ${isElectric ? 'kWh' : 'therms'}`)(usage)}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+
   const UtilityFilter = () => (
-    <div style={{ display: 'flex', gap: '8px', marginBottom: '20px', flexWrap: 'wrap' }}>
-      <button
-        onClick={() => setSelectedUtility('all')}
-        style={{
-          padding: '8px 16px',
-          borderRadius: '20px',
-          border: 'none',
-          background: selectedUtility === 'all' ? '#1E3A5F' : '#E5E7EB',
-          color: selectedUtility === 'all' ? 'white' : '#374151',
-          fontSize: '13px',
-          fontWeight: '500',
-          cursor: 'pointer'
-        }}
-      >
+    <div style={{ display: 'flex', gap: '8px', marginBottom: '20px', flexWrap: 'wrap', alignItems: 'center' }}>
+      <button onClick={() => setSelectedIds(utilityIds)} style={filterButton(allSelected, '#1E3A5F')}>
         All Utilities
       </button>
+      {['Electric', 'Gas'].map(type => (
+        <button key={type} onClick={() => toggleGroup(type)} style={filterButton(isGroup(type), '#475569')}>
+          {type === 'Electric' ? '⚡ All Electric' : '🔥 All Gas'}
+        </button>
+      ))}
+      <span style={{ width: '1px', height: '24px', background: '#D1D5DB', margin: '0 4px' }} />
       {utilities.map(u => (
         <button
           key={u.id}
-          onClick={() => setSelectedUtility(u.id)}
-          style={{
-            padding: '8px 16px',
-            borderRadius: '20px',
-            border: 'none',
-            background: selectedUtility === u.id ? u.color : '#E5E7EB',
-            color: selectedUtility === u.id ? 'white' : '#374151',
-            fontSize: '13px',
-            fontWeight: '500',
-            cursor: 'pointer'
-          }}
+          onClick={() => toggleUtility(u.id)}
+          aria-pressed={!allSelected && selectedIds.includes(u.id)}
+          style={filterButton(!allSelected && selectedIds.includes(u.id), u.color)}
         >
           {u.short}
         </button>
       ))}
+      {selectedUtilities.length > 1 && (
+        <div style={{ marginLeft: 'auto', display: 'flex', gap: '4px', alignItems: 'center', fontSize: '12px', color: '#6B7280' }}>
+          Show:
+          <button onClick={() => setSplitSeries(false)} style={{ ...filterButton(!splitSeries, '#1E3A5F'), padding: '6px 12px', fontSize: '12px' }}>
+            Combined
+          </button>
+          <button onClick={() => setSplitSeries(true)} style={{ ...filterButton(splitSeries, '#1E3A5F'), padding: '6px 12px', fontSize: '12px' }}>
+            By Utility
+          </button>
+        </div>
+      )}
     </div>
   );
 
+  // ==================== PRINTABLE REPORT ====================
+  // The monthly Commission update as one print-ready document: the Overview
+  // cards, key charts, the comparison table and a written summary (report.js),
+  // saved as PDF with the browser's print dialog. It always covers every
+  // utility, for the current reporting window and as-of month.
+  if (view.report === 'monthly') {
+    const narrative = reportNarrative(dataset, currentMonth, trendSettings);
+    // The strongest findings across the tabs' insight callouts
+    const findings = Object.keys(tabInsightRules)
+      .flatMap(tab => tabInsights(dataset, derived, tab, { end: currentMonth, utilityIds, settings: trendSettings }))
+      .filter((f, i, all) => all.findIndex(g => g.text === f.text) === i)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 6);
+    // A month any utility has not filed yet is a gap, not a drop
+    const statewideData = (dataObj) => inWindow(months.map((month, i) => ({
+      month,
+      value: total(utilityIds.map(id => dataObj[id]?.[i]))
+    })));
+    const allRates = derivePooledMetrics(dataset, utilityIds);
+    const charts = [
+      { title: 'Customers in Arrears', data: statewideData(arrearsCustomers), format: formatNumber, color: '#DC2626' },
+      { title: 'Total Arrears Balance', data: statewideData(arrearsBalance), format: formatCurrency, color: '#7C3AED' },
+      { title: 'Monthly Disconnections', data: statewideData(disconnections), format: formatNumber, color: '#EA580C' },
+      { title: 'Disconnection Rate (% of Accounts)', data: inWindow(months.map((month, i) => ({ month, value: allRates.discPct[i] }))), format: (v) => `${v.toFixed(2)}%`, color: '#EA580C' },
+      { title: 'Bill Discount Participants', data: statewideData(billDiscountParticipants), format: formatNumber, color: '#059669' },
+      { title: 'Monthly Bill Discount Dollars', data: statewideData(billDiscountDollars), format: formatCurrency, color: '#059669' }
+    ];
+    const docket = 'Oregon PUC Docket RO 16 – Energy Burden Metrics Reports (OAR 860-021-0408)';
+    const section = { breakInside: 'avoid', marginBottom: '24px' };
+    const heading = { margin: '0 0 12px', fontSize: '16px', color: '#1E3A5F', borderBottom: '2px solid #1E3A5F', paddingBottom: '4px' };
+
+    return (
+      <div className="ebmr-report" style={{ background: '#F3F4F6', minHeight: '100vh', fontFamily: 'system-ui, -apple-system, sans-serif', padding: '24px 0' }}>
+        {/* The table header and footer repeat on every printed page */}
+        <style>{`
+          @page { size: letter portrait; margin: 0.5in; }
+          @media print {
+            .ebmr-report { background: white !important; padding: 0 !important; }
+            .ebmr-report-sheet { box-shadow: none !important; padding: 0 !important; width: auto !important; }
+            .ebmr-report-toolbar { display: none !important; }
+            .ebmr-report * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+          }
+        `}</style>
+
+        <div className="ebmr-report-toolbar" style={{ width: '7.5in', margin: '0 auto 16px', display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <button
+            onClick={() => updateView({ report: null })}
+            style={{ background: 'none', border: 'none', color: '#2563EB', fontSize: '13px', cursor: 'pointer', padding: 0 }}
+          >
+            ← Back to dashboard
+          </button>
+          <span style={{ marginLeft: 'auto', fontSize: '12px', color: '#6B7280' }}>Choose "Save as PDF" as the printer to export</span>
+          <button onClick={() => window.print()} style={{ ...filterButton(true, '#1E3A5F'), borderRadius: '6px' }}>
+            Print / Save as PDF
+          </button>
+        </div>
+
+        <div className="ebmr-report-sheet" style={{ width: '7.5in', margin: '0 auto', background: 'white', padding: '0.5in', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <td style={{ paddingBottom: '12px' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#6B7280', borderBottom: '1px solid #D1D5DB', paddingBottom: '6px' }}>
+                    <span>{docket}</span>
+                    <span>Report as of {currentMonthLabel}</span>
+                  </div>
+                </td>
+              </tr>
+            </thead>
+            <tfoot>
+              <tr>
+                <td style={{ paddingTop: '12px' }}>
+                  <div style={{ fontSize: '10px', color: '#6B7280', borderTop: '1px solid #D1D5DB', paddingTop: '6px' }}>
+                    Oregon Energy Burden Dashboard • Data version {dataset.version} • Generated {new Date().toLocaleDateString()}
+                  </div>
+                </td>
+              </tr>
+            </tfoot>
+            <tbody>
+              <tr>
+                <td>
+                  <h1 style={{ margin: '0 0 4px', fontSize: '22px', color: '#1E3A5F' }}>Energy Burden Metrics: Monthly Update</h1>
+                  <p style={{ margin: '0 0 20px', fontSize: '13px', color: '#374151' }}>
+                    {utilities.length} regulated utilities • As of {currentMonthLabel} • Charts cover {periodLabel}
+                  </p>
+
+                  <div style={section}>
+                    <h2 style={heading}>Summary</h2>
+                    <ul style={{ margin: 0, paddingLeft: '20px', fontSize: '13px', color: '#111827', lineHeight: '1.7' }}>
+                      {narrative.map(sentence => <li key={sentence}>{sentence}</li>)}
+                    </ul>
+                    <p style={{ margin: '8px 0 0', fontSize: '11px', color: '#6B7280' }}>
+                      Changes compare the average of {trendPeriodLabels.current} with {trendPeriodLabels.prior || 'an earlier period not yet in the data'}.
+                    </p>
+                  </div>
+
+                  {findings.length > 0 && (
+                    <div style={section}>
+                      <h2 style={heading}>Notable Findings</h2>
+                      <ul style={{ margin: 0, paddingLeft: '20px', fontSize: '13px', color: '#111827', lineHeight: '1.7' }}>
+                        {findings.map(f => <li key={f.text}><strong>{insightKinds[f.kind].label}:</strong> {f.text}</li>)}
+                      </ul>
+                    </div>
+                  )}
+
+                  <div style={section}>
+                    <h2 style={heading}>Key Metrics — {currentMonthLabel}</h2>
+                    <OverviewCards />
+                  </div>
+
+                  <div style={{ breakBefore: 'page' }}>
+                    <h2 style={heading}>Trends — {periodLabel}</h2>
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
+                      {charts.map(c => (
+                        <div key={c.title} style={{ breakInside: 'avoid' }}>
+                          <div style={{ fontSize: '13px', fontWeight: '600', color: c.color, marginBottom: '4px' }}>{c.title}</div>
+                          <AreaChart width={340} height={190} data={c.data} margin={{ top: 5, right: 10, bottom: 0, left: 0 }}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                            <XAxis dataKey="month" tick={{ fontSize: 9 }} interval={3} />
+                            <YAxis tickFormatter={c.format} tick={{ fontSize: 9 }} width={50} />
+                            <Area type="monotone" dataKey="value" stroke={c.color} fill={`${c.color}20`} isAnimationActive={false} />
+                          </AreaChart>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div style={{ breakBefore: 'page' }}>
+                    <h2 style={heading}>{currentMonthLabel} Comparison</h2>
+                    <ComparisonTable />
+                    <p style={{ margin: '12px 0 0', fontSize: '11px', color: '#6B7280' }}>
+                      Rates are derived from the reported counts. Electric usage is in kWh and gas usage in therms. Source: {docket}.
+                    </p>
+                  </div>
+                </td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div style={{ minHeight: '100vh', background: '#F3F4F6', fontFamily: 'system-ui, -apple-system, sans-serif' }}>
       {/* Header */}
       <div style={{ background: 'linear-gradient(135deg, #1E3A5F 0%, #2D5A87 100%)', color: 'white', padding: '24px 32px' }}>
         <h1 style={{ margin: 0, fontSize: '24px', fontWeight: '600' }}>Oregon Energy Burden Dashboard</h1>
         <p style={{ margin: '8px 0 0', opacity: 0.9, fontSize: '14px' }}>
-          PUC Docket RO 16 • January 2024 – September 2025 • 6 Regulated Utilities
+          PUC Docket RO 16 • {periodLabel} • {utilities.length} Regulated Utilities
         </p>
       </div>
 
@@ -883,72 +1394,70 @@ export default function OregonEnergyDashboard() {
         </div>
       </div>
 
+      {/* Reporting window */}
+      <div style={{ background: '#F8FAFC', borderBottom: '1px solid #E5E7EB', padding: '10px 32px' }}>
+        <div style={{ display: 'flex', gap: '16px', alignItems: 'center', flexWrap: 'wrap', fontSize: '13px', color: '#374151' }}>
+          <span style={{ fontWeight: '600', color: '#1E3A5F' }}>Reporting window</span>
+          {[
+            { field: 'start', label: 'From', value: windowStart, min: 0, max: windowEnd },
+            { field: 'end', label: 'To', value: windowEnd, min: windowStart, max: lastMonth },
+            { field: 'asOf', label: 'As of', value: currentMonth, min: windowStart, max: windowEnd }
+          ].map(({ field, label, value, min, max }) => (
+            <label key={field} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              {label}
+              <select
+                value={months[value]}
+                onChange={(e) => updateRange(field, e.target.value)}
+                style={{ padding: '4px 8px', borderRadius: '6px', border: '1px solid #D1D5DB', fontSize: '13px' }}
+              >
+                {months.map((m, i) => (
+                  <option key={m} value={m} disabled={i < min || i > max}>{formatMonthYear(m)}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          {(range.start || range.end || range.asOf) && (
+            <button
+              onClick={() => updateView({ from: null, to: null, asOf: null })}
+              style={{ background: 'none', border: 'none', color: '#2563EB', fontSize: '13px', cursor: 'pointer', padding: 0 }}
+            >
+              Reset to all months
+            </button>
+          )}
+          <span style={{ marginLeft: 'auto', color: '#6B7280', fontSize: '12px' }}>
+            Charts show {windowEnd - windowStart + 1} months; cards and tables are as of {currentMonthShort}
+          </span>
+          <button
+            onClick={copyLink}
+            title="The address bar always holds a link to the current view"
+            style={{
+              padding: '4px 10px', borderRadius: '6px', fontSize: '12px', cursor: 'pointer',
+              border: `1px solid ${linkStatus === 'failed' ? '#FECACA' : linkStatus === 'copied' ? '#A7F3D0' : '#D1D5DB'}`,
+              background: linkStatus === 'failed' ? '#FEF2F2' : linkStatus === 'copied' ? '#ECFDF5' : 'white',
+              color: linkStatus === 'failed' ? '#991B1B' : linkStatus === 'copied' ? '#065F46' : '#374151'
+            }}
+          >
+            {linkStatus === 'copied' ? '✓ Copied' : linkStatus === 'failed' ? 'Copy failed — use the address bar' : 'Copy link to this view'}
+          </button>
+          <button
+            onClick={() => updateView({ report: 'monthly' })}
+            title="A print-ready monthly report for all utilities, as of the selected month"
+            style={{ padding: '4px 10px', borderRadius: '6px', border: 'none', background: '#1E3A5F', fontSize: '12px', color: 'white', cursor: 'pointer' }}
+          >
+            Generate Report
+          </button>
+        </div>
+      </div>
+
       {/* Main Content */}
       <div style={{ padding: '24px 32px', maxWidth: '1400px', margin: '0 auto' }}>
         
         {/* ==================== OVERVIEW TAB ==================== */}
         {activeTab === 'overview' && (
           <>
-            {/* Key Metrics - Row 1 */}
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '16px', marginBottom: '16px' }}>
-              <MetricCard 
-                title="Customers in Arrears" 
-                value={formatNumber(totals.customers)} 
-                trend={trends.customers}
-                subtitle="Sep 2025"
-                color="#DC2626"
-              />
-              <MetricCard 
-                title="Total Arrears Balance" 
-                value={formatCurrency(totals.balance)} 
-                trend={trends.balance}
-                subtitle="All utilities combined"
-                color="#7C3AED"
-              />
-              <MetricCard 
-                title="Monthly Disconnections" 
-                value={formatNumber(totals.disconnections)} 
-                trend={trends.disconnections}
-                subtitle="Sep 2025"
-                color="#EA580C"
-              />
-              <MetricCard 
-                title="Bill Discount Participants" 
-                value={formatNumber(totals.bdParticipants)} 
-                trend={trends.bdParticipants}
-                subtitle="Active enrollees"
-                color="#059669"
-              />
-            </div>
+            <InsightCallout tab="overview" />
 
-            {/* Key Metrics - Row 2: Bill & Usage */}
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '16px', marginBottom: '24px' }}>
-              <MetricCard 
-                title="Avg. Residential Bill" 
-                value={`$${totals.avgBill}`} 
-                trend={trends.avgBill}
-                subtitle="Weighted avg. all utilities"
-                color="#0284C7"
-              />
-              <MetricCard 
-                title="Avg. Electric Usage" 
-                value={`${totals.avgElectricUsage} kWh`}
-                subtitle="PGE, Pacific, Idaho Power"
-                color="#1E3A5F"
-              />
-              <MetricCard 
-                title="Avg. Gas Usage" 
-                value={`${totals.avgGasUsage} therms`}
-                subtitle="NWN, Cascade, Avista"
-                color="#7C3AED"
-              />
-              <MetricCard 
-                title="Total Accounts" 
-                value={formatNumber(totals.totalAccounts)} 
-                subtitle="Residential customers served"
-                color="#374151"
-              />
-            </div>
+            <OverviewCards />
 
             {/* Trend methodology note */}
             <div style={{ 
@@ -958,29 +1467,47 @@ export default function OregonEnergyDashboard() {
               marginBottom: '20px',
               display: 'flex',
               alignItems: 'center',
-              gap: '8px'
+              gap: '8px',
+              flexWrap: 'wrap'
             }}>
               <span style={{ color: '#64748B', fontSize: '14px' }}>ℹ️</span>
               <span style={{ color: '#64748B', fontSize: '13px' }}>
-                Percent change figures compare the average of the most recent 3 months to the prior 3 months.
+                Percent change figures compare the average of {trendPeriodLabels.current} to {trendPeriodLabels.prior || 'an earlier period not yet in the data'}.
               </span>
+              <div style={{ marginLeft: 'auto' }}>
+                <TrendSettings />
+              </div>
             </div>
 
             {/* Utility Filter */}
             <UtilityFilter />
 
+            {/* Arrears chart view */}
+            <div style={{ display: 'flex', gap: '4px', alignItems: 'center', marginBottom: '12px', fontSize: '12px', color: '#6B7280' }}>
+              Arrears charts:
+              {[['total', 'Total'], ['stacked', 'Stacked by Utility'], ['share', '100% Share']].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  onClick={() => updateView({ arrearsView: mode })}
+                  style={{ ...filterButton(arrearsView === mode, '#1E3A5F'), padding: '6px 12px', fontSize: '12px' }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
             {/* Overview Charts - Row 1 */}
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px', marginBottom: '24px' }}>
               {/* Total Customers in Arrears Trend */}
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <ChartTitle defKey="customersInArrears" style={{ color: '#DC2626' }}>Total Customers in Arrears</ChartTitle>
                 <ResponsiveContainer width="100%" height={250}>
-                  <AreaChart data={getChartData(arrearsCustomers)}>
+                  <AreaChart data={getChartData(arrearsCustomers)} stackOffset={arrearsView === 'share' ? 'expand' : 'none'}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
-                    <YAxis tickFormatter={formatNumber} tick={{ fontSize: 10 }} />
-                    <Tooltip formatter={(v) => formatNumber(v)} />
-                    <Area type="monotone" dataKey="value" stroke="#DC2626" fill="#FEE2E2" name="Customers" />
+                    <YAxis tickFormatter={arrearsView === 'share' ? (v) => `${Math.round(v * 100)}%` : formatNumber} tick={{ fontSize: 10 }} />
+                    <Tooltip formatter={arrearsTooltip(formatNumber)} />
+                    {arrearsAreas({ type: 'monotone', stroke: '#DC2626', fill: '#FEE2E2', name: 'Customers' })}
                   </AreaChart>
                 </ResponsiveContainer>
               </div>
@@ -989,12 +1516,12 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <ChartTitle defKey="arrearsBalance" style={{ color: '#7C3AED' }}>Total Arrears Balance</ChartTitle>
                 <ResponsiveContainer width="100%" height={250}>
-                  <AreaChart data={getChartData(arrearsBalance)}>
+                  <AreaChart data={getChartData(arrearsBalance)} stackOffset={arrearsView === 'share' ? 'expand' : 'none'}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
-                    <YAxis tickFormatter={formatCurrency} tick={{ fontSize: 10 }} />
-                    <Tooltip formatter={(v) => formatCurrency(v)} />
-                    <Area type="monotone" dataKey="value" stroke="#7C3AED" fill="#EDE9FE" name="Balance" />
+                    <YAxis tickFormatter={arrearsView === 'share' ? (v) => `${Math.round(v * 100)}%` : formatCurrency} tick={{ fontSize: 10 }} />
+                    <Tooltip formatter={arrearsTooltip(formatCurrency)} />
+                    {arrearsAreas({ type: 'monotone', stroke: '#7C3AED', fill: '#EDE9FE', name: 'Balance' })}
                   </AreaChart>
                 </ResponsiveContainer>
               </div>
@@ -1006,22 +1533,12 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <ChartTitle defKey="daysInArrears">Customers in Arrears by Age Bucket</ChartTitle>
                 <ResponsiveContainer width="100%" height={250}>
-                  <AreaChart data={months.map((month, i) => {
-                    if (selectedUtility === 'all') {
-                      return {
-                        month,
-                        '31-60 Days': utilities.reduce((sum, u) => sum + (arrearsCustomers31_60[u.id]?.[i] || 0), 0),
-                        '61-90 Days': utilities.reduce((sum, u) => sum + (arrearsCustomers61_90[u.id]?.[i] || 0), 0),
-                        '91+ Days': utilities.reduce((sum, u) => sum + (arrearsCustomers91Plus[u.id]?.[i] || 0), 0)
-                      };
-                    }
-                    return {
-                      month,
-                      '31-60 Days': arrearsCustomers31_60[selectedUtility]?.[i] || 0,
-                      '61-90 Days': arrearsCustomers61_90[selectedUtility]?.[i] || 0,
-                      '91+ Days': arrearsCustomers91Plus[selectedUtility]?.[i] || 0
-                    };
-                  })}>
+                  <AreaChart data={inWindow(months.map((month, i) => ({
+                    month,
+                    '31-60 Days': sumSelected(arrearsCustomers31_60, i),
+                    '61-90 Days': sumSelected(arrearsCustomers61_90, i),
+                    '91+ Days': sumSelected(arrearsCustomers91Plus, i)
+                  })))}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
                     <YAxis tickFormatter={formatNumber} tick={{ fontSize: 10 }} />
@@ -1038,22 +1555,12 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <ChartTitle defKey="daysInArrears">Arrears Balance by Age Bucket</ChartTitle>
                 <ResponsiveContainer width="100%" height={250}>
-                  <AreaChart data={months.map((month, i) => {
-                    if (selectedUtility === 'all') {
-                      return {
-                        month,
-                        '31-60 Days': utilities.reduce((sum, u) => sum + (arrearsBalance31_60[u.id]?.[i] || 0), 0),
-                        '61-90 Days': utilities.reduce((sum, u) => sum + (arrearsBalance61_90[u.id]?.[i] || 0), 0),
-                        '91+ Days': utilities.reduce((sum, u) => sum + (arrearsBalance91Plus[u.id]?.[i] || 0), 0)
-                      };
-                    }
-                    return {
-                      month,
-                      '31-60 Days': arrearsBalance31_60[selectedUtility]?.[i] || 0,
-                      '61-90 Days': arrearsBalance61_90[selectedUtility]?.[i] || 0,
-                      '91+ Days': arrearsBalance91Plus[selectedUtility]?.[i] || 0
-                    };
-                  })}>
+                  <AreaChart data={inWindow(months.map((month, i) => ({
+                    month,
+                    '31-60 Days': sumSelected(arrearsBalance31_60, i),
+                    '61-90 Days': sumSelected(arrearsBalance61_90, i),
+                    '91+ Days': sumSelected(arrearsBalance91Plus, i)
+                  })))}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
                     <YAxis tickFormatter={formatCurrency} tick={{ fontSize: 10 }} />
@@ -1073,24 +1580,13 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <ChartTitle defKey="averageBill" style={{ color: '#0284C7' }}>Average Monthly Residential Bill Trend</ChartTitle>
                 <ResponsiveContainer width="100%" height={250}>
-                  <LineChart data={months.map((month, i) => {
-                    if (selectedUtility === 'all') {
-                      // Weighted average
-                      const totalAccounts = utilities.reduce((sum, u) => sum + (accounts[u.id]?.[i] || 0), 0);
-                      const weightedSum = utilities.reduce((sum, u) => {
-                        const acct = accounts[u.id]?.[i] || 0;
-                        const bill = avgBill[u.id]?.[i] || 0;
-                        return sum + (acct * bill);
-                      }, 0);
-                      return { month, value: totalAccounts > 0 ? Math.round(weightedSum / totalAccounts) : 0 };
-                    }
-                    return { month, value: avgBill[selectedUtility]?.[i] || 0 };
-                  })}>
+                  <LineChart data={getChartData(avgBill, { combined: selectedAvgBill, digits: 0 })}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
                     <YAxis tickFormatter={(v) => `$${v}`} tick={{ fontSize: 10 }} />
                     <Tooltip formatter={(v) => `$${v}`} />
-                    <Line type="monotone" dataKey="value" stroke="#0284C7" strokeWidth={2} dot={false} name="Avg Bill" />
+                    {splitSeries && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                    {selectionSeries(Line, { type: 'monotone', stroke: '#0284C7', strokeWidth: 2, dot: false, name: 'Avg Bill' })}
                   </LineChart>
                 </ResponsiveContainer>
               </div>
@@ -1099,34 +1595,116 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <ChartTitle defKey="averageUsage">Average Monthly Residential Usage Trend</ChartTitle>
                 <ResponsiveContainer width="100%" height={250}>
-                  <LineChart data={months.map((month, i) => {
-                    if (selectedUtility === 'all') {
-                      // Show electric utilities average
-                      const electricUtils = ['pge', 'pac', 'ipco'];
-                      const totalAccounts = electricUtils.reduce((sum, u) => sum + (accounts[u]?.[i] || 0), 0);
-                      const weightedSum = electricUtils.reduce((sum, u) => {
-                        const acct = accounts[u]?.[i] || 0;
-                        const usage = avgUsage[u]?.[i] || 0;
-                        return sum + (acct * usage);
-                      }, 0);
-                      return { month, value: totalAccounts > 0 ? Math.round(weightedSum / totalAccounts) : 0 };
-                    }
-                    return { month, value: avgUsage[selectedUtility]?.[i] || 0 };
-                  })}>
+                  <LineChart data={getChartData(avgUsage, { combined: selectedAvgUsage, digits: 0 })}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
                     <YAxis tick={{ fontSize: 10 }} />
-                    <Tooltip formatter={(v) => selectedUtility === 'all' || ['pge', 'pac', 'ipco'].includes(selectedUtility) ? `${v} kWh` : `${v} therms`} />
-                    <Line type="monotone" dataKey="value" stroke="#1E3A5F" strokeWidth={2} dot={false} name="Avg Usage" />
+                    <Tooltip formatter={(v) => `${v} ${usageUnit}`} />
+                    {splitSeries && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                    {selectionSeries(Line, { type: 'monotone', stroke: '#1E3A5F', strokeWidth: 2, dot: false, name: 'Avg Usage' }, usageUtilities)}
                   </LineChart>
                 </ResponsiveContainer>
                 <div style={{ fontSize: '11px', color: '#6B7280', marginTop: '8px', textAlign: 'center' }}>
-                  {selectedUtility === 'all' ? 'Electric utilities (kWh) shown • Select a gas utility for therms' : 
-                   ['pge', 'pac', 'ipco'].includes(selectedUtility) ? 'kWh' : 'Therms'}
+                  {usageUtilities.length < selectedUtilities.length
+                    ? 'Electric utilities (kWh) shown • Select only gas utilities for therms'
+                    : usageType === 'Electric' ? 'kWh' : 'Therms'}
                 </div>
               </div>
             </div>
 
+            {/* Combined Household Energy Cost by Service Area */}
+            {(() => {
+              const shortName = (id) => utilities.find(u => u.id === id)?.short || id;
+              const areaName = (area) => [...area.electric, ...area.gas].map(shortName).join(' + ');
+              const shownAreas = serviceAreaList.filter(a => [...a.electric, ...a.gas].some(id => selectedIds.includes(id)));
+              const dualFuel = shownAreas.filter(a => a.electric.length && a.gas.length).slice(0, 5);
+              const palette = ['#0284C7', '#7C3AED', '#EA580C', '#059669', '#DC2626'];
+              const allBill = weightedAverage(dataset.metrics, 'avgBill', utilities.map(u => u.id));
+              const chartRows = inWindow(months.map((month, i) => {
+                const row = { month, weighted: allBill[i] === null ? null : Math.round(allBill[i]) };
+                dualFuel.forEach(a => { row[a.id] = combinedBill(a, avgBill, i); });
+                return row;
+              }));
+              const yearBill = (area) => {
+                const values = months.map((_, i) => combinedBill(area, avgBill, i)).slice(Math.max(0, currentMonth - 11), currentMonth + 1).filter(v => v !== null);
+                return values.length === 12 ? values.reduce((a, b) => a + b, 0) / 12 : null;
+              };
+              const sumOf = (obj, ids) => ids.reduce((s, id) => s + (obj[id] || 0), 0);
+              const money = (v) => (v === null ? '—' : `$${Math.round(v).toLocaleString()}`);
+
+              return (
+                <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+                  <ChartTitle defKey="averageBill" style={{ color: '#0284C7', margin: '0 0 8px' }}>Combined Household Energy Cost by Service Area</ChartTitle>
+                  <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>
+                    Service areas group ZIP codes by the electric and gas utilities serving them ({geoMonthLabels[latestZipMonth]} ZIP data).
+                    Where both serve, a household typically pays both bills, so its energy cost is the electric plus the gas average bill, not the account-weighted average of the two.
+                  </p>
+
+                  {dualFuel.length > 0 && (
+                    <ResponsiveContainer width="100%" height={260}>
+                      <LineChart data={chartRows}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                        <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={2} />
+                        <YAxis tickFormatter={(v) => `$${v}`} tick={{ fontSize: 10 }} />
+                        <Tooltip formatter={(v, name) => [money(v), name]} />
+                        <Legend wrapperStyle={{ fontSize: '11px' }} />
+                        {dualFuel.map((a, n) => (
+                          <Line key={a.id} type="monotone" dataKey={a.id} stroke={palette[n]} strokeWidth={2} dot={false} name={areaName(a)} />
+                        ))}
+                        <Line type="monotone" dataKey="weighted" stroke="#9CA3AF" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Weighted avg. bill (all accounts)" />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  )}
+
+                  <div style={{ overflowX: 'auto', marginTop: '16px' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                      <thead>
+                        <tr>
+                          <th style={{ ...th, textAlign: 'left' }}>Service Area</th>
+                          <th style={th}>ZIPs</th>
+                          <th style={th}>Electric Accts</th>
+                          <th style={th}>Gas Accts</th>
+                          <th style={th}>Est. Dual-Fuel Households</th>
+                          <th style={th}>Combined Bill ({currentMonthShort})</th>
+                          <th style={th}>12-Mo Avg. Combined Bill</th>
+                          <th style={th}>Accts in Arrears</th>
+                          <th style={th}>Est. Arrears Exposure</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {shownAreas.map(a => {
+                          const accounts = sumOf(a.accounts, Object.keys(a.accounts));
+                          const inArrears = sumOf(a.arrears, Object.keys(a.arrears));
+                          const exposure = arrearsExposure(a, averageArrears, latestZipMonthIndex);
+                          return (
+                            <tr key={a.id}>
+                              <td style={{ ...td, textAlign: 'left', fontWeight: '500' }}>
+                                {areaName(a)}
+                                {!(a.electric.length && a.gas.length) && <span style={{ color: '#9CA3AF', fontWeight: 'normal' }}> ({a.electric.length ? 'no gas' : 'no electric'} in data)</span>}
+                              </td>
+                              <td style={td}>{a.zips.length}</td>
+                              <td style={td}>{a.electric.length ? sumOf(a.accounts, a.electric).toLocaleString() : '—'}</td>
+                              <td style={td}>{a.gas.length ? sumOf(a.accounts, a.gas).toLocaleString() : '—'}</td>
+                              <td style={td}>{a.dualFuelHouseholds ? a.dualFuelHouseholds.toLocaleString() : '—'}</td>
+                              <td style={{ ...td, fontWeight: '600', color: '#0284C7' }}>{money(combinedBill(a, avgBill, currentMonth))}</td>
+                              <td style={td}>{money(yearBill(a))}</td>
+                              <td style={td}>{inArrears.toLocaleString()} ({(inArrears / accounts * 100).toFixed(1)}%)</td>
+                              <td style={{ ...td, color: '#DC2626' }}>{formatCurrency(exposure.total)}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p style={{ margin: '12px 0 0', fontSize: '11px', color: '#6B7280', fontStyle: 'italic' }}>
+                    Estimates: dual-fuel households are the smaller of each ZIP's electric and gas account counts; arrears exposure is each utility's accounts in arrears
+                    in the area times its statewide average arrears per customer ({formatMonthYear(months[latestZipMonthIndex])}), since ZIP data reports counts, not balances.
+                    Bills are utility-wide averages and do not vary by ZIP.
+                  </p>
+                </div>
+              );
+            })()}
+
             {/* Overview Charts - Row 3 */}
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px', marginBottom: '24px' }}>
               {/* Disconnections Trend */}
@@ -1138,7 +1716,8 @@ export default function OregonEnergyDashboard() {
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
                     <YAxis tickFormatter={formatNumber} tick={{ fontSize: 10 }} />
                     <Tooltip formatter={(v) => formatNumber(v)} />
-                    <Bar dataKey="value" fill="#EA580C" name="Disconnections" />
+                    {splitSeries && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                    {selectionSeries(Bar, { fill: '#EA580C', name: 'Disconnections' })}
                   </BarChart>
                 </ResponsiveContainer>
               </div>
@@ -1152,7 +1731,8 @@ export default function OregonEnergyDashboard() {
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
                     <YAxis tickFormatter={formatNumber} tick={{ fontSize: 10 }} />
                     <Tooltip formatter={(v) => formatNumber(v)} />
-                    <Area type="monotone" dataKey="value" stroke="#059669" fill="#D1FAE5" name="Participants" />
+                    {splitSeries && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                    {selectionSeries(Area, { type: 'monotone', stroke: '#059669', fill: '#D1FAE5', name: 'Participants' })}
                   </AreaChart>
                 </ResponsiveContainer>
               </div>
@@ -1164,39 +1744,25 @@ export default function OregonEnergyDashboard() {
         {activeTab === 'arrears' && (
           <>
             <UtilityFilter />
+            <InsightCallout tab="arrears" />
 
             {/* Arrears Trend Indicator */}
             {(() => {
-              const recentMonths = 3;
-              const getAvg = (arr, start, count) => arr.slice(start, start + count).reduce((a, b) => a + b, 0) / count;
-              
-              const customerData = selectedUtility === 'all'
-                ? months.map((_, i) => utilities.reduce((sum, u) => sum + arrearsCustomers[u.id][i], 0))
-                : arrearsCustomers[selectedUtility] || [];
-              const balanceData = selectedUtility === 'all'
-                ? months.map((_, i) => utilities.reduce((sum, u) => sum + arrearsBalance[u.id][i], 0))
-                : arrearsBalance[selectedUtility] || [];
+              const customerData = upToAsOf(months.map((_, i) => sumSelected(arrearsCustomers, i)));
+              const balanceData = upToAsOf(months.map((_, i) => sumSelected(arrearsBalance, i)));
               
-              const recentCust = getAvg(customerData, customerData.length - recentMonths, recentMonths);
-              const priorCust = getAvg(customerData, customerData.length - recentMonths * 2, recentMonths);
-              const custChange = ((recentCust - priorCust) / priorCust) * 100;
-              
-              const recentBal = getAvg(balanceData, balanceData.length - recentMonths, recentMonths);
-              const priorBal = getAvg(balanceData, balanceData.length - recentMonths * 2, recentMonths);
-              const balChange = ((recentBal - priorBal) / priorBal) * 100;
-              
-              const getTrendIcon = (change) => {
-                if (change > 2) return { icon: '↑', color: '#DC2626', text: 'Trending Up' };
-                if (change < -2) return { icon: '↓', color: '#059669', text: 'Trending Down' };
-                return { icon: '→', color: '#6B7280', text: 'Flat' };
-              };
+              const custComparison = computeTrend(customerData, trendSettings);
+              const balComparison = computeTrend(balanceData, trendSettings);
               
-              const custTrend = getTrendIcon(custChange);
-              const balTrend = getTrendIcon(balChange);
+              const custTrend = trendStatus(custComparison, '#DC2626');
+              const balTrend = trendStatus(balComparison, '#DC2626');
               
               return (
                 <div style={{ background: 'linear-gradient(135deg, #1E3A5F 0%, #2D5A87 100%)', borderRadius: '12px', padding: '20px', marginBottom: '24px' }}>
-                  <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: 'white' }}>Arrears Trend Analysis (3-Month Comparison)</h3>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap', marginBottom: '16px' }}>
+                    <h3 style={{ margin: 0, fontSize: '16px', color: 'white' }}>Arrears Trend Analysis ({trendModes[trendSettings.mode].label}) — {selectionLabel}</h3>
+                    <TrendSettings dark />
+                  </div>
                   <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' }}>
                     <div style={{ background: 'rgba(255,255,255,0.1)', borderRadius: '8px', padding: '16px' }}>
                       <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
@@ -1204,7 +1770,7 @@ export default function OregonEnergyDashboard() {
                         <div>
                           <div style={{ color: 'rgba(255,255,255,0.7)', fontSize: '12px' }}>Customers in Arrears</div>
                           <div style={{ color: 'white', fontSize: '18px', fontWeight: '600' }}>{custTrend.text}</div>
-                          <div style={{ color: custTrend.color, fontSize: '14px' }}>{custChange >= 0 ? '+' : ''}{custChange.toFixed(1)}% vs prior 3 months</div>
+                          <div style={{ color: custTrend.color, fontSize: '14px' }}>{trendChangeText(custComparison)}</div>
                         </div>
                       </div>
                     </div>
@@ -1214,7 +1780,7 @@ export default function OregonEnergyDashboard() {
                         <div>
                           <div style={{ color: 'rgba(255,255,255,0.7)', fontSize: '12px' }}>Total Arrears Balance</div>
                           <div style={{ color: 'white', fontSize: '18px', fontWeight: '600' }}>{balTrend.text}</div>
-                          <div style={{ color: balTrend.color, fontSize: '14px' }}>{balChange >= 0 ? '+' : ''}{balChange.toFixed(1)}% vs prior 3 months</div>
+                          <div style={{ color: balTrend.color, fontSize: '14px' }}>{trendChangeText(balComparison)}</div>
                         </div>
                       </div>
                     </div>
@@ -1223,24 +1789,23 @@ export default function OregonEnergyDashboard() {
               );
             })()}
 
+            <ForecastControls metrics={[arrearsCustomers, arrearsBalance]} />
+
             {/* Total Arrears Charts */}
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px', marginBottom: '24px' }}>
               {/* Total Customers in Arrears */}
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <ChartTitle defKey="customersInArrears">Total Customers in Arrears</ChartTitle>
                 <ResponsiveContainer width="100%" height={250}>
-                  <AreaChart data={months.map((month, i) => ({
-                    month,
-                    value: selectedUtility === 'all' 
-                      ? utilities.reduce((sum, u) => sum + arrearsCustomers[u.id][i], 0)
-                      : arrearsCustomers[selectedUtility]?.[i] || 0
-                  }))}>
+                  <ComposedChart data={getForecastChartData(arrearsCustomers)}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={2} />
                     <YAxis tickFormatter={formatNumber} tick={{ fontSize: 10 }} />
-                    <Tooltip formatter={(v) => formatNumber(v)} />
-                    <Area type="monotone" dataKey="value" stroke="#3B82F6" fill="#93C5FD" strokeWidth={2} name="Customers" />
-                  </AreaChart>
+                    <Tooltip formatter={forecastTooltip(formatNumber)} />
+                    {(splitSeries || showForecast) && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                    {selectionSeries(Area, { type: 'monotone', stroke: '#3B82F6', fill: '#93C5FD', strokeWidth: 2, name: 'Customers' })}
+                    {forecastElements('#3B82F6')}
+                  </ComposedChart>
                 </ResponsiveContainer>
               </div>
 
@@ -1248,26 +1813,140 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <ChartTitle defKey="arrearsBalance">Total Arrears Balance</ChartTitle>
                 <ResponsiveContainer width="100%" height={250}>
-                  <AreaChart data={months.map((month, i) => ({
-                    month,
-                    value: selectedUtility === 'all' 
-                      ? utilities.reduce((sum, u) => sum + arrearsBalance[u.id][i], 0)
-                      : arrearsBalance[selectedUtility]?.[i] || 0
-                  }))}>
+                  <ComposedChart data={getForecastChartData(arrearsBalance)}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={2} />
                     <YAxis tickFormatter={formatCurrency} tick={{ fontSize: 10 }} />
-                    <Tooltip formatter={(v) => formatCurrency(v)} />
-                    <Area type="monotone" dataKey="value" stroke="#DC2626" fill="#FCA5A5" strokeWidth={2} name="Balance" />
-                  </AreaChart>
+                    <Tooltip formatter={forecastTooltip(formatCurrency)} />
+                    {(splitSeries || showForecast) && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                    {selectionSeries(Area, { type: 'monotone', stroke: '#DC2626', fill: '#FCA5A5', strokeWidth: 2, name: 'Balance' })}
+                    {forecastElements('#DC2626')}
+                  </ComposedChart>
                 </ResponsiveContainer>
               </div>
             </div>
+
+            <SeasonalPanel tab="arrears" options={[
+              { key: 'arrearsCustomers', label: 'Customers in Arrears', format: formatNumber },
+              { key: 'arrearsBalance', label: 'Arrears Balance', format: formatCurrency }
+            ]} />
+
+            {/* Arrears Aging Flow */}
+            {(() => {
+              const format = agingBasis === 'Balance' ? formatCurrency : formatNumber;
+              const pct = (v) => (v === null || v === undefined ? '—' : `${(v * 100).toFixed(1)}%`);
+              const flow = agingFlow(dataset.metrics, agingBasis, selectedIds, currentMonth);
+              const rateRows = inWindow(months.map((month, i) => {
+                const r = rollRates(dataset.metrics, agingBasis, selectedIds, i);
+                return { month, roll31: r?.roll31 ?? null, roll61: r?.roll61 ?? null };
+              }));
+              const windowAverage = (uid, key) => {
+                const values = inWindow(months.map((_, i) => rollRates(dataset.metrics, agingBasis, [uid], i)?.[key] ?? null)).filter(v => v !== null);
+                return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+              };
+
+              return (
+                <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap', marginBottom: '8px' }}>
+                    <ChartTitle defKey="daysInArrears" style={{ margin: 0 }}>Arrears Aging Flow — {selectionLabel}</ChartTitle>
+                    <div style={{ display: 'flex', gap: '4px' }}>
+                      {Object.entries(agingBases).map(([basis, { label }]) => (
+                        <button
+                          key={basis}
+                          onClick={() => setAgingBasis(basis)}
+                          style={{ ...filterButton(agingBasis === basis, '#1E3A5F'), padding: '6px 12px', fontSize: '12px' }}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>
+                    Estimated from bucket totals: what was 31-60 days past due last month can only be 61-90 days now, and 91+ days now can only come
+                    from last month's 61-90 and 91+ buckets. The rest cured or otherwise left the bucket (paid, payment arrangement, write-off).
+                  </p>
+
+                  <div style={{ display: 'grid', gridTemplateColumns: '3fr 2fr', gap: '24px', marginBottom: '24px' }}>
+                    <div>
+                      <div style={{ fontSize: '12px', fontWeight: '600', color: '#374151', marginBottom: '4px' }}>
+                        {months[currentMonth - 1] ? `${formatMonthYear(months[currentMonth - 1])} → ${currentMonthShort}` : currentMonthShort}
+                      </div>
+                      {flow ? (
+                        <ResponsiveContainer width="100%" height={300}>
+                          <Sankey
+                            data={flow}
+                            node={<AgingFlowNode format={format} />}
+                            nodePadding={24}
+                            margin={{ top: 10, right: 10, bottom: 10, left: 10 }}
+                            link={{ stroke: '#CBD5E1' }}
+                          >
+                            <Tooltip formatter={(v) => format(v)} />
+                          </Sankey>
+                        </ResponsiveContainer>
+                      ) : (
+                        <p style={{ fontSize: '13px', color: '#6B7280' }}>
+                          Needs bucket data for {currentMonthShort} and the month before from every selected utility.
+                        </p>
+                      )}
+                    </div>
+                    <div>
+                      <div style={{ fontSize: '12px', fontWeight: '600', color: '#374151', marginBottom: '4px' }}>Roll-forward rates ({periodShort})</div>
+                      <ResponsiveContainer width="100%" height={300}>
+                        <LineChart data={rateRows}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                          <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
+                          <YAxis tickFormatter={(v) => `${Math.round(v * 100)}%`} tick={{ fontSize: 10 }} domain={[0, 'auto']} />
+                          <Tooltip formatter={(v, name) => [pct(v), name]} />
+                          <Legend wrapperStyle={{ fontSize: '11px' }} />
+                          <Line type="monotone" dataKey="roll31" stroke="#F97316" strokeWidth={2} dot={false} name="31-60 → 61-90" />
+                          <Line type="monotone" dataKey="roll61" stroke="#DC2626" strokeWidth={2} dot={false} name="61+ → 91+" />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+
+                  <div style={{ overflowX: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                      <thead>
+                        <tr>
+                          <th style={{ ...th, textAlign: 'left' }}>Utility</th>
+                          <th style={th}>31-60 → 61-90 roll ({currentMonthShort})</th>
+                          <th style={th}>31-60 cure</th>
+                          <th style={th}>61+ → 91+ roll</th>
+                          <th style={th}>61+ cure</th>
+                          <th style={th}>Avg. 31-60 roll ({periodShort})</th>
+                          <th style={th}>Avg. 61+ roll</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {utilities.map(u => {
+                          const r = rollRates(dataset.metrics, agingBasis, [u.id], currentMonth) || {};
+                          return (
+                            <tr key={u.id} style={{ background: !allSelected && selectedIds.includes(u.id) ? '#F8FAFC' : 'white' }}>
+                              <td style={{ ...td, textAlign: 'left', fontWeight: '500', color: u.color }}>{u.name}</td>
+                              <td style={td}>{pct(r.roll31)}</td>
+                              <td style={{ ...td, color: '#059669' }}>{pct(r.cure31)}</td>
+                              <td style={td}>{pct(r.roll61)}</td>
+                              <td style={{ ...td, color: '#059669' }}>{pct(r.cure61)}</td>
+                              <td style={td}>{pct(windowAverage(u.id, 'roll31'))}</td>
+                              <td style={td}>{pct(windowAverage(u.id, 'roll61'))}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p style={{ margin: '12px 0 0', fontSize: '11px', color: '#6B7280', fontStyle: 'italic' }}>
+                    A roll rate above 100% means the older bucket grew by more than could have aged into it, usually late charges added to aged balances; the cure rate is then shown as 0%.
+                  </p>
+                </div>
+              );
+            })()}
             
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px', marginBottom: '24px' }}>
               {/* Balance by Utility */}
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
-                <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>Arrears Balance by Utility (Sep 2025)</h3>
+                <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>Arrears Balance by Utility ({currentMonthShort})</h3>
                 <ResponsiveContainer width="100%" height={300}>
                   <BarChart data={utilities.map(u => ({ name: u.short, balance: arrearsBalance[u.id][currentMonth], color: u.color }))} layout="vertical">
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
@@ -1283,11 +1962,11 @@ export default function OregonEnergyDashboard() {
 
               {/* Average Balance per Customer */}
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
-                <ChartTitle defKey="averageArrears">Average Arrears per Customer (Sep 2025)</ChartTitle>
+                <ChartTitle defKey="averageArrears">Average Arrears per Customer ({currentMonthShort})</ChartTitle>
                 <ResponsiveContainer width="100%" height={300}>
                   <BarChart data={utilities.map(u => ({ 
                     name: u.short, 
-                    avg: Math.round(arrearsBalance[u.id][currentMonth] / arrearsCustomers[u.id][currentMonth]),
+                    avg: Math.round(averageArrears[u.id][currentMonth] || 0),
                     color: u.color 
                   }))} layout="vertical">
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
@@ -1306,11 +1985,11 @@ export default function OregonEnergyDashboard() {
             <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
               <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>Arrears Balance Trend - All Utilities</h3>
               <ResponsiveContainer width="100%" height={350}>
-                <LineChart data={months.map((month, i) => {
+                <LineChart data={inWindow(months.map((month, i) => {
                   const row = { month };
                   utilities.forEach(u => { row[u.short] = arrearsBalance[u.id][i]; });
                   return row;
-                })}>
+                }))}>
                   <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                   <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={2} />
                   <YAxis tickFormatter={formatCurrency} tick={{ fontSize: 10 }} />
@@ -1326,7 +2005,7 @@ export default function OregonEnergyDashboard() {
             {/* Arrears by Age Bucket - Current Month */}
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px', marginBottom: '24px' }}>
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
-                <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>Arrears Balance by Age Bucket (Sep 2025)</h3>
+                <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>Arrears Balance by Age Bucket ({currentMonthShort})</h3>
                 <ResponsiveContainer width="100%" height={300}>
                   <BarChart data={utilities.map(u => ({
                     name: u.short,
@@ -1347,7 +2026,7 @@ export default function OregonEnergyDashboard() {
               </div>
 
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
-                <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>Customers by Age Bucket (Sep 2025)</h3>
+                <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>Customers by Age Bucket ({currentMonthShort})</h3>
                 <ResponsiveContainer width="100%" height={300}>
                   <BarChart data={utilities.map(u => ({
                     name: u.short,
@@ -1367,6 +2046,132 @@ export default function OregonEnergyDashboard() {
                 </ResponsiveContainer>
               </div>
             </div>
+
+            {/* Energy Assistance alongside arrears and bill discounts */}
+            {(() => {
+              const assistanceKeys = ['energyAssistanceRecipients', 'energyAssistanceDollars'];
+              const reporting = selectedIds.filter(id => assistanceKeys.some(key => reportingUtilities(dataset.metrics, key).includes(id)));
+              const pct = (a, b) => (isNum(a) && isNum(b) && b > 0 ? (a / b) * 100 : null);
+              const percent = (v) => `${v.toFixed(1)}%`;
+              // Arrears, discounts and customers only for the utilities that reported `key` that
+              // month, so the comparison is like for like when some have not filed
+              const sumAlongside = (key, dataObj, i) => {
+                const ids = reporting.filter(id => isNum(dataset.metrics[key]?.[id]?.[i]));
+                return ids.length ? ids.reduce((sum, id) => sum + (dataObj[id]?.[i] || 0), 0) : null;
+              };
+              const dollarData = inWindow(months.map((month, i) => {
+                const assistance = sumReported('energyAssistanceDollars', i);
+                const discounts = sumAlongside('energyAssistanceDollars', billDiscountDollars, i);
+                const arrears = sumAlongside('energyAssistanceDollars', arrearsBalance, i);
+                return {
+                  month,
+                  assistance,
+                  discounts,
+                  arrears,
+                  coverage: isNum(assistance) ? pct(assistance + discounts, arrears) : null
+                };
+              }));
+              const recipientData = inWindow(months.map((month, i) => ({
+                month,
+                recipients: sumReported('energyAssistanceRecipients', i),
+                participants: sumAlongside('energyAssistanceRecipients', billDiscountParticipants, i),
+                inArrears: sumAlongside('energyAssistanceRecipients', arrearsCustomers, i)
+              })));
+
+              return (
+                <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginTop: '24px' }}>
+                  <ChartTitle defKey="energyAssistanceRecipient" style={{ margin: '0 0 8px' }}>Energy Assistance, Bill Discounts and Arrears — {selectionLabel}</ChartTitle>
+                  <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>
+                    Bill payment assistance (LIHEAP, OEAP and customer-funded programs) and bill discount dollars set against the arrears balance they help pay down.
+                    Arrears and discounts are summed over the same utilities that reported assistance.
+                  </p>
+
+                  {!reporting.length ? (
+                    <div style={{ padding: '32px', textAlign: 'center', color: '#6B7280', fontSize: '13px', background: '#F9FAFB', borderRadius: '8px' }}>
+                      No {allSelected ? '' : 'selected '}utility has reported energy assistance recipients or dollars yet.
+                    </div>
+                  ) : (
+                    <>
+                      <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '24px', marginBottom: '24px' }}>
+                        <div>
+                          <div style={{ fontSize: '13px', fontWeight: '600', color: '#1E3A5F', marginBottom: '8px' }}>Monthly Dollars</div>
+                          <ResponsiveContainer width="100%" height={280}>
+                            <ComposedChart data={dollarData}>
+                              <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                              <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
+                              <YAxis yAxisId="dollars" tickFormatter={formatCurrency} tick={{ fontSize: 10 }} />
+                              <YAxis yAxisId="share" orientation="right" tickFormatter={(v) => `${v.toFixed(0)}%`} tick={{ fontSize: 10 }} domain={[0, 'auto']} />
+                              <Tooltip formatter={(v, name) => [name === 'Help as % of arrears' ? show(percent)(v) : show(formatCurrency)(v), name]} />
+                              <Legend wrapperStyle={{ fontSize: '11px' }} />
+                              <Bar yAxisId="dollars" dataKey="assistance" stackId="help" fill="#7C3AED" name="Energy assistance" />
+                              <Bar yAxisId="dollars" dataKey="discounts" stackId="help" fill="#059669" name="Bill discounts" />
+                              <Line yAxisId="dollars" type="monotone" dataKey="arrears" stroke="#DC2626" strokeWidth={2} dot={false} name="Arrears balance" />
+                              <Line yAxisId="share" type="monotone" dataKey="coverage" stroke="#1E3A5F" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Help as % of arrears" />
+                            </ComposedChart>
+                          </ResponsiveContainer>
+                        </div>
+                        <div>
+                          <div style={{ fontSize: '13px', fontWeight: '600', color: '#1E3A5F', marginBottom: '8px' }}>Customers</div>
+                          <ResponsiveContainer width="100%" height={280}>
+                            <LineChart data={recipientData}>
+                              <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                              <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={5} />
+                              <YAxis tickFormatter={formatNumber} tick={{ fontSize: 10 }} />
+                              <Tooltip formatter={(v, name) => [show(formatNumber)(v), name]} />
+                              <Legend wrapperStyle={{ fontSize: '11px' }} />
+                              <Line type="monotone" dataKey="recipients" stroke="#7C3AED" strokeWidth={2} dot={false} name="Assistance recipients" />
+                              <Line type="monotone" dataKey="participants" stroke="#059669" strokeWidth={2} dot={false} name="Discount participants" />
+                              <Line type="monotone" dataKey="inArrears" stroke="#DC2626" strokeWidth={2} dot={false} name="In arrears" />
+                            </LineChart>
+                          </ResponsiveContainer>
+                        </div>
+                      </div>
+
+                      <div style={{ overflowX: 'auto' }}>
+                        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                          <thead>
+                            <tr>
+                              <th style={{ ...th, textAlign: 'left' }}>Utility ({currentMonthShort})</th>
+                              <th style={th}>Recipients</th>
+                              <th style={th}>% of Accounts</th>
+                              <th style={th}>Assistance $</th>
+                              <th style={th}>Bill Discount $</th>
+                              <th style={th}>Arrears Balance</th>
+                              <th style={th}>Assistance % of Arrears</th>
+                              <th style={th}>Assistance + Discounts % of Arrears</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {selectedUtilities.map(u => {
+                              const assistance = dataset.metrics.energyAssistanceDollars?.[u.id]?.[currentMonth];
+                              const discounts = billDiscountDollars[u.id][currentMonth];
+                              const arrears = arrearsBalance[u.id][currentMonth];
+                              return (
+                                <tr key={u.id}>
+                                  <td style={{ ...td, textAlign: 'left', fontWeight: '500', color: u.color }}>{u.name}</td>
+                                  <td style={td}>{show(formatNumber)(dataset.metrics.energyAssistanceRecipients?.[u.id]?.[currentMonth])}</td>
+                                  <td style={td}>{show(percent)(derived.energyAssistanceRate[u.id]?.[currentMonth])}</td>
+                                  <td style={{ ...td, color: '#7C3AED' }}>{show(formatCurrency)(assistance)}</td>
+                                  <td style={td}>{show(formatCurrency)(discounts)}</td>
+                                  <td style={td}>{show(formatCurrency)(arrears)}</td>
+                                  <td style={td}>{show(percent)(derived.energyAssistanceToArrears[u.id]?.[currentMonth])}</td>
+                                  <td style={{ ...td, fontWeight: '600' }}>{show(percent)(isNum(assistance) ? pct(assistance + discounts, arrears) : null)}</td>
+                                </tr>
+                              );
+                            })}
+                          </tbody>
+                        </table>
+                      </div>
+                    </>
+                  )}
+                  <p style={{ margin: '12px 0 0', fontSize: '11px', color: '#6B7280', fontStyle: 'italic' }}>
+                    Recipients count customers helped at least once in the past 12 months, while dollars are for the month, so the two are not divided into a per-recipient
+                    amount. The filings do not say how many recipients are also in arrears or enrolled in a bill discount; the customer lines show the size of each group,
+                    not their overlap. Assistance is often paid toward past-due balances, so a month with large payments can lower the arrears balance it is compared with.
+                  </p>
+                </div>
+              );
+            })()}
           </>
         )}
 
@@ -1374,44 +2179,25 @@ export default function OregonEnergyDashboard() {
         {activeTab === 'disconnections' && (
           <>
             <UtilityFilter />
+            <InsightCallout tab="disconnections" />
 
             {/* Disconnections Trend Indicator */}
             {(() => {
-              const recentMonths = 3;
-              const getAvg = (arr, start, count) => arr.slice(start, start + count).reduce((a, b) => a + b, 0) / count;
-              
-              const discData = selectedUtility === 'all'
-                ? months.map((_, i) => utilities.reduce((sum, u) => sum + disconnections[u.id][i], 0))
-                : disconnections[selectedUtility] || [];
-              
-              const rateData = selectedUtility === 'all'
-                ? months.map((_, i) => {
-                    const totalDisc = utilities.reduce((sum, u) => sum + disconnections[u.id][i], 0);
-                    const totalAcct = utilities.reduce((sum, u) => sum + accounts[u.id][i], 0);
-                    return totalAcct > 0 ? (totalDisc / totalAcct) * 100 : 0;
-                  })
-                : discPct[selectedUtility] || [];
+              const discData = upToAsOf(months.map((_, i) => sumSelected(disconnections, i)));
+              const rateData = upToAsOf(selectedRates.discPct);
               
-              const recentDisc = getAvg(discData, discData.length - recentMonths, recentMonths);
-              const priorDisc = getAvg(discData, discData.length - recentMonths * 2, recentMonths);
-              const discChange = ((recentDisc - priorDisc) / priorDisc) * 100;
-              
-              const recentRate = getAvg(rateData, rateData.length - recentMonths, recentMonths);
-              const priorRate = getAvg(rateData, rateData.length - recentMonths * 2, recentMonths);
-              const rateChange = ((recentRate - priorRate) / priorRate) * 100;
-              
-              const getTrendIcon = (change) => {
-                if (change > 2) return { icon: '↑', color: '#F59E0B', text: 'Trending Up' };
-                if (change < -2) return { icon: '↓', color: '#059669', text: 'Trending Down' };
-                return { icon: '→', color: '#6B7280', text: 'Flat' };
-              };
+              const discComparison = computeTrend(discData, trendSettings);
+              const rateComparison = computeTrend(rateData, trendSettings);
               
-              const discTrend = getTrendIcon(discChange);
-              const rateTrend = getTrendIcon(rateChange);
+              const discTrend = trendStatus(discComparison, '#F59E0B');
+              const rateTrend = trendStatus(rateComparison, '#F59E0B');
               
               return (
                 <div style={{ background: 'linear-gradient(135deg, #334155 0%, #475569 100%)', borderRadius: '12px', padding: '20px', marginBottom: '24px' }}>
-                  <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: 'white' }}>Disconnections Trend Analysis (3-Month Comparison)</h3>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap', marginBottom: '16px' }}>
+                    <h3 style={{ margin: 0, fontSize: '16px', color: 'white' }}>Disconnections Trend Analysis ({trendModes[trendSettings.mode].label}) — {selectionLabel}</h3>
+                    <TrendSettings dark />
+                  </div>
                   <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' }}>
                     <div style={{ background: 'rgba(255,255,255,0.1)', borderRadius: '8px', padding: '16px' }}>
                       <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
@@ -1419,7 +2205,7 @@ export default function OregonEnergyDashboard() {
                         <div>
                           <div style={{ color: 'rgba(255,255,255,0.7)', fontSize: '12px' }}>Total Disconnections</div>
                           <div style={{ color: 'white', fontSize: '18px', fontWeight: '600' }}>{discTrend.text}</div>
-                          <div style={{ color: discTrend.color === '#F59E0B' ? '#FCD34D' : discTrend.color === '#059669' ? '#6EE7B7' : '#D1D5DB', fontSize: '14px' }}>{discChange >= 0 ? '+' : ''}{discChange.toFixed(1)}% vs prior 3 months</div>
+                          <div style={{ color: discTrend.color === '#F59E0B' ? '#FCD34D' : discTrend.color === '#059669' ? '#6EE7B7' : '#D1D5DB', fontSize: '14px' }}>{trendChangeText(discComparison)}</div>
                         </div>
                       </div>
                     </div>
@@ -1429,7 +2215,7 @@ export default function OregonEnergyDashboard() {
                         <div>
                           <div style={{ color: 'rgba(255,255,255,0.7)', fontSize: '12px' }}>Disconnection Rate</div>
                           <div style={{ color: 'white', fontSize: '18px', fontWeight: '600' }}>{rateTrend.text}</div>
-                          <div style={{ color: rateTrend.color === '#F59E0B' ? '#FCD34D' : rateTrend.color === '#059669' ? '#6EE7B7' : '#D1D5DB', fontSize: '14px' }}>{rateChange >= 0 ? '+' : ''}{rateChange.toFixed(1)}% vs prior 3 months</div>
+                          <div style={{ color: rateTrend.color === '#F59E0B' ? '#FCD34D' : rateTrend.color === '#059669' ? '#6EE7B7' : '#D1D5DB', fontSize: '14px' }}>{trendChangeText(rateComparison)}</div>
                         </div>
                       </div>
                     </div>
@@ -1438,24 +2224,23 @@ export default function OregonEnergyDashboard() {
               );
             })()}
             
+            <ForecastControls metrics={[disconnections]} />
+
             {/* Total Disconnections Charts */}
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px', marginBottom: '24px' }}>
               {/* Total Disconnections Trend */}
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <ChartTitle defKey="disconnections">Total Disconnections Trend</ChartTitle>
                 <ResponsiveContainer width="100%" height={250}>
-                  <BarChart data={months.map((month, i) => ({
-                    month,
-                    value: selectedUtility === 'all' 
-                      ? utilities.reduce((sum, u) => sum + disconnections[u.id][i], 0)
-                      : disconnections[selectedUtility]?.[i] || 0
-                  }))}>
+                  <ComposedChart data={getForecastChartData(disconnections)}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={2} />
                     <YAxis tick={{ fontSize: 10 }} />
-                    <Tooltip />
-                    <Bar dataKey="value" fill="#64748B" radius={[4, 4, 0, 0]} name="Disconnections" />
-                  </BarChart>
+                    <Tooltip formatter={forecastTooltip((v) => Math.round(v).toLocaleString())} />
+                    {(splitSeries || showForecast) && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                    {selectionSeries(Bar, { fill: '#64748B', radius: [4, 4, 0, 0], name: 'Disconnections' })}
+                    {forecastElements('#EA580C')}
+                  </ComposedChart>
                 </ResponsiveContainer>
               </div>
 
@@ -1463,31 +2248,28 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <ChartTitle defKey="disconnectionRate">Disconnection Rate Trend (%)</ChartTitle>
                 <ResponsiveContainer width="100%" height={250}>
-                  <AreaChart data={months.map((month, i) => {
-                    let rate;
-                    if (selectedUtility === 'all') {
-                      const totalDisc = utilities.reduce((sum, u) => sum + disconnections[u.id][i], 0);
-                      const totalAcct = utilities.reduce((sum, u) => sum + accounts[u.id][i], 0);
-                      rate = totalAcct > 0 ? (totalDisc / totalAcct) * 100 : 0;
-                    } else {
-                      rate = discPct[selectedUtility]?.[i] || 0;
-                    }
-                    return { month, value: parseFloat(rate.toFixed(3)) };
-                  })}>
+                  <AreaChart data={getChartData(discPct, { combined: selectedRates.discPct, digits: 3 })}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={2} />
                     <YAxis tickFormatter={(v) => `${v}%`} tick={{ fontSize: 10 }} />
                     <Tooltip formatter={(v) => `${v}%`} />
-                    <Area type="monotone" dataKey="value" stroke="#64748B" fill="#CBD5E1" strokeWidth={2} name="Rate %" />
+                    {splitSeries && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                    {selectionSeries(Area, { type: 'monotone', stroke: '#64748B', fill: '#CBD5E1', strokeWidth: 2, name: 'Rate %' })}
                   </AreaChart>
                 </ResponsiveContainer>
               </div>
             </div>
 
+            <SeasonalPanel tab="disconnections" options={[
+              { key: 'disconnections', label: 'Disconnections', format: formatNumber },
+              { key: 'disconnectionNotices', label: 'Disconnection Notices', format: formatNumber },
+              { key: 'discPct', label: 'Disconnection Rate', format: (v) => `${v?.toFixed(3)}%`, rate: true }
+            ]} />
+
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px', marginBottom: '24px' }}>
               {/* Current Month Disconnections */}
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
-                <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>September 2025 Disconnections by Utility</h3>
+                <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>{currentMonthLabel} Disconnections by Utility</h3>
                 <ResponsiveContainer width="100%" height={300}>
                   <BarChart data={utilities.map(u => ({ name: u.short, disc: disconnections[u.id][currentMonth], color: u.color }))} layout="vertical">
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
@@ -1522,11 +2304,11 @@ export default function OregonEnergyDashboard() {
             <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
               <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>Disconnection Trend by Utility</h3>
               <ResponsiveContainer width="100%" height={350}>
-                <LineChart data={months.map((month, i) => {
+                <LineChart data={inWindow(months.map((month, i) => {
                   const row = { month };
                   utilities.forEach(u => { row[u.short] = disconnections[u.id][i]; });
                   return row;
-                })}>
+                }))}>
                   <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                   <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={2} />
                   <YAxis tick={{ fontSize: 10 }} />
@@ -1545,17 +2327,13 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <ChartTitle defKey="disconnectionNotices" style={{ color: '#EA580C' }}>Disconnection Notices Sent</ChartTitle>
                 <ResponsiveContainer width="100%" height={250}>
-                  <AreaChart data={months.map((month, i) => ({
-                    month,
-                    value: selectedUtility === 'all' 
-                      ? utilities.reduce((sum, u) => sum + disconnectionNotices[u.id][i], 0)
-                      : disconnectionNotices[selectedUtility]?.[i] || 0
-                  }))}>
+                  <AreaChart data={getChartData(disconnectionNotices)}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={2} />
                     <YAxis tickFormatter={formatNumber} tick={{ fontSize: 10 }} />
                     <Tooltip formatter={(v) => formatNumber(v)} />
-                    <Area type="monotone" dataKey="value" stroke="#EA580C" fill="#FED7AA" strokeWidth={2} name="Notices" />
+                    {splitSeries && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                    {selectionSeries(Area, { type: 'monotone', stroke: '#EA580C', fill: '#FED7AA', strokeWidth: 2, name: 'Notices' })}
                   </AreaChart>
                 </ResponsiveContainer>
               </div>
@@ -1564,24 +2342,13 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <ChartTitle defKey="reconnectionRate" style={{ color: '#059669' }}>Reconnection Rate (% of Disconnections)</ChartTitle>
                 <ResponsiveContainer width="100%" height={250}>
-                  <LineChart data={months.map((month, i) => {
-                    let rate;
-                    if (selectedUtility === 'all') {
-                      const totalRecon = utilities.reduce((sum, u) => sum + reconnections[u.id][i], 0);
-                      const totalDisc = utilities.reduce((sum, u) => sum + disconnections[u.id][i], 0);
-                      rate = totalDisc > 0 ? (totalRecon / totalDisc) * 100 : 0;
-                    } else {
-                      const recon = reconnections[selectedUtility]?.[i] || 0;
-                      const disc = disconnections[selectedUtility]?.[i] || 0;
-                      rate = disc > 0 ? (recon / disc) * 100 : 0;
-                    }
-                    return { month, value: parseFloat(rate.toFixed(1)) };
-                  })}>
+                  <LineChart data={getChartData(reconnectionRate, { combined: selectedRates.reconnectionRate, digits: 1 })}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={2} />
                     <YAxis tickFormatter={(v) => `${v}%`} tick={{ fontSize: 10 }} />
                     <Tooltip formatter={(v) => `${v}%`} />
-                    <Line type="monotone" dataKey="value" stroke="#059669" strokeWidth={2} dot={false} name="Reconnection Rate" />
+                    {splitSeries && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                    {selectionSeries(Line, { type: 'monotone', stroke: '#059669', strokeWidth: 2, dot: false, name: 'Reconnection Rate' })}
                   </LineChart>
                 </ResponsiveContainer>
                 <p style={{ margin: '8px 0 0', fontSize: '11px', color: '#6B7280', fontStyle: 'italic' }}>
@@ -1589,6 +2356,133 @@ export default function OregonEnergyDashboard() {
                 </p>
               </div>
             </div>
+
+            {/* Notice-to-Disconnection Funnel */}
+            {(() => {
+              const pct = (v) => (v === null ? '—' : `${v.toFixed(1)}%`);
+              const count = (v) => (v === null ? '—' : v.toLocaleString());
+              const stages = funnelStages(dataset.metrics, selectedIds, currentMonth, funnelLag);
+              const funnelData = [
+                { name: 'Notices', value: stages.notices, fill: '#EA580C' },
+                { name: 'Disconnections', value: stages.disconnections, fill: '#DC2626' },
+                { name: 'Reconnections', value: stages.reconnections, fill: '#059669' }
+              ];
+              const complete = funnelData.every(d => d.value !== null);
+              const rateRows = inWindow(months.map((month, i) => ({
+                month,
+                sameMonth: funnelStages(dataset.metrics, selectedIds, i, 0).noticeToDisconnection,
+                lagged: funnelStages(dataset.metrics, selectedIds, i, 1).noticeToDisconnection,
+                reconnection: funnelStages(dataset.metrics, selectedIds, i, 0).disconnectionToReconnection
+              })));
+              const noticeMonthShort = months[stages.noticeMonth] ? formatMonthYear(months[stages.noticeMonth]) : '—';
+
+              return (
+                <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap', marginBottom: '8px' }}>
+                    <ChartTitle defKey="disconnectionNotices" style={{ margin: 0 }}>Notice-to-Disconnection Funnel — {selectionLabel}</ChartTitle>
+                    <div style={{ display: 'flex', gap: '4px' }}>
+                      {Object.entries(funnelLags).map(([lag, { label }]) => (
+                        <button
+                          key={lag}
+                          onClick={() => setFunnelLag(Number(lag))}
+                          style={{ ...filterButton(funnelLag === Number(lag), '#1E3A5F'), padding: '6px 12px', fontSize: '12px' }}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>
+                    Filings report monthly counts, not which notice led to which disconnection, so conversion rates compare totals.
+                    {funnelLag ? ` Lagged: ${currentMonthShort} disconnections against ${noticeMonthShort} notices, since a disconnection follows its notice by weeks.` : ' Same month: notices, disconnections and reconnections all from the same month.'}
+                  </p>
+
+                  <div style={{ display: 'grid', gridTemplateColumns: '2fr 3fr', gap: '24px', marginBottom: '24px' }}>
+                    <div>
+                      <div style={{ fontSize: '12px', fontWeight: '600', color: '#374151', marginBottom: '4px' }}>
+                        {funnelLag ? `Notices ${noticeMonthShort} → disconnections ${currentMonthShort}` : currentMonthShort}
+                      </div>
+                      {complete ? (
+                        <>
+                          <ResponsiveContainer width="100%" height={220}>
+                            <FunnelChart>
+                              <Tooltip formatter={(v) => formatNumber(v)} />
+                              <Funnel dataKey="value" data={funnelData} isAnimationActive={false}>
+                                <LabelList dataKey="name" position="insideTop" fill="#fff" stroke="none" fontSize={11} />
+                                <LabelList dataKey="value" position="insideBottom" fill="#fff" stroke="none" fontSize={13} fontWeight={600} formatter={formatNumber} />
+                              </Funnel>
+                            </FunnelChart>
+                          </ResponsiveContainer>
+                          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginTop: '8px' }}>
+                            <div style={{ padding: '12px', background: '#FEF2F2', borderRadius: '8px' }}>
+                              <div style={{ fontSize: '11px', color: '#6B7280' }}>Notices → Disconnections</div>
+                              <div style={{ fontSize: '20px', fontWeight: '700', color: '#DC2626' }}>{pct(stages.noticeToDisconnection)}</div>
+                            </div>
+                            <div style={{ padding: '12px', background: '#ECFDF5', borderRadius: '8px' }}>
+                              <div style={{ fontSize: '11px', color: '#6B7280' }}>Disconnections → Reconnections</div>
+                              <div style={{ fontSize: '20px', fontWeight: '700', color: '#059669' }}>{pct(stages.disconnectionToReconnection)}</div>
+                            </div>
+                          </div>
+                        </>
+                      ) : (
+                        <p style={{ fontSize: '13px', color: '#6B7280' }}>
+                          Needs notices, disconnections and reconnections from every selected utility{funnelLag ? ` for ${noticeMonthShort} and ${currentMonthShort}` : ` for ${currentMonthShort}`}.
+                        </p>
+                      )}
+                    </div>
+                    <div>
+                      <div style={{ fontSize: '12px', fontWeight: '600', color: '#374151', marginBottom: '4px' }}>Conversion rates ({periodShort})</div>
+                      <ResponsiveContainer width="100%" height={300}>
+                        <LineChart data={rateRows}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                          <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={2} />
+                          <YAxis yAxisId="notice" tickFormatter={(v) => `${v.toFixed(0)}%`} tick={{ fontSize: 10 }} domain={[0, 'auto']} />
+                          <YAxis yAxisId="reconnection" orientation="right" tickFormatter={(v) => `${v.toFixed(0)}%`} tick={{ fontSize: 10 }} domain={[0, 100]} />
+                          <Tooltip formatter={(v, name) => [pct(v), name]} />
+                          <Legend wrapperStyle={{ fontSize: '11px' }} />
+                          <Line yAxisId="notice" type="monotone" dataKey="sameMonth" stroke="#DC2626" strokeWidth={2} dot={false} name="Notices → disconnections" />
+                          <Line yAxisId="notice" type="monotone" dataKey="lagged" stroke="#DC2626" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Notices → disconnections (lagged)" />
+                          <Line yAxisId="reconnection" type="monotone" dataKey="reconnection" stroke="#059669" strokeWidth={2} dot={false} name="Disconnections → reconnections (right axis)" />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+
+                  <div style={{ overflowX: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                      <thead>
+                        <tr>
+                          <th style={{ ...th, textAlign: 'left' }}>Utility</th>
+                          <th style={th}>Notices ({funnelLag ? noticeMonthShort : currentMonthShort})</th>
+                          <th style={th}>Disconnections ({currentMonthShort})</th>
+                          <th style={th}>Reconnections</th>
+                          <th style={th}>Notice → Disc.</th>
+                          <th style={th}>Disc. → Reconn.</th>
+                          <th style={th}>{funnelLag ? 'Same-month' : 'Lagged'} Notice → Disc.</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {utilities.map(u => {
+                          const s = funnelStages(dataset.metrics, [u.id], currentMonth, funnelLag);
+                          const other = funnelStages(dataset.metrics, [u.id], currentMonth, funnelLag ? 0 : 1);
+                          return (
+                            <tr key={u.id} style={{ background: !allSelected && selectedIds.includes(u.id) ? '#F8FAFC' : 'white' }}>
+                              <td style={{ ...td, textAlign: 'left', fontWeight: '500', color: u.color }}>{u.name}</td>
+                              <td style={td}>{count(s.notices)}</td>
+                              <td style={td}>{count(s.disconnections)}</td>
+                              <td style={td}>{count(s.reconnections)}</td>
+                              <td style={{ ...td, color: '#DC2626', fontWeight: '600' }}>{pct(s.noticeToDisconnection)}</td>
+                              <td style={{ ...td, color: '#059669' }}>{pct(s.disconnectionToReconnection)}</td>
+                              <td style={td}>{pct(other.noticeToDisconnection)}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              );
+            })()}
           </>
         )}
 
@@ -1596,6 +2490,7 @@ export default function OregonEnergyDashboard() {
         {activeTab === 'billDiscount' && (
           <>
             <UtilityFilter />
+            <InsightCallout tab="billDiscount" />
             
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px', marginBottom: '24px' }}>
               {/* Participants by Utility */}
@@ -1640,7 +2535,8 @@ export default function OregonEnergyDashboard() {
                   <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
                   <YAxis tickFormatter={formatNumber} tick={{ fontSize: 10 }} />
                   <Tooltip formatter={(v) => formatNumber(v)} />
-                  <Area type="monotone" dataKey="value" stroke="#059669" fill="#D1FAE5" name="Participants" />
+                  {splitSeries && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                  {selectionSeries(Area, { type: 'monotone', stroke: '#059669', fill: '#D1FAE5', name: 'Participants' })}
                 </AreaChart>
               </ResponsiveContainer>
             </div>
@@ -1654,7 +2550,8 @@ export default function OregonEnergyDashboard() {
                   <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
                   <YAxis tickFormatter={formatCurrency} tick={{ fontSize: 10 }} />
                   <Tooltip formatter={(v) => formatCurrency(v)} />
-                  <Area type="monotone" dataKey="value" stroke="#059669" fill="#D1FAE5" name="Dollars" />
+                  {splitSeries && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                  {selectionSeries(Area, { type: 'monotone', stroke: '#059669', fill: '#D1FAE5', name: 'Dollars' })}
                 </AreaChart>
               </ResponsiveContainer>
             </div>
@@ -1662,7 +2559,7 @@ export default function OregonEnergyDashboard() {
             {/* Program Recipient Disconnections Section */}
             <div style={{ background: '#FEF3C7', borderRadius: '12px', padding: '16px', marginBottom: '24px', border: '1px solid #FCD34D' }}>
               <p style={{ margin: 0, color: '#92400E', fontSize: '14px' }}>
-                <strong>Bill Discount Recipient Disconnections</strong> — Service disconnections among customers enrolled in bill discount programs (Jan 2024 - Sep 2025).
+                <strong>Bill Discount Recipient Disconnections</strong> — Service disconnections among customers enrolled in bill discount programs ({periodShort}).
               </p>
             </div>
 
@@ -1674,7 +2571,7 @@ export default function OregonEnergyDashboard() {
                   <BarChart 
                     data={utilities.map(u => ({ 
                       name: u.short, 
-                      total: billDiscountDisconnections[u.id].reduce((a, b) => a + b, 0),
+                      total: windowTotal(billDiscountDisconnections[u.id]),
                       color: u.color 
                     })).sort((a, b) => b.total - a.total)} 
                     layout="vertical"
@@ -1689,7 +2586,7 @@ export default function OregonEnergyDashboard() {
                   </BarChart>
                 </ResponsiveContainer>
                 <p style={{ margin: '12px 0 0', fontSize: '12px', color: '#6B7280', textAlign: 'center' }}>
-                  Total: {formatNumber(utilities.reduce((sum, u) => sum + billDiscountDisconnections[u.id].reduce((a, b) => a + b, 0), 0))} disconnections (Jan 2024 - Sep 2025)
+                  Total: {formatNumber(utilities.reduce((sum, u) => sum + windowTotal(billDiscountDisconnections[u.id]), 0))} disconnections ({periodShort})
                 </p>
               </div>
 
@@ -1697,9 +2594,9 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#DC2626' }}>
                   Bill Discount Recipient Disconnections - Monthly Trend
-                  {selectedUtility !== 'all' && (
+                  {!allSelected && (
                     <span style={{ fontWeight: 'normal', fontSize: '14px', color: '#6B7280' }}>
-                      {' '}({utilities.find(u => u.id === selectedUtility)?.name})
+                      {' '}({singleUtility ? singleUtility.name : selectionLabel})
                     </span>
                   )}
                 </h3>
@@ -1708,14 +2605,9 @@ export default function OregonEnergyDashboard() {
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={2} />
                     <YAxis tickFormatter={formatNumber} tick={{ fontSize: 10 }} />
-                    <Tooltip formatter={(v) => [formatNumber(v), 'Disconnections']} />
-                    <Area 
-                      type="monotone" 
-                      dataKey="value" 
-                      stroke={selectedUtility !== 'all' ? utilities.find(u => u.id === selectedUtility)?.color : '#DC2626'} 
-                      fill={selectedUtility !== 'all' ? `${utilities.find(u => u.id === selectedUtility)?.color}20` : '#FEE2E2'} 
-                      name="Bill Discount Disconnections" 
-                    />
+                    <Tooltip formatter={(v, name) => [formatNumber(v), name]} />
+                    {splitSeries && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                    {selectionSeries(Area, { type: 'monotone', stroke: selectionStroke('#DC2626'), fill: selectionFill('#FEE2E2'), name: 'Bill Discount Disconnections' })}
                   </AreaChart>
                 </ResponsiveContainer>
               </div>
@@ -1732,24 +2624,20 @@ export default function OregonEnergyDashboard() {
               {/* Disconnection Rate for Bill Discount Participants */}
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <h3 style={{ margin: '0 0 8px', fontSize: '16px', color: '#1E3A5F' }}>Disconnection Rate for Bill Discount Participants</h3>
-                <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>Bill Discount Disconnections ÷ Bill Discount Participants (Sep 2025)</p>
+                <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>Bill Discount Disconnections ÷ Bill Discount Participants ({currentMonthShort})</p>
                 <ResponsiveContainer width="100%" height={280}>
                   <BarChart 
-                    data={utilities.map(u => {
-                      const discCount = billDiscountDisconnections[u.id][currentMonth] || 0;
-                      const partCount = billDiscountParticipants[u.id][currentMonth] || 1;
-                      return { 
-                        name: u.short, 
-                        rate: ((discCount / partCount) * 100),
-                        color: u.color 
-                      };
-                    }).sort((a, b) => b.rate - a.rate)} 
+                    data={utilities.map(u => ({
+                      name: u.short,
+                      rate: billDiscountDisconnectionRate[u.id][currentMonth] || 0,
+                      color: u.color
+                    })).sort((a, b) => b.rate - a.rate)} 
                     layout="vertical"
                   >
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis type="number" tickFormatter={(v) => `${v.toFixed(1)}%`} tick={{ fontSize: 10 }} domain={[0, 'auto']} />
                     <YAxis type="category" dataKey="name" tick={{ fontSize: 11 }} width={70} />
-                    <Tooltip formatter={(v) => [`${v.toFixed(2)}%`, 'Disconnection Rate']} />
+                    <Tooltip formatter={(v, name) => [`${v.toFixed(2)}%`, name]} />
                     <Bar dataKey="rate" radius={[0, 4, 4, 0]} name="Disconnection Rate">
                       {utilities.map((u, i) => <Cell key={i} fill={u.color} />)}
                     </Bar>
@@ -1760,18 +2648,14 @@ export default function OregonEnergyDashboard() {
               {/* Share of Total Disconnections */}
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <h3 style={{ margin: '0 0 8px', fontSize: '16px', color: '#1E3A5F' }}>Share of Total Disconnections (Bill Discount Customers)</h3>
-                <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>Bill Discount Disconnections ÷ Total Residential Disconnections (Sep 2025)</p>
+                <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>Bill Discount Disconnections ÷ Total Residential Disconnections ({currentMonthShort})</p>
                 <ResponsiveContainer width="100%" height={280}>
                   <BarChart 
-                    data={utilities.map(u => {
-                      const bdDisc = billDiscountDisconnections[u.id][currentMonth] || 0;
-                      const totalDisc = disconnections[u.id][currentMonth] || 1;
-                      return { 
-                        name: u.short, 
-                        share: ((bdDisc / totalDisc) * 100),
-                        color: u.color 
-                      };
-                    }).sort((a, b) => b.share - a.share)} 
+                    data={utilities.map(u => ({
+                      name: u.short,
+                      share: billDiscountDisconnectionShare[u.id][currentMonth] || 0,
+                      color: u.color
+                    })).sort((a, b) => b.share - a.share)} 
                     layout="vertical"
                   >
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
@@ -1792,37 +2676,21 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <h3 style={{ margin: '0 0 8px', fontSize: '16px', color: '#1E3A5F' }}>
                   Disconnection Rate Trend
-                  {selectedUtility !== 'all' && (
+                  {!allSelected && (
                     <span style={{ fontWeight: 'normal', fontSize: '14px', color: '#6B7280' }}>
-                      {' '}({utilities.find(u => u.id === selectedUtility)?.name})
+                      {' '}({singleUtility ? singleUtility.name : selectionLabel})
                     </span>
                   )}
                 </h3>
                 <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>Bill Discount Disconnections ÷ Bill Discount Participants</p>
                 <ResponsiveContainer width="100%" height={250}>
-                  <LineChart data={months.map((m, i) => {
-                    if (selectedUtility === 'all') {
-                      const totalDisc = utilities.reduce((sum, u) => sum + (billDiscountDisconnections[u.id][i] || 0), 0);
-                      const totalPart = utilities.reduce((sum, u) => sum + (billDiscountParticipants[u.id][i] || 0), 0);
-                      return { month: m, rate: totalPart > 0 ? (totalDisc / totalPart) * 100 : 0 };
-                    } else {
-                      const disc = billDiscountDisconnections[selectedUtility]?.[i] || 0;
-                      const part = billDiscountParticipants[selectedUtility]?.[i] || 1;
-                      return { month: m, rate: (disc / part) * 100 };
-                    }
-                  })}>
+                  <LineChart data={getChartData(billDiscountDisconnectionRate, { combined: selectedRates.billDiscountDisconnectionRate })}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={2} />
                     <YAxis tickFormatter={(v) => `${v.toFixed(1)}%`} tick={{ fontSize: 10 }} />
-                    <Tooltip formatter={(v) => [`${v.toFixed(2)}%`, 'Disconnection Rate']} />
-                    <Line 
-                      type="monotone" 
-                      dataKey="rate" 
-                      stroke={selectedUtility !== 'all' ? utilities.find(u => u.id === selectedUtility)?.color : '#1E3A5F'} 
-                      strokeWidth={2}
-                      dot={false}
-                      name="Disconnection Rate" 
-                    />
+                    <Tooltip formatter={(v, name) => [`${v.toFixed(2)}%`, name]} />
+                    {splitSeries && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                    {selectionSeries(Line, { type: 'monotone', stroke: selectionStroke('#1E3A5F'), strokeWidth: 2, dot: false, name: 'Disconnection Rate' })}
                   </LineChart>
                 </ResponsiveContainer>
               </div>
@@ -1831,37 +2699,21 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <h3 style={{ margin: '0 0 8px', fontSize: '16px', color: '#1E3A5F' }}>
                   Share of Total Disconnections Trend
-                  {selectedUtility !== 'all' && (
+                  {!allSelected && (
                     <span style={{ fontWeight: 'normal', fontSize: '14px', color: '#6B7280' }}>
-                      {' '}({utilities.find(u => u.id === selectedUtility)?.name})
+                      {' '}({singleUtility ? singleUtility.name : selectionLabel})
                     </span>
                   )}
                 </h3>
                 <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>Bill Discount Disconnections ÷ Total Residential Disconnections</p>
                 <ResponsiveContainer width="100%" height={250}>
-                  <LineChart data={months.map((m, i) => {
-                    if (selectedUtility === 'all') {
-                      const totalBdDisc = utilities.reduce((sum, u) => sum + (billDiscountDisconnections[u.id][i] || 0), 0);
-                      const totalDisc = utilities.reduce((sum, u) => sum + (disconnections[u.id][i] || 0), 0);
-                      return { month: m, share: totalDisc > 0 ? (totalBdDisc / totalDisc) * 100 : 0 };
-                    } else {
-                      const bdDisc = billDiscountDisconnections[selectedUtility]?.[i] || 0;
-                      const totalDisc = disconnections[selectedUtility]?.[i] || 1;
-                      return { month: m, share: (bdDisc / totalDisc) * 100 };
-                    }
-                  })}>
+                  <LineChart data={getChartData(billDiscountDisconnectionShare, { combined: selectedRates.billDiscountDisconnectionShare })}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={2} />
                     <YAxis tickFormatter={(v) => `${v.toFixed(0)}%`} tick={{ fontSize: 10 }} domain={[0, 'auto']} />
-                    <Tooltip formatter={(v) => [`${v.toFixed(1)}%`, 'Share of Disconnections']} />
-                    <Line 
-                      type="monotone" 
-                      dataKey="share" 
-                      stroke={selectedUtility !== 'all' ? utilities.find(u => u.id === selectedUtility)?.color : '#7C3AED'} 
-                      strokeWidth={2}
-                      dot={false}
-                      name="Share of Disconnections" 
-                    />
+                    <Tooltip formatter={(v, name) => [`${v.toFixed(1)}%`, name]} />
+                    {splitSeries && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                    {selectionSeries(Line, { type: 'monotone', stroke: selectionStroke('#7C3AED'), strokeWidth: 2, dot: false, name: 'Share of Disconnections' })}
                   </LineChart>
                 </ResponsiveContainer>
               </div>
@@ -1870,14 +2722,14 @@ export default function OregonEnergyDashboard() {
             {/* Bill Discount Participant Arrears Section */}
             <div style={{ background: '#FEF3C7', borderRadius: '12px', padding: '16px', marginBottom: '24px', marginTop: '32px', border: '1px solid #FCD34D' }}>
               <p style={{ margin: 0, color: '#92400E', fontSize: '14px' }}>
-                <strong>Bill Discount Participant Arrears</strong> — Number of bill discount participants with arrears balances and total arrears amounts (Jan 2024 - Sep 2025). Note: PGE data only available for Jul-Sep 2025.
+                <strong>Bill Discount Participant Arrears</strong> — Number of bill discount participants with arrears balances and total arrears amounts ({periodShort}). Note: PGE data only available for Jul-Sep 2025.
               </p>
             </div>
 
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px', marginBottom: '24px' }}>
               {/* Bill Discount Participants with Arrears by Utility */}
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
-                <ChartTitle defKey="billDiscountArrearsParticipants" style={{ color: '#DC2626' }}>Bill Discount Participants with Arrears (Sep 2025)</ChartTitle>
+                <ChartTitle defKey="billDiscountArrearsParticipants" style={{ color: '#DC2626' }}>Bill Discount Participants with Arrears ({currentMonthShort})</ChartTitle>
                 <ResponsiveContainer width="100%" height={300}>
                   <BarChart 
                     data={utilities.map(u => ({ 
@@ -1900,7 +2752,7 @@ export default function OregonEnergyDashboard() {
 
               {/* Total Arrears Balance by Utility */}
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
-                <ChartTitle defKey="billDiscountArrearsBalance" style={{ color: '#DC2626' }}>Arrears Balance of Bill Discount Participants (Sep 2025)</ChartTitle>
+                <ChartTitle defKey="billDiscountArrearsBalance" style={{ color: '#DC2626' }}>Arrears Balance of Bill Discount Participants ({currentMonthShort})</ChartTitle>
                 <ResponsiveContainer width="100%" height={300}>
                   <BarChart 
                     data={utilities.map(u => ({ 
@@ -1928,9 +2780,9 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>
                   Bill Discount Participants with Arrears - Monthly Trend
-                  {selectedUtility !== 'all' && (
+                  {!allSelected && (
                     <span style={{ fontWeight: 'normal', fontSize: '14px', color: '#6B7280' }}>
-                      {' '}({utilities.find(u => u.id === selectedUtility)?.name})
+                      {' '}({singleUtility ? singleUtility.name : selectionLabel})
                     </span>
                   )}
                 </h3>
@@ -1939,14 +2791,9 @@ export default function OregonEnergyDashboard() {
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={2} />
                     <YAxis tickFormatter={formatNumber} tick={{ fontSize: 10 }} />
-                    <Tooltip formatter={(v) => [formatNumber(v), 'Participants with Arrears']} />
-                    <Area 
-                      type="monotone" 
-                      dataKey="value" 
-                      stroke={selectedUtility !== 'all' ? utilities.find(u => u.id === selectedUtility)?.color : '#7C3AED'} 
-                      fill={selectedUtility !== 'all' ? `${utilities.find(u => u.id === selectedUtility)?.color}20` : '#EDE9FE'} 
-                      name="Participants with Arrears" 
-                    />
+                    <Tooltip formatter={(v, name) => [formatNumber(v), name]} />
+                    {splitSeries && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                    {selectionSeries(Area, { type: 'monotone', stroke: selectionStroke('#7C3AED'), fill: selectionFill('#EDE9FE'), name: 'Participants with Arrears' })}
                   </AreaChart>
                 </ResponsiveContainer>
               </div>
@@ -1955,9 +2802,9 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>
                   Arrears Balance of Bill Discount Participants - Monthly Trend
-                  {selectedUtility !== 'all' && (
+                  {!allSelected && (
                     <span style={{ fontWeight: 'normal', fontSize: '14px', color: '#6B7280' }}>
-                      {' '}({utilities.find(u => u.id === selectedUtility)?.name})
+                      {' '}({singleUtility ? singleUtility.name : selectionLabel})
                     </span>
                   )}
                 </h3>
@@ -1966,14 +2813,9 @@ export default function OregonEnergyDashboard() {
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={2} />
                     <YAxis tickFormatter={formatCurrency} tick={{ fontSize: 10 }} />
-                    <Tooltip formatter={(v) => [formatCurrency(v), 'Arrears Balance']} />
-                    <Area 
-                      type="monotone" 
-                      dataKey="value" 
-                      stroke={selectedUtility !== 'all' ? utilities.find(u => u.id === selectedUtility)?.color : '#059669'} 
-                      fill={selectedUtility !== 'all' ? `${utilities.find(u => u.id === selectedUtility)?.color}20` : '#D1FAE5'} 
-                      name="Arrears Balance" 
-                    />
+                    <Tooltip formatter={(v, name) => [formatCurrency(v), name]} />
+                    {splitSeries && <Legend wrapperStyle={{ fontSize: '11px' }} />}
+                    {selectionSeries(Area, { type: 'monotone', stroke: selectionStroke('#059669'), fill: selectionFill('#D1FAE5'), name: 'Arrears Balance' })}
                   </AreaChart>
                 </ResponsiveContainer>
               </div>
@@ -1990,18 +2832,14 @@ export default function OregonEnergyDashboard() {
               {/* Arrears Rate (% of participants with arrears) */}
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <h3 style={{ margin: '0 0 8px', fontSize: '16px', color: '#1E3A5F' }}>Bill Discount Arrears Rate</h3>
-                <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>Participants with Arrears ÷ Total Bill Discount Participants (Sep 2025)</p>
+                <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>Participants with Arrears ÷ Total Bill Discount Participants ({currentMonthShort})</p>
                 <ResponsiveContainer width="100%" height={280}>
                   <BarChart 
-                    data={utilities.map(u => {
-                      const withArrears = billDiscountParticipantsWithArrears[u.id][currentMonth] || 0;
-                      const totalPart = billDiscountParticipants[u.id][currentMonth] || 1;
-                      return { 
-                        name: u.short, 
-                        rate: withArrears > 0 ? ((withArrears / totalPart) * 100) : 0,
-                        color: u.color 
-                      };
-                    }).filter(d => d.rate > 0).sort((a, b) => b.rate - a.rate)} 
+                    data={utilities.map(u => ({
+                      name: u.short,
+                      rate: billDiscountArrearsRate[u.id][currentMonth],
+                      color: u.color
+                    })).filter(d => isNum(d.rate)).sort((a, b) => b.rate - a.rate)} 
                     layout="vertical"
                   >
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
@@ -2018,18 +2856,14 @@ export default function OregonEnergyDashboard() {
               {/* Average Arrears per Participant */}
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <h3 style={{ margin: '0 0 8px', fontSize: '16px', color: '#1E3A5F' }}>Average Arrears per Participant</h3>
-                <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>Total Arrears Balance ÷ Participants with Arrears (Sep 2025)</p>
+                <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>Total Arrears Balance ÷ Participants with Arrears ({currentMonthShort})</p>
                 <ResponsiveContainer width="100%" height={280}>
                   <BarChart 
-                    data={utilities.map(u => {
-                      const balance = billDiscountArrearsBalance[u.id][currentMonth] || 0;
-                      const withArrears = billDiscountParticipantsWithArrears[u.id][currentMonth] || 1;
-                      return { 
-                        name: u.short, 
-                        avg: balance > 0 ? (balance / withArrears) : 0,
-                        color: u.color 
-                      };
-                    }).filter(d => d.avg > 0).sort((a, b) => b.avg - a.avg)} 
+                    data={utilities.map(u => ({
+                      name: u.short,
+                      avg: billDiscountAverageArrears[u.id][currentMonth] || 0,
+                      color: u.color
+                    })).filter(d => d.avg > 0).sort((a, b) => b.avg - a.avg)} 
                     layout="vertical"
                   >
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
@@ -2043,73 +2877,296 @@ export default function OregonEnergyDashboard() {
                 </ResponsiveContainer>
               </div>
             </div>
+
+            {/* Program Effectiveness: Participants vs. Non-Participants */}
+            {(() => {
+              const comparisons = [
+                { participant: 'billDiscountArrearsRate', nonParticipant: 'nonParticipantArrearsRate', label: 'Arrears Rate', note: 'Customers with arrears ÷ customers', format: (v) => `${v.toFixed(1)}%`, axis: (v) => `${v.toFixed(0)}%` },
+                { participant: 'billDiscountDisconnectionRate', nonParticipant: 'nonParticipantDisconnectionRate', label: 'Disconnection Rate', note: 'Disconnections ÷ customers', format: (v) => `${v.toFixed(2)}%`, axis: (v) => `${v.toFixed(1)}%` },
+                { participant: 'billDiscountAverageArrears', nonParticipant: 'nonParticipantAverageArrears', label: 'Average Arrears', note: 'Arrears balance ÷ customers with arrears', format: formatCurrency, axis: formatCurrency }
+              ];
+              const ratioText = (r) => (r === null ? '—' : `${r.toFixed(1)}×`);
+
+              return (
+                <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginTop: '24px' }}>
+                  <ChartTitle defKey="nonParticipants" style={{ margin: '0 0 8px' }}>Program Effectiveness: Participants vs. Non-Participants — {selectionLabel}</ChartTitle>
+                  <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>
+                    Non-participants are all residential accounts not enrolled in a bill discount program. The ratio is the participant value ÷ the non-participant value;
+                    a ratio falling toward 1× means participants' hardship is closing in on everyone else's.
+                  </p>
+
+                  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '24px', marginBottom: '24px' }}>
+                    {comparisons.map(c => {
+                      const participant = selectedRates[c.participant];
+                      const nonParticipant = selectedRates[c.nonParticipant];
+                      const first = ratio(participant[windowStart], nonParticipant[windowStart]);
+                      const last = ratio(participant[currentMonth], nonParticipant[currentMonth]);
+                      return (
+                        <div key={c.label}>
+                          <div style={{ fontSize: '13px', fontWeight: '600', color: '#1E3A5F' }}>{c.label}</div>
+                          <div style={{ fontSize: '11px', color: '#6B7280', marginBottom: '8px' }}>{c.note}</div>
+                          <ResponsiveContainer width="100%" height={220}>
+                            <LineChart data={inWindow(months.map((month, i) => ({ month, participant: participant[i], nonParticipant: nonParticipant[i] })))}>
+                              <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                              <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
+                              <YAxis tickFormatter={c.axis} tick={{ fontSize: 10 }} domain={[0, 'auto']} />
+                              <Tooltip formatter={(v, name) => [show(c.format)(v), name]} />
+                              <Legend wrapperStyle={{ fontSize: '11px' }} />
+                              <Line type="monotone" dataKey="participant" stroke="#059669" strokeWidth={2} dot={false} name="Participants" />
+                              <Line type="monotone" dataKey="nonParticipant" stroke="#6B7280" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Non-participants" />
+                            </LineChart>
+                          </ResponsiveContainer>
+                          <div style={{ fontSize: '12px', color: '#374151', marginTop: '4px' }}>
+                            Ratio {ratioText(first)} ({formatMonthYear(months[windowStart])}) → {ratioText(last)} ({currentMonthShort})
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+
+                  <div style={{ overflowX: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                      <thead>
+                        <tr>
+                          <th style={{ ...th, textAlign: 'left' }} rowSpan={2}>Utility ({currentMonthShort})</th>
+                          {comparisons.map(c => <th key={c.label} style={{ ...th, textAlign: 'center', borderBottom: '1px solid #E5E7EB' }} colSpan={3}>{c.label}</th>)}
+                        </tr>
+                        <tr>
+                          {comparisons.map(c => [
+                            <th key={`${c.label}-p`} style={th}>Participants</th>,
+                            <th key={`${c.label}-n`} style={th}>Others</th>,
+                            <th key={`${c.label}-r`} style={th}>Ratio</th>
+                          ])}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {utilities.map(u => (
+                          <tr key={u.id} style={{ background: !allSelected && selectedIds.includes(u.id) ? '#F8FAFC' : 'white' }}>
+                            <td style={{ ...td, textAlign: 'left', fontWeight: '500', color: u.color }}>{u.name}</td>
+                            {comparisons.map(c => {
+                              const p = derived[c.participant][u.id][currentMonth];
+                              const n = derived[c.nonParticipant][u.id][currentMonth];
+                              return [
+                                <td key={`${c.label}-p`} style={{ ...td, color: '#059669' }}>{show(c.format)(p)}</td>,
+                                <td key={`${c.label}-n`} style={td}>{show(c.format)(n)}</td>,
+                                <td key={`${c.label}-r`} style={{ ...td, fontWeight: '600' }}>{ratioText(ratio(p, n))}</td>
+                              ];
+                            })}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p style={{ margin: '12px 0 0', fontSize: '11px', color: '#6B7280', fontStyle: 'italic' }}>
+                    Participants qualify by income, so they would be expected to fall behind more often with or without the discount; a gap at one point in time is not
+                    evidence that the program fails. Whether the gap narrows over time, particularly after enrollment grows or discount tiers change, is the better signal.
+                  </p>
+                </div>
+              );
+            })()}
+
+            {/* OAR 860-021-0408 program metrics (optionalMetrics in data.js), shown once filed */}
+            {(() => {
+              const series = (key, id) => dataset.metrics[key]?.[id] || [];
+              const reportedBy = (key, ids = selectedIds) => ids.filter(id => series(key, id).some(isNum));
+              const pct = (v) => `${v.toFixed(1)}%`;
+              const perDollar = (v) => `$${v.toFixed(2)}`;
+              const shortName = (id) => utilities.find(u => u.id === id)?.short || id;
+              const panel = { background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginTop: '24px' };
+              const emptyState = (keys) => (
+                <div style={{ padding: '32px', textAlign: 'center', color: '#6B7280', fontSize: '13px', background: '#F9FAFB', borderRadius: '8px' }}>
+                  No {allSelected ? '' : 'selected '}utility has reported {keys.map(k => optionalMetrics[k].label.toLowerCase()).join(' or ')} yet.
+                </div>
+              );
+
+              const churnKeys = ['newEnrollments', 'disenrollments'];
+              const hasChurn = churnKeys.some(k => reportedBy(k).length);
+              const churnData = inWindow(months.map((month, i) => {
+                const added = sumReported('newEnrollments', i);
+                const removed = sumReported('disenrollments', i);
+                return {
+                  month,
+                  added,
+                  removed: isNum(removed) ? -removed : null,
+                  net: isNum(added) && isNum(removed) ? added - removed : null,
+                  rate: selectedRates.disenrollmentRate[i] ?? null
+                };
+              }));
+
+              const billKeys = ['preDiscountBill', 'postDiscountBill'];
+              const hasBills = billKeys.some(k => reportedBy(k).length);
+              // Participant-weighted, like the account-weighted average bill
+              const preBill = weightedAverage(dataset.metrics, 'preDiscountBill', selectedIds, 'billDiscountParticipants');
+              const postBill = weightedAverage(dataset.metrics, 'postDiscountBill', selectedIds, 'billDiscountParticipants');
+              const billData = inWindow(months.map((month, i) => ({ month, pre: preBill[i] ?? null, post: postBill[i] ?? null })));
+
+              const costKeys = ['billDiscountProgramCosts', 'administrativeCosts', 'appliedCredits'];
+              const hasCosts = costKeys.some(k => reportedBy(k).length);
+              const costData = inWindow(months.map((month, i) => ({
+                month,
+                credits: sumReported('appliedCredits', i),
+                admin: sumReported('administrativeCosts', i),
+                total: sumReported('billDiscountProgramCosts', i),
+                adminShare: selectedRates.administrativeCostShare[i] ?? null
+              })));
+              const at = (key, id) => series(key, id)[currentMonth];
+              const derivedAt = (key, id) => derived[key][id]?.[currentMonth];
+
+              return (
+                <>
+                  <div style={panel}>
+                    <ChartTitle defKey="disenrollments" style={{ margin: '0 0 8px' }}>Enrollment Churn — {selectionLabel}</ChartTitle>
+                    <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>
+                      New enrollments above the line, disenrollments below it, and the net change in participants. The disenrollment rate is disenrollments ÷ participants
+                      for the utilities that reported both.
+                    </p>
+                    {!hasChurn ? emptyState(churnKeys) : (
+                      <ResponsiveContainer width="100%" height={300}>
+                        <ComposedChart data={churnData} stackOffset="sign">
+                          <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                          <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
+                          <YAxis yAxisId="count" tickFormatter={formatNumber} tick={{ fontSize: 10 }} />
+                          <YAxis yAxisId="rate" orientation="right" tickFormatter={(v) => `${v.toFixed(1)}%`} tick={{ fontSize: 10 }} />
+                          <Tooltip formatter={(v, name) => [name === 'Disenrollment rate' ? show(pct)(v) : show(formatNumber)(Math.abs(v)), name]} />
+                          <Legend wrapperStyle={{ fontSize: '11px' }} />
+                          <ReferenceLine yAxisId="count" y={0} stroke="#9CA3AF" />
+                          <Bar yAxisId="count" dataKey="added" stackId="churn" fill="#059669" name="New enrollments" />
+                          <Bar yAxisId="count" dataKey="removed" stackId="churn" fill="#DC2626" name="Disenrollments" />
+                          <Line yAxisId="count" type="monotone" dataKey="net" stroke="#1E3A5F" strokeWidth={2} dot={false} name="Net change" />
+                          <Line yAxisId="rate" type="monotone" dataKey="rate" stroke="#D97706" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Disenrollment rate" />
+                        </ComposedChart>
+                      </ResponsiveContainer>
+                    )}
+                  </div>
+
+                  <div style={panel}>
+                    <ChartTitle defKey="preDiscountBill" style={{ margin: '0 0 8px' }}>Participant Bills Before and After the Discount — {selectionLabel}</ChartTitle>
+                    <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>
+                      Average participant bill before and after the discount, weighted by each utility's participants.
+                    </p>
+                    {!hasBills ? emptyState(billKeys) : (
+                      <ResponsiveContainer width="100%" height={280}>
+                        <LineChart data={billData}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                          <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
+                          <YAxis tickFormatter={(v) => `$${v.toFixed(0)}`} tick={{ fontSize: 10 }} domain={[0, 'auto']} />
+                          <Tooltip formatter={(v, name) => [show(perDollar)(v), name]} />
+                          <Legend wrapperStyle={{ fontSize: '11px' }} />
+                          <Line type="monotone" dataKey="pre" stroke="#6B7280" strokeWidth={2} dot={false} name="Pre-discount bill" />
+                          <Line type="monotone" dataKey="post" stroke="#059669" strokeWidth={2} dot={false} name="Post-discount bill" />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    )}
+                  </div>
+
+                  <div style={panel}>
+                    <ChartTitle defKey="billDiscountProgramCosts" style={{ margin: '0 0 8px' }}>Program Cost-Effectiveness — {selectionLabel}</ChartTitle>
+                    <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>
+                      Credits applied to participant bills and administrative costs against total program costs; the dashed line is the administrative share of costs.
+                    </p>
+                    {!hasCosts ? emptyState(costKeys) : (
+                      <>
+                        <ResponsiveContainer width="100%" height={300}>
+                          <ComposedChart data={costData}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                            <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
+                            <YAxis yAxisId="dollars" tickFormatter={formatCurrency} tick={{ fontSize: 10 }} />
+                            <YAxis yAxisId="share" orientation="right" tickFormatter={(v) => `${v.toFixed(0)}%`} tick={{ fontSize: 10 }} domain={[0, 'auto']} />
+                            <Tooltip formatter={(v, name) => [name === 'Administrative share' ? show(pct)(v) : show(formatCurrency)(v), name]} />
+                            <Legend wrapperStyle={{ fontSize: '11px' }} />
+                            <Bar yAxisId="dollars" dataKey="credits" stackId="costs" fill="#059669" name="Applied credits" />
+                            <Bar yAxisId="dollars" dataKey="admin" stackId="costs" fill="#F59E0B" name="Administrative costs" />
+                            <Line yAxisId="dollars" type="monotone" dataKey="total" stroke="#1E3A5F" strokeWidth={2} dot={false} name="Total program costs" />
+                            <Line yAxisId="share" type="monotone" dataKey="adminShare" stroke="#D97706" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Administrative share" />
+                          </ComposedChart>
+                        </ResponsiveContainer>
+                        <div style={{ overflowX: 'auto', marginTop: '16px' }}>
+                          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                            <thead>
+                              <tr>
+                                <th style={{ ...th, textAlign: 'left' }}>Utility ({currentMonthShort})</th>
+                                <th style={th}>Program Costs</th>
+                                <th style={th}>Admin Share</th>
+                                <th style={th}>Credits per Program $</th>
+                                <th style={th}>Cost per Participant</th>
+                                <th style={th}>Bill Reduction</th>
+                                <th style={th}>Disenrollment Rate</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {utilities.map(u => {
+                                const pre = at('preDiscountBill', u.id);
+                                const post = at('postDiscountBill', u.id);
+                                return (
+                                  <tr key={u.id} style={{ background: !allSelected && selectedIds.includes(u.id) ? '#F8FAFC' : 'white' }}>
+                                    <td style={{ ...td, textAlign: 'left', fontWeight: '500', color: u.color }}>{u.name}</td>
+                                    <td style={td}>{show(formatCurrency)(at('billDiscountProgramCosts', u.id))}</td>
+                                    <td style={td}>{show(pct)(derivedAt('administrativeCostShare', u.id))}</td>
+                                    <td style={td}>{show(perDollar)(derivedAt('creditsPerProgramDollar', u.id))}</td>
+                                    <td style={td}>{show(perDollar)(derivedAt('programCostPerParticipant', u.id))}</td>
+                                    <td style={td}>{isNum(pre) && isNum(post) && pre > 0 ? pct(((pre - post) / pre) * 100) : '—'}</td>
+                                    <td style={td}>{show((v) => `${v.toFixed(2)}%`)(derivedAt('disenrollmentRate', u.id))}</td>
+                                  </tr>
+                                );
+                              })}
+                            </tbody>
+                          </table>
+                        </div>
+                      </>
+                    )}
+                  </div>
+
+                  {/* Which utilities file each optional series */}
+                  <div style={panel}>
+                    <h3 style={{ margin: '0 0 8px', fontSize: '16px', color: '#1E3A5F' }}>OAR 860-021-0408 Program Metrics Reported</h3>
+                    <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>
+                      These series are added to the dataset as utilities begin filing them; the charts above fill in as they do.
+                    </p>
+                    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                      <thead>
+                        <tr>
+                          <th style={{ ...th, textAlign: 'left' }}>Metric</th>
+                          <th style={{ ...th, textAlign: 'left' }}>Reported By</th>
+                          <th style={th}>Latest Month</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {Object.entries(optionalMetrics).map(([key, m]) => {
+                          const ids = reportingUtilities(dataset.metrics, key);
+                          const latest = months.reduce((found, _, i) => (ids.some(id => isNum(series(key, id)[i])) ? i : found), -1);
+                          return (
+                            <tr key={key}>
+                              <td style={{ ...td, textAlign: 'left' }}><span style={{ display: 'inline-flex', alignItems: 'center' }}>{m.label}<InfoTooltip defKey={m.defKey} /></span></td>
+                              <td style={{ ...td, textAlign: 'left', color: ids.length ? '#374151' : '#9CA3AF' }}>{ids.length ? ids.map(shortName).join(', ') : 'Not reported yet'}</td>
+                              <td style={td}>{latest < 0 ? '—' : formatMonthYear(months[latest])}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              );
+            })()}
           </>
         )}
 
         {/* ==================== UTILITY COMPARISON TAB ==================== */}
         {activeTab === 'comparison' && (
           <>
-            <div style={{ background: '#EFF6FF', borderRadius: '12px', padding: '16px', marginBottom: '24px', border: '1px solid #BFDBFE' }}>
-              <p style={{ margin: 0, color: '#1E40AF', fontSize: '14px' }}>
-                <strong>Normalized Comparison</strong> — Rates and percentages allow fair comparison across utilities of different sizes. Electric usage in kWh, gas usage in therms.
-              </p>
-            </div>
-
-            {/* Comparison Table */}
-            <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
-              <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>September 2025 Comparison</h3>
-              <div style={{ overflowX: 'auto' }}>
-                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
-                  <thead>
-                    <tr style={{ background: '#F9FAFB' }}>
-                      <th style={{ padding: '12px', textAlign: 'left', borderBottom: '2px solid #E5E7EB' }}>Utility</th>
-                      <th style={{ padding: '12px', textAlign: 'center', borderBottom: '2px solid #E5E7EB' }}>Type</th>
-                      <th style={{ padding: '12px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Accounts</th>
-                      <th style={{ padding: '12px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Arrears Rate</th>
-                      <th style={{ padding: '12px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Avg Arrears</th>
-                      <th style={{ padding: '12px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Disc. Rate</th>
-                      <th style={{ padding: '12px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Avg Bill</th>
-                      <th style={{ padding: '12px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Avg Usage</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {utilities.map(u => {
-                      const acct = accounts[u.id][currentMonth];
-                      const arrCust = arrearsCustomers[u.id][currentMonth];
-                      const arrBal = arrearsBalance[u.id][currentMonth];
-                      const disc = disconnections[u.id][currentMonth];
-                      const bill = avgBill[u.id][currentMonth];
-                      const usage = avgUsage[u.id][currentMonth];
-                      const isElectric = ['pge', 'pac', 'ipco'].includes(u.id);
-                      
-                      return (
-                        <tr key={u.id} style={{ borderBottom: '1px solid #E5E7EB' }}>
-                          <td style={{ padding: '12px' }}>
-                            <span style={{ display: 'inline-block', width: '8px', height: '8px', borderRadius: '50%', background: u.color, marginRight: '8px' }}></span>
-                            {u.name}
-                          </td>
-                          <td style={{ padding: '12px', textAlign: 'center' }}>
-                            <span style={{ 
-                              padding: '2px 8px', 
-                              borderRadius: '10px', 
-                              fontSize: '11px',
-                              background: isElectric ? '#DBEAFE' : '#FEF3C7',
-                              color: isElectric ? '#1E40AF' : '#92400E'
-                            }}>
-                              {isElectric ? 'Electric' : 'Gas'}
-                            </span>
-                          </td>
-                          <td style={{ padding: '12px', textAlign: 'right' }}>{formatNumber(acct)}</td>
-                          <td style={{ padding: '12px', textAlign: 'right' }}>{((arrCust / acct) * 100).toFixed(1)}%</td>
-                          <td style={{ padding: '12px', textAlign: 'right' }}>${Math.round(arrBal / arrCust)}</td>
-                          <td style={{ padding: '12px', textAlign: 'right' }}>{discPct[u.id][currentMonth].toFixed(2)}%</td>
-                          <td style={{ padding: '12px', textAlign: 'right', fontWeight: '500' }}>${bill}</td>
-                          <td style={{ padding: '12px', textAlign: 'right' }}>{usage} {isElectric ? 'kWh' : 'therms'}</td>
-                        </tr>
-                      );
-                    })}
-                  </tbody>
-                </table>
+            <InsightCallout tab="comparison" ids={utilityIds} />
+
+            <div style={{ background: '#EFF6FF', borderRadius: '12px', padding: '16px', marginBottom: '24px', border: '1px solid #BFDBFE' }}>
+              <p style={{ margin: 0, color: '#1E40AF', fontSize: '14px' }}>
+                <strong>Normalized Comparison</strong> — Rates and percentages allow fair comparison across utilities of different sizes. Electric usage in kWh, gas usage in therms.
+              </p>
+            </div>
+
+            {/* Comparison Table */}
+            <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+              <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>{currentMonthLabel} Comparison</h3>
+              <div style={{ overflowX: 'auto' }}>
+                <ComparisonTable />
               </div>
             </div>
 
@@ -2118,11 +3175,11 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#0284C7' }}>Average Bill Trend - All Utilities</h3>
                 <ResponsiveContainer width="100%" height={300}>
-                  <LineChart data={months.map((month, i) => {
+                  <LineChart data={inWindow(months.map((month, i) => {
                     const row = { month };
                     utilities.forEach(u => { row[u.short] = avgBill[u.id][i]; });
                     return row;
-                  })}>
+                  }))}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 9 }} interval={3} />
                     <YAxis tickFormatter={(v) => `$${v}`} tick={{ fontSize: 10 }} />
@@ -2139,23 +3196,19 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>Average Usage Trend - Electric (kWh)</h3>
                 <ResponsiveContainer width="100%" height={300}>
-                  <LineChart data={months.map((month, i) => {
+                  <LineChart data={inWindow(months.map((month, i) => {
                     const row = { month };
-                    ['pge', 'pac', 'ipco'].forEach(uid => {
-                      const u = utilities.find(x => x.id === uid);
-                      row[u.short] = avgUsage[uid][i];
-                    });
+                    utilities.filter(u => u.type === 'Electric').forEach(u => { row[u.short] = avgUsage[u.id][i]; });
                     return row;
-                  })}>
+                  }))}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 9 }} interval={3} />
                     <YAxis tick={{ fontSize: 10 }} />
                     <Tooltip formatter={(v) => `${v} kWh`} />
                     <Legend />
-                    {['pge', 'pac', 'ipco'].map(uid => {
-                      const u = utilities.find(x => x.id === uid);
-                      return <Line key={uid} type="monotone" dataKey={u.short} stroke={u.color} strokeWidth={1.5} dot={false} />;
-                    })}
+                    {utilities.filter(u => u.type === 'Electric').map(u => (
+                      <Line key={u.id} type="monotone" dataKey={u.short} stroke={u.color} strokeWidth={1.5} dot={false} />
+                    ))}
                   </LineChart>
                 </ResponsiveContainer>
               </div>
@@ -2166,11 +3219,11 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#DC2626' }}>Disconnection Rate Trend (% of Customers)</h3>
                 <ResponsiveContainer width="100%" height={300}>
-                  <LineChart data={months.map((month, i) => {
+                  <LineChart data={inWindow(months.map((month, i) => {
                     const row = { month };
                     utilities.forEach(u => { row[u.short] = discPct[u.id][i]; });
                     return row;
-                  })}>
+                  }))}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 9 }} interval={3} />
                     <YAxis tickFormatter={(v) => `${v}%`} tick={{ fontSize: 10 }} />
@@ -2187,23 +3240,19 @@ export default function OregonEnergyDashboard() {
               <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
                 <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#7C3AED' }}>Average Usage Trend - Gas (Therms)</h3>
                 <ResponsiveContainer width="100%" height={300}>
-                  <LineChart data={months.map((month, i) => {
+                  <LineChart data={inWindow(months.map((month, i) => {
                     const row = { month };
-                    ['nwn', 'cng', 'avista'].forEach(uid => {
-                      const u = utilities.find(x => x.id === uid);
-                      row[u.short] = avgUsage[uid][i];
-                    });
+                    utilities.filter(u => u.type === 'Gas').forEach(u => { row[u.short] = avgUsage[u.id][i]; });
                     return row;
-                  })}>
+                  }))}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                     <XAxis dataKey="month" tick={{ fontSize: 9 }} interval={3} />
                     <YAxis tick={{ fontSize: 10 }} />
                     <Tooltip formatter={(v) => `${v} therms`} />
                     <Legend />
-                    {['nwn', 'cng', 'avista'].map(uid => {
-                      const u = utilities.find(x => x.id === uid);
-                      return <Line key={uid} type="monotone" dataKey={u.short} stroke={u.color} strokeWidth={1.5} dot={false} />;
-                    })}
+                    {utilities.filter(u => u.type === 'Gas').map(u => (
+                      <Line key={u.id} type="monotone" dataKey={u.short} stroke={u.color} strokeWidth={1.5} dot={false} />
+                    ))}
                   </LineChart>
                 </ResponsiveContainer>
               </div>
@@ -2211,7 +3260,7 @@ export default function OregonEnergyDashboard() {
 
             {/* Arrears Balance by Age Bucket - Comparison */}
             <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
-              <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>Arrears Balance by Age Bucket - All Utilities (Sep 2025)</h3>
+              <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>Arrears Balance by Age Bucket - All Utilities ({currentMonthShort})</h3>
               <ResponsiveContainer width="100%" height={350}>
                 <BarChart data={utilities.map(u => ({
                   name: u.short,
@@ -2231,16 +3280,383 @@ export default function OregonEnergyDashboard() {
                 </BarChart>
               </ResponsiveContainer>
             </div>
+
+            {/* High-Usage Customers vs. All Residential Customers */}
+            {(() => {
+              const huKeys = ['highUsageCustomers', 'highUsageAvgBill', 'highUsageAvgUsage', 'highUsageArrears'];
+              const reporting = utilities.filter(u => huKeys.some(key => reportingUtilities(dataset.metrics, key).includes(u.id)));
+              const hu = (key, id, i) => dataset.metrics[key]?.[id]?.[i];
+              const unit = (u) => (u.type === 'Electric' ? 'kWh' : 'therms');
+              const ratioText = (r) => (r === null ? '—' : `${r.toFixed(1)}×`);
+              const comparisons = [
+                { key: 'bill', label: 'Average Bill', note: 'High-usage average bill ÷ residential average bill', ratioAt: (id, i) => ratio(hu('highUsageAvgBill', id, i), avgBill[id][i]) },
+                { key: 'usage', label: 'Average Usage', note: 'High-usage average usage ÷ residential average usage', ratioAt: (id, i) => ratio(hu('highUsageAvgUsage', id, i), avgUsage[id][i]) },
+                { key: 'arrears', label: 'Arrears per Customer', note: 'High-usage arrears per high-usage customer ÷ arrears per residential account', ratioAt: (id, i) => ratio(derived.highUsageArrearsPerCustomer[id]?.[i], derived.arrearsPerAccount[id][i]) }
+              ];
+
+              return (
+                <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginTop: '24px' }}>
+                  <ChartTitle defKey="highUsageCustomer" style={{ margin: '0 0 8px' }}>High-Usage Customers vs. All Residential Customers</ChartTitle>
+                  <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>
+                    High-usage customers are bill discount participants at or above the 90th percentile of usage among their utility's participants. Each ratio divides
+                    their value by the same utility's residential figure, so electric and gas utilities can be compared; 2× means twice the residential level.
+                  </p>
+
+                  {!reporting.length ? (
+                    <div style={{ padding: '32px', textAlign: 'center', color: '#6B7280', fontSize: '13px', background: '#F9FAFB', borderRadius: '8px' }}>
+                      No utility has reported high-usage customer data yet. It will appear here once filings include it.
+                    </div>
+                  ) : (
+                    <>
+                      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '24px', marginBottom: '24px' }}>
+                        {comparisons.map(c => (
+                          <div key={c.key}>
+                            <div style={{ fontSize: '13px', fontWeight: '600', color: '#1E3A5F' }}>{c.label}</div>
+                            <div style={{ fontSize: '11px', color: '#6B7280', marginBottom: '8px' }}>{c.note}</div>
+                            <ResponsiveContainer width="100%" height={220}>
+                              <LineChart data={inWindow(months.map((month, i) => ({ month, ...Object.fromEntries(reporting.map(u => [u.short, c.ratioAt(u.id, i)])) })))}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                                <XAxis dataKey="month" tick={{ fontSize: 10 }} interval={3} />
+                                <YAxis tickFormatter={(v) => `${v.toFixed(1)}×`} tick={{ fontSize: 10 }} domain={[0, 'auto']} />
+                                <Tooltip formatter={(v, name) => [ratioText(isNum(v) ? v : null), name]} />
+                                <Legend wrapperStyle={{ fontSize: '11px' }} />
+                                <ReferenceLine y={1} stroke="#9CA3AF" strokeDasharray="3 3" />
+                                {reporting.map(u => (
+                                  <Line key={u.id} type="monotone" dataKey={u.short} stroke={u.color} strokeWidth={2} dot={false} connectNulls={false} />
+                                ))}
+                              </LineChart>
+                            </ResponsiveContainer>
+                          </div>
+                        ))}
+                      </div>
+
+                      <div style={{ overflowX: 'auto' }}>
+                        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                          <thead>
+                            <tr>
+                              <th style={{ ...th, textAlign: 'left' }} rowSpan={2}>Utility ({currentMonthShort})</th>
+                              <th style={{ ...th, textAlign: 'center', borderBottom: '1px solid #E5E7EB' }} colSpan={2}>High-Usage Customers</th>
+                              {comparisons.map(c => <th key={c.key} style={{ ...th, textAlign: 'center', borderBottom: '1px solid #E5E7EB' }} colSpan={3}>{c.label}</th>)}
+                            </tr>
+                            <tr>
+                              <th style={th}>Count</th>
+                              <th style={th}>% of Participants</th>
+                              {comparisons.map(c => [
+                                <th key={`${c.key}-h`} style={th}>High-Usage</th>,
+                                <th key={`${c.key}-r`} style={th}>Residential</th>,
+                                <th key={`${c.key}-x`} style={th}>Ratio</th>
+                              ])}
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {utilities.map(u => {
+                              const i = currentMonth;
+                              const usage = (v) => `${Math.round(v).toLocaleString()} ${unit(u)}`;
+                              const values = {
+                                bill: [hu('highUsageAvgBill', u.id, i), avgBill[u.id][i], (v) => `$${v.toFixed(0)}`],
+                                usage: [hu('highUsageAvgUsage', u.id, i), avgUsage[u.id][i], usage],
+                                arrears: [derived.highUsageArrearsPerCustomer[u.id]?.[i], derived.arrearsPerAccount[u.id][i], (v) => `$${v.toFixed(0)}`]
+                              };
+                              return (
+                                <tr key={u.id}>
+                                  <td style={{ ...td, textAlign: 'left', fontWeight: '500', color: u.color }}>{u.name}</td>
+                                  <td style={td}>{show(formatNumber)(hu('highUsageCustomers', u.id, i))}</td>
+                                  <td style={td}>{show((v) => `${v.toFixed(1)}%`)(derived.highUsageShare[u.id]?.[i])}</td>
+                                  {comparisons.map(c => {
+                                    const [high, residential, format] = values[c.key];
+                                    return [
+                                      <td key={`${c.key}-h`} style={{ ...td, color: '#B45309' }}>{show(format)(high)}</td>,
+                                      <td key={`${c.key}-r`} style={td}>{show(format)(residential)}</td>,
+                                      <td key={`${c.key}-x`} style={{ ...td, fontWeight: '600' }}>{ratioText(c.ratioAt(u.id, i))}</td>
+                                    ];
+                                  })}
+                                </tr>
+                              );
+                            })}
+                          </tbody>
+                        </table>
+                      </div>
+                    </>
+                  )}
+                  <p style={{ margin: '12px 0 0', fontSize: '11px', color: '#6B7280', fontStyle: 'italic' }}>
+                    The residential averages include high-usage customers and every other account, participant or not. High-usage arrears are spread over all high-usage
+                    customers, in arrears or not, to match arrears per residential account. By definition about 10% of participants are high-usage; a share far from that
+                    suggests a different threshold or a reporting error.
+                  </p>
+                </div>
+              );
+            })()}
           </>
         )}
 
+        {/* ==================== ZIP PROFILE (GEOGRAPHIC DRILL-DOWN) ==================== */}
+        {activeTab === 'geographic' && geoView === 'profile' && (() => {
+          const zip = geoSelected;
+          const history = zipHistory(geoZipData, zip, geoMonthKeys);
+          const servingIds = Object.keys(history.utilities);
+          const zipMonthLabels = geoMonthKeys.map(mk => dataset.zip.months[mk]);
+          const monthIndexes = zipMonthLabels.map(m => months.indexOf(m));
+          const position = geoMonthKeys.indexOf(geoMonth);
+          const backButton = (
+            <button onClick={closeZipProfile} style={{ ...filterButton(false, '#1E3A5F'), padding: '6px 14px', fontSize: '12px' }}>
+              ← Back to map
+            </button>
+          );
+
+          if (!servingIds.length) {
+            return (
+              <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
+                {backButton}
+                <p style={{ margin: '16px 0 0', fontSize: '14px', color: '#6B7280' }}>
+                  ZIP {zip} is not in the ZIP-level data, or no utility reports more than {MIN_ZIP_ACCOUNTS} active accounts there.
+                </p>
+              </div>
+            );
+          }
+
+          // Comparisons: every utility pooled statewide, and each serving utility system-wide
+          const statewide = derivePooledMetrics(dataset, utilityIds);
+          const current = history.combined[position];
+          const statewideArrears = statewide.arrearsRate[monthIndexes[position]];
+          const statewideDisc = statewide.discPct[monthIndexes[position]];
+          const pct = (v, digits = 1) => (v === null || v === undefined ? '—' : `${v.toFixed(digits)}%`);
+
+          // Rank among ZIPs in each region containing this one, all utilities combined
+          const totals = zipTotals(geoZipData, geoMonth, Object.keys(geoZipData));
+          const regionIds = regionsContaining(geoRegions, history.location);
+          const areaText = (level) => {
+            const allocation = zipAllocation(crosswalk, basemapLayerSet?.counties, level, zip, history.location.lng, history.location.lat);
+            return allocation?.areas.map(a => (a.share < 0.995 ? `${a.area} (${Math.round(a.share * 100)}%)` : a.area)).join(', ');
+          };
+          const county = areaText('county');
+          const districts = [areaText('house'), areaText('senate')].filter(Boolean).join(' · ');
+
+          // Energy burden as on the map, for months where the ZIP's income is known
+          const utilityTypes = Object.fromEntries(utilities.map(u => [u.id, u.type]));
+          const burdenAt = (i) => {
+            const ids = servingIds.filter(uid => history.utilities[uid][i]);
+            const bills = Object.fromEntries(ids.map(uid => [uid, annualBill(avgBill[uid], monthIndexes[i])]));
+            const mapCounty = zipAllocation(null, basemapLayerSet?.counties, 'county', zip, history.location.lng, history.location.lat)?.areas[0].area;
+            return ids.length ? zipBurdens({ [zip]: ids }, utilityTypes, bills, incomeTable, { [zip]: mapCounty })[zip] : null;
+          };
+          const burdenRow = zipMonthLabels.map((_, i) => burdenAt(i));
+          const hasBurden = burdenRow.some(b => b?.combined !== null && b?.combined !== undefined);
+
+          const chartRows = (key, statewideKey, derivedKey) => zipMonthLabels.map((month, i) => ({
+            month,
+            zip: history.combined[i]?.[key] ?? null,
+            statewide: statewide[statewideKey][monthIndexes[i]] ?? null,
+            ...Object.fromEntries(servingIds.map(uid => [uid, derived[derivedKey][uid]?.[monthIndexes[i]] ?? null]))
+          }));
+
+          const nowrapTh = { ...th, whiteSpace: 'nowrap' };
+          const count = (v) => (v === null || v === undefined ? '—' : v.toLocaleString());
+          const historyTable = (series, compare, extraRows = []) => (
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  <th style={{ ...nowrapTh, textAlign: 'left' }}>Metric</th>
+                  {zipMonthLabels.map((m, i) => (
+                    <th key={m} style={{ ...nowrapTh, color: i === position ? '#1E3A5F' : nowrapTh.color }}>{formatMonthYear(m)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {[
+                  ['Active Accounts', i => count(series[i]?.active)],
+                  ['Accounts in Arrears', i => count(series[i]?.arrears)],
+                  ['Arrears Rate', i => pct(series[i]?.arrearsRate)],
+                  [`${compare.label} Arrears Rate`, i => pct(compare.arrearsRate[monthIndexes[i]]), true],
+                  ['Disconnections', i => count(series[i]?.disc)],
+                  ['Disconnection Rate', i => pct(series[i]?.discRate, 2)],
+                  [`${compare.label} Disconnection Rate`, i => pct(compare.discRate[monthIndexes[i]], 2), true],
+                  ...extraRows
+                ].map(([label, cell, muted]) => (
+                  <tr key={label}>
+                    <td style={{ ...td, textAlign: 'left', color: muted ? '#6B7280' : '#111827', fontWeight: muted ? 'normal' : '500' }}>{label}</td>
+                    {zipMonthLabels.map((m, i) => (
+                      <td key={m} style={{ ...td, color: muted ? '#6B7280' : '#111827', background: i === position ? '#F8FAFC' : 'transparent' }}>{cell(i)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          );
+
+          return (
+            <>
+              <div style={{ background: 'white', borderRadius: '12px', padding: '20px 24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '16px', flexWrap: 'wrap' }}>
+                  <div>
+                    {backButton}
+                    <h2 style={{ margin: '12px 0 4px', fontSize: '24px', color: '#1E3A5F' }}>ZIP {zip}</h2>
+                    <div style={{ fontSize: '13px', color: '#6B7280' }}>
+                      {regionIds.filter(id => id !== 'statewide').map(id => geoRegions[id].name).join(' · ') || 'Outside the named regions'}
+                      {county && ` · ${county} County`}
+                      {districts && ` · ${districts}`}
+                    </div>
+                    <div style={{ display: 'flex', gap: '6px', marginTop: '8px', flexWrap: 'wrap' }}>
+                      {servingIds.map(uid => (
+                        <span key={uid} style={{ fontSize: '11px', padding: '2px 8px', borderRadius: '10px', background: `${geoUtilityColors[uid]}15`, color: geoUtilityColors[uid], fontWeight: 600 }}>
+                          {geoUtilityNames[uid]}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                  <label style={{ fontSize: '12px', color: '#6B7280' }}>
+                    Cards and ranks for{' '}
+                    <select value={geoMonth} onChange={e => setGeoMonth(e.target.value)} style={{ padding: '6px 10px', border: '1px solid #e2e8f0', borderRadius: '6px', fontSize: '13px' }}>
+                      {geoMonthKeys.map(k => <option key={k} value={k}>{geoMonthLabels[k]}</option>)}
+                    </select>
+                  </label>
+                </div>
+              </div>
+
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '16px', marginBottom: '24px' }}>
+                <MetricCard
+                  title="Arrears Rate"
+                  value={pct(current?.arrearsRate)}
+                  subtitle={`Statewide ${pct(statewideArrears)}`}
+                  color={current && current.arrearsRate > statewideArrears ? '#DC2626' : '#1E3A5F'}
+                />
+                <MetricCard
+                  title="Disconnection Rate"
+                  value={pct(current?.discRate, 2)}
+                  subtitle={`Statewide ${pct(statewideDisc, 2)}`}
+                  color={current && current.discRate > statewideDisc ? '#DC2626' : '#1E3A5F'}
+                />
+                <MetricCard
+                  title="Accounts in Arrears"
+                  value={count(current?.arrears)}
+                  subtitle={current ? `of ${current.active.toLocaleString()} active accounts` : `Not reported for ${geoMonthLabels[geoMonth]}`}
+                />
+                <MetricCard
+                  title="Energy Burden (Electric + Gas)"
+                  value={pct(burdenRow[position]?.combined)}
+                  subtitle={burdenRow[position]?.income
+                    ? `Median income $${burdenRow[position].income.toLocaleString()}${burdenRow[position].partial ? ' · one fuel only' : ''}`
+                    : 'No income data for this ZIP'}
+                  color={burdenRow[position]?.combined > HIGH_BURDEN_PERCENT ? '#DC2626' : '#1E3A5F'}
+                />
+              </div>
+
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px', marginBottom: '24px' }}>
+                {[
+                  ['Arrears Rate', 'arrearsRate', 'arrearsRate', 'arrearsRate', 1],
+                  ['Disconnection Rate', 'discRate', 'discPct', 'discPct', 2]
+                ].map(([title, key, statewideKey, derivedKey, digits]) => (
+                  <div key={key} style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
+                    <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>{title}: ZIP vs. Statewide and Utility Averages</h3>
+                    <ResponsiveContainer width="100%" height={240}>
+                      <LineChart data={chartRows(key, statewideKey, derivedKey)}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                        <XAxis dataKey="month" tickFormatter={formatMonthYear} fontSize={12} />
+                        <YAxis fontSize={12} tickFormatter={v => `${v.toFixed(digits)}%`} domain={['auto', 'auto']} />
+                        <Tooltip formatter={v => pct(v, digits)} labelFormatter={formatMonthYear} />
+                        <Legend />
+                        <Line type="monotone" dataKey="zip" name={`ZIP ${zip}`} stroke="#1E3A5F" strokeWidth={3} dot={{ r: 4 }} />
+                        <Line type="monotone" dataKey="statewide" name="Statewide" stroke="#9CA3AF" strokeWidth={2} strokeDasharray="5 5" dot={false} />
+                        {servingIds.map(uid => (
+                          <Line key={uid} type="monotone" dataKey={uid} name={`${geoUtilityNames[uid]} (system)`} stroke={geoUtilityColors[uid]} strokeWidth={1.5} strokeDasharray="3 3" dot={false} />
+                        ))}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                ))}
+              </div>
+
+              <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+                <h3 style={{ margin: '0 0 8px', fontSize: '16px', color: '#1E3A5F' }}>Rank Among ZIP Codes — {geoMonthLabels[geoMonth]}</h3>
+                <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>
+                  1 is the highest rate. Ranks compare this ZIP with the other ZIP codes in each map region, all utilities combined, leaving out ZIPs with {MIN_ZIP_ACCOUNTS} or fewer active accounts.
+                </p>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ ...nowrapTh, textAlign: 'left' }}>Region</th>
+                      <th style={nowrapTh}>Arrears Rate</th>
+                      <th style={nowrapTh}>Disconnection Rate</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {regionIds.map(id => {
+                      const rankText = (key) => {
+                        const r = zipRank(totals, zip, geoRegions[id], key);
+                        return r ? `${r.rank} of ${r.of}` : '—';
+                      };
+                      return (
+                        <tr key={id}>
+                          <td style={{ ...td, textAlign: 'left', fontWeight: '500' }}>{geoRegions[id].name}</td>
+                          <td style={td}>{rankText('arrearsRate')}</td>
+                          <td style={td}>{rankText('discRate')}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+                <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>All Utilities Combined</h3>
+                <div style={{ overflowX: 'auto' }}>
+                  {historyTable(history.combined, { label: 'Statewide', arrearsRate: statewide.arrearsRate, discRate: statewide.discPct }, hasBurden ? [
+                    ['Energy Burden (Electric + Gas)', i => pct(burdenRow[i]?.combined)]
+                  ] : [])}
+                </div>
+              </div>
+
+              {servingIds.map(uid => (
+                <div key={uid} style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px', borderLeft: `4px solid ${geoUtilityColors[uid]}` }}>
+                  <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: geoUtilityColors[uid] }}>{utilities.find(u => u.id === uid)?.name || geoUtilityNames[uid]}</h3>
+                  <div style={{ overflowX: 'auto' }}>
+                    {historyTable(history.utilities[uid], {
+                      label: `${geoUtilityNames[uid]} System`,
+                      arrearsRate: derived.arrearsRate[uid] || [],
+                      discRate: derived.discPct[uid] || []
+                    })}
+                  </div>
+                </div>
+              ))}
+
+              <p style={{ fontSize: '11px', color: '#6B7280', fontStyle: 'italic' }}>
+                Statewide and system rates come from the utilities' system-wide filings (all Oregon residential accounts), not from the ZIP-level rows.
+                Months where a utility reports {MIN_ZIP_ACCOUNTS} or fewer active accounts in this ZIP are shown as —.
+              </p>
+            </>
+          );
+        })()}
+
         {/* ==================== GEOGRAPHIC VIEW TAB ==================== */}
-        {activeTab === 'geographic' && (() => {
+        {activeTab === 'geographic' && geoView === 'map' && (() => {
           const bounds = geoRegions[geoRegion];
           const mapWidth = 850, mapHeight = 520;
           const { latMin, latMax, lngMin, lngMax } = bounds;
-          const xScale = (lng) => ((lng - lngMin) / (lngMax - lngMin)) * (mapWidth - 60) + 30;
-          const yScale = (lat) => mapHeight - 30 - ((lat - latMin) / (latMax - latMin)) * (mapHeight - 60);
+          const projection = oregonProjection(bounds, mapWidth, mapHeight);
+          const mapPath = geoPath(projection);
+          const layers = basemapLayerSet;
+
+          // Energy burden: each utility's average bill over the year ending in the
+          // map month, against the ZIP's median household income (see burden.js)
+          const isBurden = geoMetric === 'energy_burden';
+          const utilityTypes = Object.fromEntries(utilities.map(u => [u.id, u.type]));
+          // County of each ZIP's map point, for ZIPs the income table does not list
+          const mapCounties = isBurden ? Object.fromEntries(Object.values(geoZipData).flat().map(d => [
+            d.zip, zipAllocation(null, layers?.counties, 'county', d.zip, d.lng, d.lat)?.areas[0].area
+          ])) : {};
+          const burdensFor = (mk) => {
+            const monthIndex = months.indexOf(dataset.zip.months[mk]);
+            const annualBills = Object.fromEntries(utilities.map(u => [u.id, annualBill(avgBill[u.id], monthIndex)]));
+            const servedBy = {};
+            Object.entries(geoZipData).forEach(([uk, rows]) => rows.forEach(d => {
+              if (d[mk]?.active > 0) (servedBy[d.zip] = servedBy[d.zip] || []).push(uk);
+            }));
+            return zipBurdens(servedBy, utilityTypes, annualBills, incomeTable, mapCounties);
+          };
+          const burdensByMonth = isBurden ? Object.fromEntries(geoMonthKeys.map(mk => [mk, burdensFor(mk)])) : {};
+          const burdens = burdensByMonth[geoMonth] || {};
+          const burdenServes = (uk) => burdenType === 'combined' || utilityTypes[uk]?.toLowerCase() === burdenType;
+          const incomeZipCount = incomeTable ? Object.values(incomeTable.zips).length : 0;
+          const incomeCountyCount = incomeTable ? Object.values(incomeTable.counties).length : 0;
           
           const getGeoMetricValue = (data, month, metric) => {
             const d = data[month];
@@ -2250,28 +3666,37 @@ export default function OregonEnergyDashboard() {
               case 'disc_rate': return d.active > 0 ? (d.disc / d.active * 100) : 0;
               case 'arrears_count': return d.arrears;
               case 'disconnections': return d.disc;
+              case 'energy_burden': return burdensByMonth[month]?.[data.zip]?.[burdenType] ?? null;
               default: return 0;
             }
           };
           
-          let allGeoData = [];
-          const utilKeys = geoUtility === 'all' ? ['pge', 'nwn', 'avista', 'cng', 'pac', 'ipco'] : [geoUtility];
-          utilKeys.forEach(uk => {
-            if (geoZipData[uk]) {
-              geoZipData[uk].forEach(d => {
-                if (d[geoMonth]?.active > 20) {
-                  allGeoData.push({ ...d, utility: uk, value: getGeoMetricValue(d, geoMonth, geoMetric) });
-                }
-              });
-            }
-          });
-          allGeoData.sort((a, b) => b.value - a.value);
+          const utilKeys = geoUtility === 'all' ? Object.keys(geoZipData) : [geoUtility];
+          const geoRowsFor = (mk) => {
+            const rows = [];
+            utilKeys.forEach(uk => (geoZipData[uk] || []).forEach(d => {
+              if (d[mk]?.active > MIN_ZIP_ACCOUNTS) {
+                const value = getGeoMetricValue(d, mk, geoMetric);
+                // Burden is only mapped where the income is known, for utilities of the chosen fuel
+                if (isBurden && (value === null || !burdenServes(uk))) return;
+                rows.push({ ...d, utility: uk, value });
+              }
+            }));
+            return rows;
+          };
+          // Every month is computed so colors keep one scale across the time
+          // slider, and for the selected ZIP's sparkline
+          const geoRowsByMonth = Object.fromEntries(geoMonthKeys.map(mk => [mk, geoRowsFor(mk)]));
+          const allGeoData = [...geoRowsByMonth[geoMonth]].sort((a, b) => b.value - a.value);
           
           const filteredGeoData = allGeoData
             .filter(d => d.lat >= latMin && d.lat <= latMax && d.lng >= lngMin && d.lng <= lngMax)
-            .map(d => ({ ...d, x: xScale(d.lng), y: yScale(d.lat) }));
+            .map(d => {
+              const [x, y] = projection([d.lng, d.lat]);
+              return { ...d, x, y };
+            });
           
-          const geoValues = allGeoData.map(d => d.value).filter(v => v > 0);
+          const geoValues = Object.values(geoRowsByMonth).flat().map(d => d.value).filter(v => v > 0);
           const geoMinVal = geoValues.length ? Math.min(...geoValues) : 0;
           const geoMaxVal = geoValues.length ? Math.max(...geoValues) : 1;
           
@@ -2285,18 +3710,55 @@ export default function OregonEnergyDashboard() {
             if (util === 'ipco') return `hsl(188, 85%, ${l}%)`;
             return `hsl(0, 70%, ${l}%)`;
           };
+
+          // ZIP polygons get one value per ZIP across the utilities shown: counts
+          // are summed and rates recomputed from the sums
+          const zipValuesFor = (mk) => {
+            const zipTotals = {};
+            geoRowsByMonth[mk].forEach(d => {
+              const t = zipTotals[d.zip] = zipTotals[d.zip] || { zip: d.zip, [mk]: { active: 0, arrears: 0, disc: 0 } };
+              ['active', 'arrears', 'disc'].forEach(f => { t[mk][f] += d[mk][f]; });
+            });
+            return Object.fromEntries(Object.values(zipTotals).map(t => [t.zip, getGeoMetricValue(t, mk, geoMetric)]));
+          };
+          const zipValuesByMonth = layers?.zcta ? Object.fromEntries(geoMonthKeys.map(mk => [mk, zipValuesFor(mk)])) : {};
+          const zipValues = zipValuesByMonth[geoMonth] || {};
+          const zipPolygons = Object.keys(zipValues).filter(zip => layers.zcta[zip]);
+          const hasPolygon = new Set(zipPolygons);
+          const zipRange = Object.values(zipValuesByMonth).flatMap(values => Object.entries(values).filter(([zip]) => layers.zcta[zip]).map(([, v]) => v));
+          const zipMinVal = zipRange.length ? Math.min(...zipRange) : 0;
+          const zipMaxVal = zipRange.length ? Math.max(...zipRange) : 1;
+          const getZipColor = (value) => {
+            const t = zipMaxVal > zipMinVal ? (value - zipMinVal) / (zipMaxVal - zipMinVal) : 0;
+            return `hsl(${48 - t * 48}, 90%, ${88 - t * 46}%)`;
+          };
           
           const cities = geoCities[geoRegion] || [];
           const activeZip = geoSelected || geoHover;
           const activeItems = activeZip ? filteredGeoData.filter(d => d.zip === activeZip) : [];
           const cfg = geoMetricConfig[geoMetric];
           const isStatewide = geoRegion === 'statewide';
+          const firstZipMonth = dataset.zip.months[geoMonthKeys[0]];
+          const lastZipMonth = dataset.zip.months[latestZipMonth];
+
+          // Hotspots: Getis-Ord Gi* on each ZIP's rate, utilities shown combined
+          // (see hotspots.js)
+          const hotspotTotals = hotspotMetric === 'off' ? {} : zipTotals(geoZipData, geoMonth, utilKeys);
+          const hotspotPoints = Object.values(hotspotTotals).map(t => ({
+            ...t,
+            value: hotspotMetric === 'disc_rate' ? t.discRate : t.arrearsRate
+          }));
+          const hotspotBandKm = hotspotBand === 'auto' ? autoBand(hotspotPoints) : Number(hotspotBand);
+          const hotspots = getisOrdGiStar(hotspotPoints, hotspotBandKm);
+          const significant = Object.entries(hotspots).filter(([, h]) => h.type).sort((a, b) => b[1].z - a[1].z);
+          const hotZips = significant.filter(([, h]) => h.type === 'hot');
+          const coldZips = significant.filter(([, h]) => h.type === 'cold').reverse();
           
           return (
             <>
               <div style={{ background: '#EFF6FF', borderRadius: '12px', padding: '16px', marginBottom: '24px', border: '1px solid #BFDBFE' }}>
                 <p style={{ margin: 0, color: '#1E40AF', fontSize: '14px' }}>
-                  <strong>Geographic View</strong> — Explore ZIP code-level utility data across Oregon. Q2 2025 data (April–June). Click a circle to pin details, hover to preview.
+                  <strong>Geographic View</strong> — Explore ZIP code-level utility data across Oregon. Data for {geoMonthLabels[geoMonthKeys[0]]} – {geoMonthLabels[geoMonthKeys[geoMonthKeys.length - 1]]}. Click a ZIP code to pin details, hover to preview.
                 </p>
               </div>
               
@@ -2312,27 +3774,111 @@ export default function OregonEnergyDashboard() {
                       <option value="all">All Utilities</option>
                       {Object.entries(geoUtilityNames).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
                     </select>
-                    <select value={geoMonth} onChange={e => setGeoMonth(e.target.value)} style={{ padding: '6px 10px', border: '1px solid #e2e8f0', borderRadius: '6px', fontSize: '13px' }}>
-                      <option value="apr">April 2025</option>
-                      <option value="may">May 2025</option>
-                      <option value="jun">June 2025</option>
-                    </select>
                     <select value={geoMetric} onChange={e => setGeoMetric(e.target.value)} style={{ padding: '6px 10px', border: '1px solid #e2e8f0', borderRadius: '6px', fontSize: '13px' }}>
                       {Object.entries(geoMetricConfig).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
                     </select>
+                    <select value={hotspotMetric} onChange={e => setHotspotMetric(e.target.value)} style={{ padding: '6px 10px', border: '1px solid #e2e8f0', borderRadius: '6px', fontSize: '13px' }}>
+                      <option value="off">No hotspots</option>
+                      {Object.entries(hotspotMetrics).map(([k, v]) => <option key={k} value={k}>Hotspots: {v.label}</option>)}
+                    </select>
+                    {hotspotMetric !== 'off' && (
+                      <select value={hotspotBand} onChange={e => setHotspotBand(e.target.value)} style={{ padding: '6px 10px', border: '1px solid #e2e8f0', borderRadius: '6px', fontSize: '13px' }}>
+                        {Object.entries(hotspotBands).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+                      </select>
+                    )}
+                    {isBurden && (
+                      <>
+                        <select value={burdenType} onChange={e => setBurdenType(e.target.value)} style={{ padding: '6px 10px', border: '1px solid #e2e8f0', borderRadius: '6px', fontSize: '13px' }}>
+                          {Object.entries(burdenTypes).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+                        </select>
+                        <label style={{ fontSize: '12px', color: '#2563eb', cursor: 'pointer' }}>
+                          Load income CSV…
+                          <input type="file" accept=".csv,text/csv" onChange={e => loadIncomeFile(e.target.files[0])} style={{ display: 'none' }} />
+                        </label>
+                      </>
+                    )}
                   </div>
+                  {/* Time slider */}
+                  <div style={{ padding: '8px 16px', borderBottom: '1px solid #e5e7eb', display: 'flex', gap: '10px', alignItems: 'center' }}>
+                    <button onClick={toggleGeoPlaying} disabled={geoMonthKeys.length < 2} style={{ ...filterButton(geoPlaying, '#1E3A5F'), padding: '4px 12px', fontSize: '12px', minWidth: '72px' }}>
+                      {geoPlaying ? '❚❚ Pause' : '▶ Play'}
+                    </button>
+                    <span style={{ fontSize: '11px', color: '#94a3b8' }}>{formatMonthYear(firstZipMonth)}</span>
+                    <input
+                      type="range"
+                      min={0}
+                      max={geoMonthKeys.length - 1}
+                      value={geoMonthKeys.indexOf(geoMonth)}
+                      onChange={e => { setGeoPlaying(false); setGeoMonth(geoMonthKeys[Number(e.target.value)]); }}
+                      disabled={geoMonthKeys.length < 2}
+                      style={{ flex: 1 }}
+                    />
+                    <span style={{ fontSize: '11px', color: '#94a3b8' }}>{formatMonthYear(lastZipMonth)}</span>
+                    <span style={{ fontSize: '13px', fontWeight: 600, color: '#1E3A5F', minWidth: '110px', textAlign: 'right' }}>{geoMonthLabels[geoMonth]}</span>
+                  </div>
+                  {hotspotMetric !== 'off' && (
+                    <div style={{ padding: '8px 16px', borderBottom: '1px solid #e5e7eb', background: '#f8fafc', fontSize: '11px', color: '#475569' }}>
+                      {hotspotPoints.length < 3 ? 'Too few ZIP codes for hotspot analysis.' : (
+                        <>
+                          Getis-Ord Gi* on {hotspotMetrics[hotspotMetric].label.toLowerCase()} for {geoMonthLabels[geoMonth]}: each of {hotspotPoints.length} ZIP codes
+                          {geoUtility === 'all' ? '' : ` served by ${geoUtilityNames[geoUtility]}`} compared with its neighbors within {hotspotBandKm} km
+                          {hotspotBand === 'auto' ? ' (the smallest distance giving every ZIP a neighbor)' : ''}.{' '}
+                          <strong style={{ color: hotspotColors.hot[95] }}>Hotspots:</strong> {hotZips.length ? hotZips.map(([zip, h]) => `${zip} (${h.level}%)`).join(', ') : 'none'}.{' '}
+                          <strong style={{ color: hotspotColors.cold[95] }}>Coldspots:</strong> {coldZips.length ? coldZips.map(([zip, h]) => `${zip} (${h.level}%)`).join(', ') : 'none'}.
+                          {' '}Confidence is per ZIP, not adjusted for testing every ZIP at once; treat 90% results as leads to check.
+                        </>
+                      )}
+                    </div>
+                  )}
+                  {isBurden && (
+                    <div style={{ padding: '8px 16px', borderBottom: '1px solid #e5e7eb', background: '#f8fafc', fontSize: '11px', color: '#475569' }}>
+                      Annual bill = average monthly bill for the 12 months ending {geoMonthLabels[geoMonth]} × 12, utility-wide; income = median household income
+                      {incomeTable ? ` from ${incomeTable.source} (${incomeZipCount} ZIP codes, ${incomeCountyCount} ${incomeCountyCount === 1 ? 'county' : 'counties'})` : ''}.
+                      Burden above {HIGH_BURDEN_PERCENT}% is commonly treated as unaffordable.
+                      {burdenType === 'combined' && ' Where only one fuel serves a ZIP in this data, its bill alone is used.'}
+                      {incomeError && <span style={{ color: '#DC2626' }}> {incomeError.message}</span>}
+                      {incomeTable?.problems.length > 0 && (
+                        <span style={{ color: '#DC2626' }}> {incomeTable.problems.length} row(s) skipped: {incomeTable.problems.slice(0, 3).join('; ')}{incomeTable.problems.length > 3 ? '…' : ''}</span>
+                      )}
+                    </div>
+                  )}
                   
                   {/* Map SVG */}
                   <div style={{ position: 'relative' }}>
                     <svg width="100%" height="520" viewBox={`0 0 ${mapWidth} ${mapHeight}`} style={{ background: 'linear-gradient(180deg, #e0f2fe 0%, #ecfdf5 100%)', display: 'block' }}>
-                      {/* State outline */}
-                      {isStatewide && (
-                        <path d={`M${xScale(-124.55)},${yScale(46.26)} L${xScale(-123.36)},${yScale(46.26)} L${xScale(-122.78)},${yScale(45.87)} L${xScale(-122.24)},${yScale(45.55)} L${xScale(-121.20)},${yScale(45.70)} L${xScale(-119.99)},${yScale(45.93)} L${xScale(-117.03)},${yScale(46.00)} L${xScale(-116.92)},${yScale(44.09)} L${xScale(-117.03)},${yScale(42.00)} L${xScale(-120.00)},${yScale(42.00)} L${xScale(-124.21)},${yScale(42.00)} L${xScale(-124.55)},${yScale(42.84)} L${xScale(-124.06)},${yScale(44.66)} L${xScale(-124.06)},${yScale(46.00)} Z`} 
-                          fill="#f0fdf4" stroke="#64748b" strokeWidth="2" />
+                      {/* Basemap: state, counties and ZIP Code Tabulation Areas (see basemap.js) */}
+                      {layers && (
+                        <>
+                          <path d={mapPath(layers.state)} fill="#f0fdf4" />
+                          {layers.counties.map(c => (
+                            <path key={c.id} d={mapPath(c)} fill="transparent">
+                              <title>{c.properties.name} County</title>
+                            </path>
+                          ))}
+                          {zipPolygons.map(zip => (
+                            <path key={zip} d={mapPath(layers.zcta[zip])} fill={getZipColor(zipValues[zip])}
+                              stroke={zip === activeZip ? '#1e293b' : 'white'} strokeWidth={zip === activeZip ? 2 : 0.5} style={{ cursor: 'pointer' }}
+                              onMouseEnter={() => setGeoHover(zip)} onMouseLeave={() => setGeoHover(null)}
+                              onClick={() => setGeoSelected(geoSelected === zip ? null : zip)} />
+                          ))}
+                          <path d={mapPath(layers.countyBorders)} fill="none" stroke="#94a3b8" strokeWidth="0.75" pointerEvents="none" />
+                          <path d={mapPath(layers.state)} fill="none" stroke="#64748b" strokeWidth="2" pointerEvents="none" />
+                        </>
+                      )}
+                      {basemapError && (
+                        <text x={mapWidth / 2} y={mapHeight - 12} fontSize="11" fill="#DC2626" textAnchor="middle">Basemap unavailable: {basemapError.message}</text>
+                      )}
+
+                      {isBurden && allGeoData.length === 0 && (
+                        <text x={mapWidth / 2} y={40} fontSize="13" fill="#475569" textAnchor="middle">
+                          No income data for these ZIP codes. Build public/data/income.csv with npm run income ({incomeColumns.join(', ')}) or load a CSV above.
+                        </text>
                       )}
                       
                       {/* ZIP code circles */}
                       {filteredGeoData.map((d, idx) => {
+                        // ZIPs with a polygon are drawn as areas above
+                        if (hasPolygon.has(d.zip)) return null;
                         const isActive = d.zip === activeZip;
                         const sameZip = filteredGeoData.filter(x => x.zip === d.zip);
                         const zipIdx = sameZip.indexOf(d);
@@ -2350,13 +3896,29 @@ export default function OregonEnergyDashboard() {
                         );
                       })}
                       
+                      {/* Hotspot and coldspot outlines; coldspots dashed */}
+                      {significant.map(([zip, h]) => {
+                        const color = hotspotColors[h.type][h.level];
+                        const dash = h.type === 'cold' ? '5 3' : undefined;
+                        if (hasPolygon.has(zip)) {
+                          return <path key={`hotspot-${zip}`} d={mapPath(layers.zcta[zip])} fill="none" stroke={color} strokeWidth="2.5" strokeDasharray={dash} pointerEvents="none" />;
+                        }
+                        const p = hotspotTotals[zip];
+                        if (p.lat < latMin || p.lat > latMax || p.lng < lngMin || p.lng > lngMax) return null;
+                        const [x, y] = projection([p.lng, p.lat]);
+                        return <circle key={`hotspot-${zip}`} cx={x} cy={y} r={isStatewide ? 10 : 18} fill="none" stroke={color} strokeWidth="2.5" strokeDasharray={dash} pointerEvents="none" />;
+                      })}
+
                       {/* City markers */}
-                      {cities.map(c => (
-                        <g key={c.name}>
-                          <circle cx={xScale(c.lng)} cy={yScale(c.lat)} r={isStatewide ? 2 : 3} fill="#1e293b" />
-                          <text x={xScale(c.lng)} y={yScale(c.lat) - (isStatewide ? 5 : 7)} fontSize={isStatewide ? 8 : 10} fill="#1e293b" textAnchor="middle" fontWeight="600">{c.name}</text>
-                        </g>
-                      ))}
+                      {cities.map(c => {
+                        const [cx, cy] = projection([c.lng, c.lat]);
+                        return (
+                          <g key={c.name}>
+                            <circle cx={cx} cy={cy} r={isStatewide ? 2 : 3} fill="#1e293b" />
+                            <text x={cx} y={cy - (isStatewide ? 5 : 7)} fontSize={isStatewide ? 8 : 10} fill="#1e293b" textAnchor="middle" fontWeight="600" pointerEvents="none">{c.name}</text>
+                          </g>
+                        );
+                      })}
                     </svg>
                     
                     {/* Legend */}
@@ -2373,6 +3935,28 @@ export default function OregonEnergyDashboard() {
                       <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 3, color: '#94a3b8', fontSize: 8 }}>
                         <span>{cfg.format(geoMinVal)}</span><span>{cfg.format(geoMaxVal)}</span>
                       </div>
+                      {zipPolygons.length > 0 && (
+                        <>
+                          <div style={{ color: '#64748b', fontSize: 7, marginTop: 4 }}>ZIP areas (utilities shown combined)</div>
+                          <div style={{ height: 5, borderRadius: 2, background: `linear-gradient(to right, ${getZipColor(zipMinVal)}, ${getZipColor(zipMaxVal)})` }} />
+                          <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 3, color: '#94a3b8', fontSize: 8 }}>
+                            <span>{cfg.format(zipMinVal)}</span><span>{cfg.format(zipMaxVal)}</span>
+                          </div>
+                        </>
+                      )}
+                      {layers && !layers.zcta && (
+                        <div style={{ color: '#94a3b8', fontSize: 7, marginTop: 3 }}>ZIPs shown as points: the basemap has no ZCTA boundaries (npm run basemap)</div>
+                      )}
+                      {hotspotMetric !== 'off' && (
+                        <div style={{ display: 'flex', gap: 6, marginTop: 4, fontSize: 7, color: '#64748b', alignItems: 'center' }}>
+                          <svg width="12" height="12"><circle cx="6" cy="6" r="4.5" fill="none" stroke={hotspotColors.hot[95]} strokeWidth="1.5" /></svg>Hotspot
+                          <svg width="12" height="12"><circle cx="6" cy="6" r="4.5" fill="none" stroke={hotspotColors.cold[95]} strokeWidth="1.5" strokeDasharray="3 2" /></svg>Coldspot
+                          <span>(darker = more confident)</span>
+                        </div>
+                      )}
+                      {geoMonthKeys.length > 1 && (
+                        <div style={{ color: '#94a3b8', fontSize: 7, marginTop: 3 }}>Scale covers {formatMonthYear(firstZipMonth)} – {formatMonthYear(lastZipMonth)}</div>
+                      )}
                     </div>
                     
                     {/* Hover tooltip */}
@@ -2402,6 +3986,46 @@ export default function OregonEnergyDashboard() {
                         </div>
                         {geoSelected && <button onClick={() => setGeoSelected(null)} style={{ background: '#f1f5f9', border: 'none', width: 24, height: 24, borderRadius: 4, cursor: 'pointer', fontSize: 14 }}>×</button>}
                       </div>
+                      {geoSelected && (
+                        <button onClick={openZipProfile} style={{ ...filterButton(false, '#1E3A5F'), padding: '4px 12px', fontSize: '11px', marginTop: 8, color: '#2563eb', background: '#EFF6FF' }}>
+                          Full ZIP profile →
+                        </button>
+                      )}
+                      {/* Sparkline of the map metric for this ZIP across all ZIP months */}
+                      {geoMonthKeys.length > 1 && (() => {
+                        const sparkRows = geoMonthKeys.map(mk => ({
+                          month: dataset.zip.months[mk],
+                          ...Object.fromEntries(activeItems.map(item => [
+                            item.utility,
+                            geoRowsByMonth[mk].find(d => d.zip === activeZip && d.utility === item.utility)?.value ?? null
+                          ]))
+                        }));
+                        return (
+                          <div style={{ marginTop: 8 }}>
+                            <div style={{ fontSize: 10, color: '#64748b' }}>{cfg.label}, {formatMonthYear(firstZipMonth)} – {formatMonthYear(lastZipMonth)}</div>
+                            <ResponsiveContainer width="100%" height={50}>
+                              <LineChart data={sparkRows} margin={{ top: 5, right: 5, bottom: 0, left: 5 }}>
+                                <XAxis dataKey="month" hide />
+                                <YAxis hide domain={['auto', 'auto']} />
+                                <Tooltip formatter={v => (v === null ? '—' : cfg.format(v))} labelFormatter={formatMonthYear} contentStyle={{ fontSize: 10, padding: '4px 8px' }} />
+                                <ReferenceLine x={dataset.zip.months[geoMonth]} stroke="#cbd5e1" />
+                                {activeItems.map(item => (
+                                  <Line key={item.utility} dataKey={item.utility} name={geoUtilityNames[item.utility]} stroke={geoUtilityColors[item.utility]} strokeWidth={1.5} dot={{ r: 2 }} isAnimationActive={false} />
+                                ))}
+                              </LineChart>
+                            </ResponsiveContainer>
+                          </div>
+                        );
+                      })()}
+                      {hotspots[activeZip] && (() => {
+                        const h = hotspots[activeZip];
+                        return (
+                          <div style={{ marginTop: 6, fontSize: 11, color: h.type ? hotspotColors[h.type][h.level] : '#64748b' }}>
+                            <strong>{h.type ? `${h.type === 'hot' ? 'Hotspot' : 'Coldspot'}, ${h.level}% confidence` : 'Not a significant cluster'}</strong>
+                            <span style={{ color: '#64748b' }}> · Gi* z = {h.z.toFixed(2)}, {h.neighbors} {h.neighbors === 1 ? 'neighbor' : 'neighbors'}</span>
+                          </div>
+                        );
+                      })()}
                       {activeItems.map(item => (
                         <div key={item.utility} style={{ marginTop: 10, background: '#f8fafc', borderRadius: 6, padding: 10, borderLeft: `3px solid ${geoUtilityColors[item.utility]}` }}>
                           <div style={{ fontSize: 11, fontWeight: 600, color: geoUtilityColors[item.utility], marginBottom: 4 }}>{geoUtilityNames[item.utility]}</div>
@@ -2413,6 +4037,24 @@ export default function OregonEnergyDashboard() {
                           </div>
                         </div>
                       ))}
+                      {isBurden && burdens[activeZip]?.income && (() => {
+                        const b = burdens[activeZip];
+                        const pct = (v) => (v === null ? '—' : `${v.toFixed(1)}%`);
+                        return (
+                          <div style={{ marginTop: 10, background: '#fffbeb', borderRadius: 6, padding: 10, fontSize: 11 }}>
+                            <div style={{ fontWeight: 600, color: '#92400e', marginBottom: 4 }}>Energy Burden</div>
+                            <div><span style={{ color: '#64748b' }}>Median income:</span> <strong>${b.income.toLocaleString()}</strong>{b.incomeLevel === 'county' && <span style={{ color: '#64748b' }}> (county median: {b.county})</span>}</div>
+                            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 6, marginTop: 4 }}>
+                              <div><span style={{ color: '#64748b' }}>Electric:</span> <strong>{pct(b.electric)}</strong></div>
+                              <div><span style={{ color: '#64748b' }}>Gas:</span> <strong>{pct(b.gas)}</strong></div>
+                              <div style={{ gridColumn: 'span 2' }}>
+                                <span style={{ color: '#64748b' }}>Combined:</span> <strong style={{ color: b.combined > HIGH_BURDEN_PERCENT ? '#DC2626' : '#1e293b' }}>{pct(b.combined)}</strong>
+                                {b.partial && <span style={{ color: '#64748b' }}> (one fuel only)</span>}
+                              </div>
+                            </div>
+                          </div>
+                        );
+                      })()}
                     </div>
                   ) : (
                     <div style={{ padding: 16, color: '#64748b' }}>
@@ -2442,6 +4084,364 @@ export default function OregonEnergyDashboard() {
                   </div>
                 </div>
               </div>
+              {/* County and District Rollups */}
+              {(() => {
+                const zipItems = [];
+                utilKeys.forEach(uk => (geoZipData[uk] || []).forEach(d => {
+                  if (d[geoMonth]?.active > 0) zipItems.push({ zip: d.zip, lng: d.lng, lat: d.lat, ...d[geoMonth] });
+                }));
+                const { rows, unplaced } = rollupZips(zipItems, crosswalk, layers?.counties, rollupLevel);
+                const columns = [
+                  { key: 'zips', label: 'ZIPs', format: v => v },
+                  { key: 'active', label: 'Active Accounts', format: v => Math.round(v).toLocaleString() },
+                  { key: 'arrears', label: 'In Arrears', format: v => Math.round(v).toLocaleString() },
+                  { key: 'arrearsRate', label: 'Arrears Rate', format: v => (v === null ? '—' : `${v.toFixed(1)}%`) },
+                  { key: 'disc', label: 'Disconnections', format: v => Math.round(v).toLocaleString() },
+                  { key: 'discRate', label: 'Disc. Rate', format: v => (v === null ? '—' : `${v.toFixed(2)}%`) }
+                ];
+                const ranked = [...rows].sort((a, b) => (b[rollupSort] ?? -1) - (a[rollupSort] ?? -1));
+                const levelLabel = rollupLevels[rollupLevel].label;
+                const scopeLabel = geoUtility === 'all' ? 'All utilities' : geoUtilityNames[geoUtility];
+                const exportRollup = () => {
+                  const sheet = XLSX.utils.aoa_to_sheet([
+                    ['Rank', levelLabel, ...columns.map(c => c.label), 'Placed By'],
+                    ...ranked.map((r, i) => [
+                      i + 1, r.area, r.zips, Math.round(r.active), Math.round(r.arrears),
+                      r.arrearsRate === null ? '' : Number(r.arrearsRate.toFixed(2)),
+                      Math.round(r.disc),
+                      r.discRate === null ? '' : Number(r.discRate.toFixed(3)),
+                      r.fromLocation ? 'ZIP location' : 'Crosswalk'
+                    ])
+                  ]);
+                  const wb = XLSX.utils.book_new();
+                  XLSX.utils.book_append_sheet(wb, sheet, levelLabel);
+                  XLSX.writeFile(wb, `Oregon_EBMR_${levelLabel.replace(/ /g, '_')}_${dataset.zip.months[geoMonth].replace(' ', '')}.csv`, { bookType: 'csv' });
+                };
+                const sortTh = { ...th, cursor: 'pointer', whiteSpace: 'nowrap' };
+
+                return (
+                  <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginTop: '24px' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap', marginBottom: '8px' }}>
+                      <h3 style={{ margin: 0, fontSize: '16px', color: '#1E3A5F' }}>By {levelLabel} — {scopeLabel}, {geoMonthLabels[geoMonth]}</h3>
+                      <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                        {Object.entries(rollupLevels).map(([level, { label }]) => (
+                          <button
+                            key={level}
+                            onClick={() => setRollupLevel(level)}
+                            style={{ ...filterButton(rollupLevel === level, '#1E3A5F'), padding: '6px 12px', fontSize: '12px' }}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                        <label style={{ fontSize: '12px', color: '#2563eb', cursor: 'pointer', marginLeft: '8px' }}>
+                          Load crosswalk CSV…
+                          <input type="file" accept=".csv,text/csv" onChange={e => loadCrosswalkFile(e.target.files[0])} style={{ display: 'none' }} />
+                        </label>
+                        <button onClick={exportRollup} disabled={!ranked.length} style={{ ...filterButton(false, '#059669'), padding: '6px 12px', fontSize: '12px', marginLeft: '8px' }}>
+                          Export CSV
+                        </button>
+                      </div>
+                    </div>
+                    <p style={{ margin: '0 0 16px', fontSize: '12px', color: '#6B7280' }}>
+                      ZIP codes are assigned using {crosswalk?.source || 'data/zip-crosswalk.csv'}
+                      {crosswalk ? ` (${Object.keys(crosswalk.zips).length} ZIP code${Object.keys(crosswalk.zips).length === 1 ? '' : 's'} listed)` : ''}; a ZIP split across areas is shared out by its listed share.
+                      {rollupLevel === 'county' && ' ZIPs not listed are placed in the county containing their map point.'}
+                      {crosswalkError && <span style={{ color: '#DC2626' }}> {crosswalkError.message}</span>}
+                      {crosswalk?.problems.length > 0 && (
+                        <span style={{ color: '#DC2626' }}> {crosswalk.problems.length} row(s) skipped: {crosswalk.problems.slice(0, 3).join('; ')}{crosswalk.problems.length > 3 ? '…' : ''}</span>
+                      )}
+                    </p>
+
+                    {ranked.length > 0 ? (
+                      <div style={{ overflowX: 'auto', maxHeight: '420px', overflowY: 'auto' }}>
+                        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                          <thead>
+                            <tr>
+                              <th style={{ ...sortTh, textAlign: 'left', cursor: 'default' }}>#</th>
+                              <th style={{ ...sortTh, textAlign: 'left', cursor: 'default' }}>{levelLabel}</th>
+                              {columns.map(c => (
+                                <th key={c.key} style={{ ...sortTh, color: rollupSort === c.key ? '#1E3A5F' : sortTh.color }} onClick={() => setRollupSort(c.key)}>
+                                  {c.label}{rollupSort === c.key ? ' ▼' : ''}
+                                </th>
+                              ))}
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {ranked.map((r, i) => (
+                              <tr key={r.area}>
+                                <td style={{ ...td, textAlign: 'left', color: '#94a3b8' }}>{i + 1}</td>
+                                <td style={{ ...td, textAlign: 'left', fontWeight: '500' }}>
+                                  {r.area}
+                                  {r.fromLocation && <span style={{ color: '#9CA3AF', fontWeight: 'normal' }} title="Includes ZIPs placed by map location"> *</span>}
+                                </td>
+                                {columns.map(c => <td key={c.key} style={td}>{c.format(r[c.key])}</td>)}
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    ) : (
+                      <p style={{ fontSize: '13px', color: '#6B7280' }}>
+                        {rollupLevel === 'county' && !layers
+                          ? 'County boundaries are still loading.'
+                          : `No ZIP codes are assigned to a ${levelLabel.toLowerCase()}. Build public/data/zip-crosswalk.csv with npm run crosswalk (${crosswalkColumns.join(', ')}) or load a crosswalk above.`}
+                      </p>
+                    )}
+                    {ranked.length > 0 && (
+                      <p style={{ margin: '12px 0 0', fontSize: '11px', color: '#6B7280', fontStyle: 'italic' }}>
+                        {ranked.some(r => r.fromLocation) && '* Includes ZIPs placed by map location rather than the crosswalk. '}
+                        {unplaced.length > 0 && `${unplaced.length} ZIP code(s) have no ${levelLabel.toLowerCase()} in the crosswalk and are left out: ${unplaced.slice(0, 8).join(', ')}${unplaced.length > 8 ? '…' : ''}.`}
+                      </p>
+                    )}
+                  </div>
+                );
+              })()}
+            </>
+          );
+        })()}
+
+        {/* ==================== DATA QUALITY TAB ==================== */}
+        {activeTab === 'quality' && (() => {
+          const severityColors = {
+            error: { text: '#991B1B', bg: '#FEE2E2' },
+            warning: { text: '#92400E', bg: '#FEF3C7' }
+          };
+          const metricLabel = (key) => dataset.notes?.[key] || optionalMetrics[key]?.label || key;
+          const utilityShort = (id) => utilities.find(u => u.id === id)?.short || id;
+          const shownIssues = quality.issues.filter(x => qualitySeverity === 'all' || x.severity === qualitySeverity);
+          const errorCount = quality.issues.filter(x => x.severity === 'error').length;
+          const gridSeries = dataset.metrics[qualityMetric] || {};
+
+          return (
+            <>
+              <div style={{ background: errorCount ? '#FEF2F2' : '#ECFDF5', borderRadius: '12px', padding: '16px', marginBottom: '24px', border: `1px solid ${errorCount ? '#FECACA' : '#A7F3D0'}` }}>
+                <p style={{ margin: 0, color: errorCount ? '#991B1B' : '#065F46', fontSize: '14px' }}>
+                  <strong>Automated Data Quality Checks</strong> — {errorCount
+                    ? `${errorCount} value(s) fail a consistency rule and should be checked against the source filing before publishing.`
+                    : 'All values pass the consistency rules.'} Warnings flag unusual month-over-month swings for review; many reflect real seasonal patterns.
+                </p>
+              </div>
+
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '16px', marginBottom: '24px' }}>
+                {Object.entries(qualityRules).map(([id, rule]) => {
+                  const count = quality.issues.filter(x => x.rule === id).length;
+                  const severity = id === 'outlier' ? 'warning' : 'error';
+                  return (
+                    <MetricCard
+                      key={id}
+                      title={rule.label}
+                      value={count}
+                      subtitle={rule.description}
+                      color={count ? severityColors[severity].text : '#059669'}
+                    />
+                  );
+                })}
+              </div>
+
+              <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px', flexWrap: 'wrap', gap: '12px' }}>
+                  <h3 style={{ margin: 0, fontSize: '16px', color: '#1E3A5F' }}>Flagged Values ({shownIssues.length})</h3>
+                  <div style={{ display: 'flex', gap: '8px' }}>
+                    {[['all', 'All'], ['error', 'Errors'], ['warning', 'Warnings']].map(([id, label]) => (
+                      <button
+                        key={id}
+                        onClick={() => setQualitySeverity(id)}
+                        style={{
+                          padding: '6px 14px',
+                          borderRadius: '16px',
+                          border: 'none',
+                          background: qualitySeverity === id ? '#1E3A5F' : '#E5E7EB',
+                          color: qualitySeverity === id ? 'white' : '#374151',
+                          fontSize: '12px',
+                          fontWeight: '500',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div style={{ overflowX: 'auto', maxHeight: '420px', overflowY: 'auto' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+                    <thead>
+                      <tr style={{ background: '#F9FAFB' }}>
+                        <th style={{ padding: '10px', textAlign: 'left', borderBottom: '2px solid #E5E7EB' }}>Severity</th>
+                        <th style={{ padding: '10px', textAlign: 'left', borderBottom: '2px solid #E5E7EB' }}>Utility</th>
+                        <th style={{ padding: '10px', textAlign: 'left', borderBottom: '2px solid #E5E7EB' }}>Month</th>
+                        <th style={{ padding: '10px', textAlign: 'left', borderBottom: '2px solid #E5E7EB' }}>Metric</th>
+                        <th style={{ padding: '10px', textAlign: 'left', borderBottom: '2px solid #E5E7EB' }}>Rule</th>
+                        <th style={{ padding: '10px', textAlign: 'left', borderBottom: '2px solid #E5E7EB' }}>Detail</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {shownIssues.map((x, i) => (
+                        <tr
+                          key={i}
+                          onClick={() => setQualityMetric(x.metric)}
+                          style={{ borderBottom: '1px solid #E5E7EB', cursor: 'pointer', background: qualityMetric === x.metric ? '#F8FAFC' : 'transparent' }}
+                        >
+                          <td style={{ padding: '8px 10px' }}>
+                            <span style={{ padding: '2px 8px', borderRadius: '10px', fontSize: '11px', background: severityColors[x.severity].bg, color: severityColors[x.severity].text, textTransform: 'capitalize' }}>
+                              {x.severity}
+                            </span>
+                          </td>
+                          <td style={{ padding: '8px 10px' }}>{utilityShort(x.utility)}</td>
+                          <td style={{ padding: '8px 10px' }}>{formatMonthYear(x.month)}</td>
+                          <td style={{ padding: '8px 10px' }}>{metricLabel(x.metric)}</td>
+                          <td style={{ padding: '8px 10px' }}>{qualityRules[x.rule].label}</td>
+                          <td style={{ padding: '8px 10px', color: '#374151' }}>{x.message}</td>
+                        </tr>
+                      ))}
+                      {shownIssues.length === 0 && (
+                        <tr>
+                          <td colSpan={6} style={{ padding: '16px', textAlign: 'center', color: '#6B7280' }}>Nothing flagged.</td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+
+              {/* Per-cell view of one metric, with flagged cells highlighted */}
+              <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px', flexWrap: 'wrap', gap: '12px' }}>
+                  <h3 style={{ margin: 0, fontSize: '16px', color: '#1E3A5F' }}>Values by Month</h3>
+                  <select
+                    value={qualityMetric}
+                    onChange={(e) => setQualityMetric(e.target.value)}
+                    style={{ padding: '8px 12px', borderRadius: '6px', border: '1px solid #D1D5DB', fontSize: '13px', maxWidth: '420px' }}
+                  >
+                    {Object.keys(dataset.metrics).map(key => (
+                      <option key={key} value={key}>
+                        {metricLabel(key)}{quality.issues.some(x => x.metric === key) ? ' ⚑' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div style={{ overflowX: 'auto' }}>
+                  <table style={{ borderCollapse: 'collapse', fontSize: '11px', whiteSpace: 'nowrap' }}>
+                    <thead>
+                      <tr style={{ background: '#F9FAFB' }}>
+                        <th style={{ padding: '8px', textAlign: 'left', borderBottom: '2px solid #E5E7EB', position: 'sticky', left: 0, background: '#F9FAFB' }}>Utility</th>
+                        {months.map(m => (
+                          <th key={m} style={{ padding: '8px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>{m}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {utilities.map(u => (
+                        <tr key={u.id} style={{ borderBottom: '1px solid #E5E7EB' }}>
+                          <td style={{ padding: '8px', position: 'sticky', left: 0, background: 'white' }}>
+                            <span style={{ display: 'inline-block', width: '8px', height: '8px', borderRadius: '50%', background: u.color, marginRight: '8px' }}></span>
+                            {u.short}
+                          </td>
+                          {months.map((m, i) => {
+                            const v = gridSeries[u.id]?.[i];
+                            const flags = quality.byCell[cellKey(qualityMetric, u.id, i)];
+                            const severity = flags?.some(x => x.severity === 'error') ? 'error' : flags ? 'warning' : null;
+                            return (
+                              <td
+                                key={m}
+                                title={flags?.map(x => `${qualityRules[x.rule].label}: ${x.message}`).join('\n')}
+                                style={{
+                                  padding: '8px',
+                                  textAlign: 'right',
+                                  background: severity ? severityColors[severity].bg : 'transparent',
+                                  color: severity ? severityColors[severity].text : '#374151',
+                                  fontWeight: severity ? '600' : '400',
+                                  cursor: severity ? 'help' : 'default'
+                                }}
+                              >
+                                {v === null || v === undefined ? '—' : v.toLocaleString(undefined, { maximumFractionDigits: 3 })}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <p style={{ margin: '12px 0 0', fontSize: '12px', color: '#6B7280' }}>
+                  Highlighted cells failed a check; hover for details. Rules are described in docs/methodology.md under Data Quality Notes.
+                </p>
+              </div>
+              {/* Legacy discPct reconciliation */}
+              <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginTop: '24px' }}>
+                <h3 style={{ margin: '0 0 8px', fontSize: '16px', color: '#1E3A5F' }}>Legacy Disconnection % Reconciliation</h3>
+                <p style={{ margin: '0 0 16px', fontSize: '13px', color: '#6B7280', lineHeight: '1.6' }}>
+                  The disconnection rate is now derived as disconnections ÷ active accounts × 100. This compares it with the retired, separately transcribed <code>discPct</code> table. Differences within ±0.0005 points are rounding.
+                </p>
+                {legacyError && (
+                  <div style={{ padding: '12px', borderRadius: '8px', background: '#FEF2F2', color: '#991B1B', fontSize: '13px' }}>{legacyError.message}</div>
+                )}
+                {!legacyError && !discPctReconciliation && (
+                  <div style={{ fontSize: '13px', color: '#6B7280' }}>Loading legacy table…</div>
+                )}
+                {discPctReconciliation && (() => {
+                  const diverging = discPctReconciliation.filter(r => r.diverges);
+                  return (
+                    <>
+                      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px', marginBottom: '16px' }}>
+                        <thead>
+                          <tr style={{ background: '#F9FAFB' }}>
+                            <th style={{ padding: '10px', textAlign: 'left', borderBottom: '2px solid #E5E7EB' }}>Utility</th>
+                            <th style={{ padding: '10px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Months Compared</th>
+                            <th style={{ padding: '10px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Diverging</th>
+                            <th style={{ padding: '10px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Largest Difference (pts)</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {utilities.map(u => {
+                            const rows = discPctReconciliation.filter(r => r.utility === u.id);
+                            const count = rows.filter(r => r.diverges).length;
+                            const largest = Math.max(0, ...rows.map(r => Math.abs(r.difference ?? 0)));
+                            return (
+                              <tr key={u.id} style={{ borderBottom: '1px solid #E5E7EB' }}>
+                                <td style={{ padding: '8px 10px' }}>
+                                  <span style={{ display: 'inline-block', width: '8px', height: '8px', borderRadius: '50%', background: u.color, marginRight: '8px' }}></span>
+                                  {u.short}
+                                </td>
+                                <td style={{ padding: '8px 10px', textAlign: 'right' }}>{rows.length}</td>
+                                <td style={{ padding: '8px 10px', textAlign: 'right', color: count ? '#991B1B' : '#059669', fontWeight: '600' }}>{count}</td>
+                                <td style={{ padding: '8px 10px', textAlign: 'right' }}>{largest.toFixed(4)}</td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                      {diverging.length === 0 ? (
+                        <div style={{ fontSize: '13px', color: '#065F46' }}>
+                          All {discPctReconciliation.length} legacy values match the derived rate to within rounding.
+                        </div>
+                      ) : (
+                        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+                          <thead>
+                            <tr style={{ background: '#FEF2F2' }}>
+                              <th style={{ padding: '8px 10px', textAlign: 'left' }}>Utility</th>
+                              <th style={{ padding: '8px 10px', textAlign: 'left' }}>Month</th>
+                              <th style={{ padding: '8px 10px', textAlign: 'right' }}>Legacy</th>
+                              <th style={{ padding: '8px 10px', textAlign: 'right' }}>Derived</th>
+                              <th style={{ padding: '8px 10px', textAlign: 'right' }}>Difference</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {diverging.map(r => (
+                              <tr key={`${r.utility}-${r.month}`} style={{ borderBottom: '1px solid #E5E7EB' }}>
+                                <td style={{ padding: '8px 10px' }}>{utilityShort(r.utility)}</td>
+                                <td style={{ padding: '8px 10px' }}>{formatMonthYear(r.month)}</td>
+                                <td style={{ padding: '8px 10px', textAlign: 'right' }}>{r.legacy === null ? '—' : `${r.legacy}%`}</td>
+                                <td style={{ padding: '8px 10px', textAlign: 'right' }}>{r.derived === null ? '—' : `${r.derived.toFixed(3)}%`}</td>
+                                <td style={{ padding: '8px 10px', textAlign: 'right', color: '#991B1B' }}>{r.difference === null ? 'missing' : r.difference.toFixed(4)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </>
+                  );
+                })()}
+              </div>
             </>
           );
         })()}
@@ -2471,6 +4471,8 @@ export default function OregonEnergyDashboard() {
                 <li><strong>Bill Discounts</strong> — Participants and dollars by utility</li>
                 <li><strong>Avg Bill & Usage</strong> — Average residential bill and usage by utility</li>
                 <li><strong>Active Accounts</strong> — Monthly active residential accounts</li>
+                <li><strong>OAR Program Metrics</strong> — Enrollments, participant bills, program costs, high-usage customers and energy assistance, as reported</li>
+                <li><strong>Insights</strong> — The findings shown at the top of each tab, for all utilities</li>
               </ul>
 
               <button
@@ -2482,10 +4484,10 @@ export default function OregonEnergyDashboard() {
                   const summaryData = [
                     ['Oregon Energy Burden Dashboard - Data Export'],
                     ['Source: Oregon PUC Docket RO 16 Energy Burden Metrics Reports'],
-                    ['Period: January 2024 - September 2025'],
+                    ['Period: ' + periodLabel.replace('–', '-')],
                     ['Export Date: ' + new Date().toLocaleDateString()],
                     [],
-                    ['Current Month Summary (September 2025)'],
+                    [`Current Month Summary (${currentMonthLabel})`],
                     [],
                     ['Utility', 'Type', 'Active Accounts', 'Customers in Arrears', 'Arrears Balance', 'Disconnections', 'Avg Bill', 'Avg Usage'],
                     ...utilities.map(u => [
@@ -2507,7 +4509,7 @@ export default function OregonEnergyDashboard() {
                     ['Customers in Arrears by Utility'],
                     [],
                     ['Month', ...utilities.map(u => u.name)],
-                    ...months.map((month, i) => [month, ...utilities.map(u => arrearsCustomers[u.id][i])])
+                    ...inWindow(months.map((month, i) => [month, ...utilities.map(u => arrearsCustomers[u.id][i])]))
                   ];
                   const wsArrearsCust = XLSX.utils.aoa_to_sheet(arrearsCustomersData);
                   XLSX.utils.book_append_sheet(wb, wsArrearsCust, 'Arrears - Customers');
@@ -2517,7 +4519,7 @@ export default function OregonEnergyDashboard() {
                     ['Arrears Balance by Utility ($)'],
                     [],
                     ['Month', ...utilities.map(u => u.name)],
-                    ...months.map((month, i) => [month, ...utilities.map(u => arrearsBalance[u.id][i])])
+                    ...inWindow(months.map((month, i) => [month, ...utilities.map(u => arrearsBalance[u.id][i])]))
                   ];
                   const wsArrearsBal = XLSX.utils.aoa_to_sheet(arrearsBalanceData);
                   XLSX.utils.book_append_sheet(wb, wsArrearsBal, 'Arrears - Balance');
@@ -2527,7 +4529,7 @@ export default function OregonEnergyDashboard() {
                     ['Arrears Balance by Age Bucket ($)'],
                     [],
                     ['Month', 'Utility', '31-60 Days', '61-90 Days', '91+ Days', 'Total'],
-                    ...months.flatMap((month, i) => 
+                    ...inWindow(months.map((month, i) =>
                       utilities.map(u => [
                         month,
                         u.name,
@@ -2536,7 +4538,7 @@ export default function OregonEnergyDashboard() {
                         arrearsBalance91Plus[u.id][i],
                         arrearsBalance[u.id][i]
                       ])
-                    )
+                    )).flat()
                   ];
                   const wsArrearsBucket = XLSX.utils.aoa_to_sheet(arrearsBucketData);
                   XLSX.utils.book_append_sheet(wb, wsArrearsBucket, 'Arrears - By Bucket');
@@ -2546,11 +4548,11 @@ export default function OregonEnergyDashboard() {
                     ['Disconnections by Utility'],
                     [],
                     ['Month', ...utilities.map(u => u.name + ' (Count)'), ...utilities.map(u => u.name + ' (Rate %)')],
-                    ...months.map((month, i) => [
+                    ...inWindow(months.map((month, i) => [
                       month, 
                       ...utilities.map(u => disconnections[u.id][i]),
                       ...utilities.map(u => discPct[u.id][i])
-                    ])
+                    ]))
                   ];
                   const wsDisc = XLSX.utils.aoa_to_sheet(disconnectionsData);
                   XLSX.utils.book_append_sheet(wb, wsDisc, 'Disconnections');
@@ -2560,11 +4562,11 @@ export default function OregonEnergyDashboard() {
                     ['Bill Discount Programs'],
                     [],
                     ['Month', ...utilities.map(u => u.name + ' (Participants)'), ...utilities.map(u => u.name + ' (Dollars)')],
-                    ...months.map((month, i) => [
+                    ...inWindow(months.map((month, i) => [
                       month,
                       ...utilities.map(u => billDiscountParticipants[u.id][i]),
                       ...utilities.map(u => billDiscountDollars[u.id][i])
-                    ])
+                    ]))
                   ];
                   const wsBillDisc = XLSX.utils.aoa_to_sheet(billDiscountData);
                   XLSX.utils.book_append_sheet(wb, wsBillDisc, 'Bill Discounts');
@@ -2575,11 +4577,11 @@ export default function OregonEnergyDashboard() {
                     ['Note: Electric utilities in kWh, Gas utilities in therms'],
                     [],
                     ['Month', ...utilities.map(u => u.name + ' (Avg Bill $)'), ...utilities.map(u => u.name + ' (Avg Usage)')],
-                    ...months.map((month, i) => [
+                    ...inWindow(months.map((month, i) => [
                       month,
                       ...utilities.map(u => avgBill[u.id][i]),
                       ...utilities.map(u => avgUsage[u.id][i])
-                    ])
+                    ]))
                   ];
                   const wsAvgBill = XLSX.utils.aoa_to_sheet(avgBillUsageData);
                   XLSX.utils.book_append_sheet(wb, wsAvgBill, 'Avg Bill & Usage');
@@ -2589,11 +4591,39 @@ export default function OregonEnergyDashboard() {
                     ['Active Residential Accounts by Utility'],
                     [],
                     ['Month', ...utilities.map(u => u.name)],
-                    ...months.map((month, i) => [month, ...utilities.map(u => accounts[u.id][i])])
+                    ...inWindow(months.map((month, i) => [month, ...utilities.map(u => accounts[u.id][i])]))
                   ];
                   const wsAccounts = XLSX.utils.aoa_to_sheet(accountsData);
                   XLSX.utils.book_append_sheet(wb, wsAccounts, 'Active Accounts');
 
+                  // Sheet 9: OAR Program Metrics, one row per month and utility that reported any of them
+                  const programKeys = Object.keys(optionalMetrics).filter(key => reportingUtilities(dataset.metrics, key).length);
+                  const programValue = (key, id, i) => dataset.metrics[key]?.[id]?.[i] ?? null;
+                  const programData = [
+                    ['OAR 860-021-0408 Program Metrics'],
+                    programKeys.length ? ['Blank cells were not reported'] : ['None of these metrics have been reported yet'],
+                    [],
+                    ['Month', 'Utility', ...programKeys.map(key => optionalMetrics[key].label + ({ dollars: ' ($)', usage: ' (kWh/therms)' }[optionalMetrics[key].format] || ''))],
+                    ...inWindow(months.map((month, i) => utilities
+                      .filter(u => programKeys.some(key => programValue(key, u.id, i) !== null))
+                      .map(u => [month, u.name, ...programKeys.map(key => programValue(key, u.id, i))])
+                    )).flat()
+                  ];
+                  const wsProgram = XLSX.utils.aoa_to_sheet(programData);
+                  XLSX.utils.book_append_sheet(wb, wsProgram, 'OAR Program Metrics');
+
+                  // Sheet 10: Insights, every tab's findings for all utilities
+                  const insightsData = [
+                    ['Insights by Tab'],
+                    [`As of ${currentMonthLabel}; changes ${trendComparison(trendSettings)}. Generated by rules (see docs/methodology.md), not reviewed by staff.`],
+                    [],
+                    ['Tab', 'Type', 'Utility', 'Finding'],
+                    ...Object.keys(tabInsightRules).flatMap(tab => tabInsights(dataset, derived, tab, { end: currentMonth, utilityIds, settings: trendSettings })
+                      .map(f => [tabs.find(t => t.id === tab).label, insightKinds[f.kind].label, utilities.find(u => u.id === f.utility).name, f.text]))
+                  ];
+                  const wsInsights = XLSX.utils.aoa_to_sheet(insightsData);
+                  XLSX.utils.book_append_sheet(wb, wsInsights, 'Insights');
+
                   // Download
                   XLSX.writeFile(wb, 'Oregon_Energy_Burden_Dashboard_Data.xlsx');
                 }}
@@ -2622,7 +4652,7 @@ export default function OregonEnergyDashboard() {
 
             {/* Data Preview */}
             <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
-              <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>Data Preview - September 2025</h3>
+              <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>Data Preview - {currentMonthLabel}</h3>
               <div style={{ overflowX: 'auto' }}>
                 <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
                   <thead>
@@ -2652,7 +4682,7 @@ export default function OregonEnergyDashboard() {
                         <td style={{ padding: '10px', textAlign: 'right' }}>{formatCurrency(arrearsBalance61_90[u.id][currentMonth])}</td>
                         <td style={{ padding: '10px', textAlign: 'right' }}>{formatCurrency(arrearsBalance91Plus[u.id][currentMonth])}</td>
                         <td style={{ padding: '10px', textAlign: 'right' }}>{formatNumber(disconnections[u.id][currentMonth])}</td>
-                        <td style={{ padding: '10px', textAlign: 'right' }}>${avgBill[u.id][currentMonth]}</td>
+                        <td style={{ padding: '10px', textAlign: 'right' }}>{isNum(avgBill[u.id][currentMonth]) ? `$${avgBill[u.id][currentMonth]}` : '—'}</td>
                       </tr>
                     ))}
                   </tbody>
@@ -2670,11 +4700,11 @@ export default function OregonEnergyDashboard() {
                 </p>
 
                 <p style={{ marginBottom: '16px' }}>
-                  <strong>Reporting Period:</strong> January 2024 through September 2025 (21 months). All data is verified from official EBMR submissions filed with the Oregon PUC.
+                  <strong>Reporting Period:</strong> {formatMonthLong(months[windowStart])} through {formatMonthLong(months[windowEnd])} ({windowEnd - windowStart + 1} of {months.length} available months), with current-month figures as of {currentMonthLabel}. All data is verified from official EBMR submissions filed with the Oregon PUC.
                 </p>
 
                 <p style={{ marginBottom: '16px' }}>
-                  <strong>Percent Change Calculations:</strong> All trend indicators compare the average of the most recent 3 months of verified data (Jul–Sep 2025) to the prior 3 months (Apr–Jun 2025). A change greater than +2% is shown as "Trending Up," less than -2% as "Trending Down," and between -2% and +2% as "Flat."
+                  <strong>Percent Change Calculations:</strong> Trend indicators compare the average of the most recent {trendSettings.window === 1 ? 'month' : `${trendSettings.window} months`} of verified data ({trendPeriodLabels.current}) to {trendSettings.mode === 'yoy' ? 'the same months a year earlier' : 'the period just before'} ({trendPeriodLabels.prior || 'not yet available'}). Year-over-year comparisons remove the seasonal swing from heating season and winter disconnection moratoria. A change greater than +{trendSettings.threshold}% is shown as "Trending Up," less than -{trendSettings.threshold}% as "Trending Down," and in between as "Flat." The comparison mode, window and threshold can be changed on the Overview, Arrears and Disconnections tabs.
                 </p>
 
                 <p style={{ marginBottom: '16px' }}>
@@ -2725,7 +4755,8 @@ export default function OregonEnergyDashboard() {
                   'billDiscountArrearsRate',
                   'averageBill',
                   'averageUsage',
-                  'residentialCustomer'
+                  'residentialCustomer',
+                  ...Object.values(optionalMetrics).map(m => m.defKey)
                 ].map(key => {
                   const def = definitions[key];
                   if (!def) return null;
@@ -2753,10 +4784,202 @@ export default function OregonEnergyDashboard() {
           </>
         )}
 
+        {/* ==================== IMPORT FILING TAB ==================== */}
+        {activeTab === 'import' && (() => {
+          const statusColors = { new: '#059669', changed: '#D97706', unchanged: '#9CA3AF' };
+          const isDollars = (key) => /Balance|Dollars|avgBill/.test(key);
+          const formatExact = (key, val) => val === null ? '—' : `${isDollars(key) ? '$' : ''}${val.toLocaleString(undefined, { maximumFractionDigits: 3 })}`;
+          const diff = importResult?.diff || [];
+          const counts = diff.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+          const shownRows = importShowUnchanged ? diff : diff.filter(r => r.status !== 'unchanged');
+
+          return (
+            <>
+              <div style={{ background: '#EFF6FF', borderRadius: '12px', padding: '16px', marginBottom: '24px', border: '1px solid #BFDBFE' }}>
+                <p style={{ margin: 0, color: '#1E40AF', fontSize: '14px' }}>
+                  <strong>Import a Utility Filing</strong> — Load the EBMR workbook a utility filed in Docket RO 16. Rows are matched to dashboard metrics by their labels and compared with the values currently loaded. Apply the changes to preview them across the dashboard, then download the updated <code>ebmr.json</code> to publish.
+                </p>
+              </div>
+
+              <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+                <h3 style={{ margin: '0 0 16px', fontSize: '16px', color: '#1E3A5F' }}>Filing</h3>
+                <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', alignItems: 'flex-end' }}>
+                  <label style={{ fontSize: '13px', color: '#374151' }}>
+                    <div style={{ marginBottom: '4px', fontWeight: '500' }}>Utility</div>
+                    <select
+                      value={importUtility}
+                      onChange={(e) => { setImportUtility(e.target.value); setImportApplied(false); }}
+                      style={{ padding: '8px 12px', borderRadius: '6px', border: '1px solid #D1D5DB', fontSize: '13px' }}
+                    >
+                      {utilities.map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
+                    </select>
+                  </label>
+                  <label style={{ fontSize: '13px', color: '#374151' }}>
+                    <div style={{ marginBottom: '4px', fontWeight: '500' }}>EBMR workbook (.xlsx)</div>
+                    <input
+                      type="file"
+                      accept=".xlsx,.xls"
+                      onChange={(e) => {
+                        const file = e.target.files?.[0];
+                        if (!file) return;
+                        file.arrayBuffer().then(buf => {
+                          setImportFile({ name: file.name, data: new Uint8Array(buf) });
+                          setImportApplied(false);
+                        });
+                      }}
+                      style={{ fontSize: '13px' }}
+                    />
+                  </label>
+                  <label style={{ fontSize: '13px', color: '#374151' }}>
+                    <div style={{ marginBottom: '4px', fontWeight: '500' }}>Filing month (if the sheet has no month headers)</div>
+                    <input
+                      type="text"
+                      value={importFallbackMonth}
+                      placeholder="e.g. Oct 2025"
+                      onChange={(e) => { setImportFallbackMonth(e.target.value); setImportApplied(false); }}
+                      style={{ padding: '8px 12px', borderRadius: '6px', border: '1px solid #D1D5DB', fontSize: '13px', width: '140px' }}
+                    />
+                  </label>
+                </div>
+
+                {importResult?.error && (
+                  <div style={{ marginTop: '16px', padding: '12px', borderRadius: '8px', background: '#FEF2F2', color: '#991B1B', fontSize: '13px' }}>
+                    Could not read {importFile.name}: {importResult.error}
+                  </div>
+                )}
+
+                {importResult?.filing && (
+                  <div style={{ marginTop: '16px', fontSize: '13px', color: '#374151', lineHeight: '1.8' }}>
+                    <div>
+                      <strong>{importFile.name}</strong> — {importResult.filing.months.length
+                        ? `${importResult.filing.months.length} month(s): ${importResult.filing.months.map(formatMonthYear).join(', ')}`
+                        : 'no months found; enter the filing month above'}
+                    </div>
+                    <div>
+                      <span style={{ color: statusColors.new }}>{counts.new || 0} new</span> · <span style={{ color: statusColors.changed }}>{counts.changed || 0} changed</span> · <span style={{ color: statusColors.unchanged }}>{counts.unchanged || 0} unchanged</span>
+                    </div>
+                    {importResult.missing.length > 0 && (
+                      <div style={{ color: '#92400E' }}>Not found in workbook: {importResult.missing.join(', ')}</div>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {importResult?.filing && (
+                <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px', flexWrap: 'wrap', gap: '12px' }}>
+                    <h3 style={{ margin: 0, fontSize: '16px', color: '#1E3A5F' }}>
+                      Changes for {utilities.find(u => u.id === importUtility)?.name}
+                    </h3>
+                    <label style={{ fontSize: '13px', color: '#374151' }}>
+                      <input type="checkbox" checked={importShowUnchanged} onChange={(e) => setImportShowUnchanged(e.target.checked)} style={{ marginRight: '6px' }} />
+                      Show unchanged values
+                    </label>
+                  </div>
+                  <div style={{ overflowX: 'auto', maxHeight: '420px', overflowY: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+                      <thead>
+                        <tr style={{ background: '#F9FAFB' }}>
+                          <th style={{ padding: '10px', textAlign: 'left', borderBottom: '2px solid #E5E7EB' }}>Month</th>
+                          <th style={{ padding: '10px', textAlign: 'left', borderBottom: '2px solid #E5E7EB' }}>Metric</th>
+                          <th style={{ padding: '10px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Current</th>
+                          <th style={{ padding: '10px', textAlign: 'right', borderBottom: '2px solid #E5E7EB' }}>Filed</th>
+                          <th style={{ padding: '10px', textAlign: 'left', borderBottom: '2px solid #E5E7EB' }}>Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {shownRows.map(r => (
+                          <tr key={`${r.month}-${r.key}`} style={{ borderBottom: '1px solid #E5E7EB' }}>
+                            <td style={{ padding: '8px 10px' }}>{formatMonthYear(r.month)}</td>
+                            <td style={{ padding: '8px 10px' }}>{dataset.notes?.[r.key] || r.key}</td>
+                            <td style={{ padding: '8px 10px', textAlign: 'right' }}>{formatExact(r.key, r.current)}</td>
+                            <td style={{ padding: '8px 10px', textAlign: 'right', fontWeight: r.status === 'unchanged' ? '400' : '600' }}>{formatExact(r.key, r.incoming)}</td>
+                            <td style={{ padding: '8px 10px', color: statusColors[r.status], fontWeight: '500', textTransform: 'capitalize' }}>{r.status}</td>
+                          </tr>
+                        ))}
+                        {shownRows.length === 0 && (
+                          <tr>
+                            <td colSpan={5} style={{ padding: '16px', textAlign: 'center', color: '#6B7280' }}>No differences from the loaded data.</td>
+                          </tr>
+                        )}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  {importResult.filing.unmatched.length > 0 && (
+                    <details style={{ marginTop: '16px', fontSize: '13px', color: '#374151' }}>
+                      <summary style={{ cursor: 'pointer' }}>{importResult.filing.unmatched.length} workbook row(s) not mapped to a dashboard metric</summary>
+                      <ul style={{ margin: '8px 0 0', color: '#6B7280', lineHeight: '1.6' }}>
+                        {importResult.filing.unmatched.map(label => <li key={label}>{label}</li>)}
+                      </ul>
+                    </details>
+                  )}
+
+                  <div style={{ display: 'flex', gap: '12px', marginTop: '20px', alignItems: 'center' }}>
+                    <button
+                      disabled={importApplied || !(counts.new || counts.changed)}
+                      onClick={() => {
+                        onDatasetChange(applyFiling(dataset, importUtility, importResult.filing));
+                        setImportApplied(true);
+                      }}
+                      style={{
+                        background: '#1E3A5F',
+                        color: 'white',
+                        border: 'none',
+                        padding: '10px 20px',
+                        borderRadius: '8px',
+                        fontSize: '14px',
+                        fontWeight: '600',
+                        cursor: 'pointer',
+                        opacity: importApplied || !(counts.new || counts.changed) ? 0.5 : 1
+                      }}
+                    >
+                      Apply to Dashboard
+                    </button>
+                    {importApplied && (
+                      <span style={{ fontSize: '13px', color: '#059669' }}>Applied — every tab now reflects this filing. Months other utilities have not filed yet show as gaps.</span>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              <div style={{ background: 'white', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
+                <h3 style={{ margin: '0 0 8px', fontSize: '16px', color: '#1E3A5F' }}>Updated Dataset</h3>
+                <p style={{ color: '#6B7280', fontSize: '13px', margin: '0 0 16px', lineHeight: '1.6' }}>
+                  Dataset version {dataset.version}, {months.length} months ({formatMonthYear(months[0])} - {formatMonthYear(months[months.length - 1])}). Replace <code>public/data/ebmr.json</code> with this file to publish the update.
+                </p>
+                <button
+                  onClick={() => {
+                    const blob = new Blob([serializeDataset(dataset)], { type: 'application/json' });
+                    const url = URL.createObjectURL(blob);
+                    const a = document.createElement('a');
+                    a.href = url;
+                    a.download = 'ebmr.json';
+                    a.click();
+                    URL.revokeObjectURL(url);
+                  }}
+                  style={{
+                    background: 'linear-gradient(135deg, #059669 0%, #047857 100%)',
+                    color: 'white',
+                    border: 'none',
+                    padding: '10px 20px',
+                    borderRadius: '8px',
+                    fontSize: '14px',
+                    fontWeight: '600',
+                    cursor: 'pointer'
+                  }}
+                >
+                  Download ebmr.json
+                </button>
+              </div>
+            </>
+          );
+        })()}
+
         {/* Footer */}
         <div style={{ marginTop: '32px', padding: '16px', textAlign: 'center', fontSize: '12px', color: '#9CA3AF' }}>
           <strong>Data Source:</strong> Oregon PUC Docket RO 16 – Energy Burden Metrics Reports (OAR 860-021-0408)<br/>
-          Period: January 2024 – September 2025 | Last Updated: January 2026<br/>
+          Period: {periodLabel} | Last Updated: {dataset.updated}<br/>
           <span style={{ marginTop: '8px', display: 'inline-block' }}>OPUC Staff Contact: Bret Farrell, <a href="mailto:Bret.Farrell@puc.oregon.gov" style={{ color: '#6B7280', textDecoration: 'underline' }}>Bret.Farrell@puc.oregon.gov</a></span>
         </div>
       </div>
@@ -0,0 +1,87 @@
+// ==================== ARREARS AGING FLOW ====================
+// Estimates how arrears move between the 31-60, 61-90 and 91+ day buckets
+// from one month to the next. EBMR filings report bucket totals, not account
+// histories, so these are aggregate flow rates: a balance can only reach
+// 61-90 days by having been 31-60 days old the month before, and can only be
+// 91+ days old by having been 61-90 or 91+ days old the month before.
+
+import { isNum, ratio, total } from './metrics.js';
+
+export const agingBases = {
+  Balance: { label: 'Balance ($)' },
+  Customers: { label: 'Customers' }
+};
+
+// Sum of one bucket across utilities for month i; null unless every utility filed
+const bucketTotal = (metrics, key, utilityIds, i) => total(utilityIds.map(id => metrics[key]?.[id]?.[i]));
+
+// Bucket totals for month i: { b31, b61, b91 }
+export const agingBuckets = (metrics, basis, utilityIds, i) => ({
+  b31: bucketTotal(metrics, `arrears${basis}31_60`, utilityIds, i),
+  b61: bucketTotal(metrics, `arrears${basis}61_90`, utilityIds, i),
+  b91: bucketTotal(metrics, `arrears${basis}91Plus`, utilityIds, i)
+});
+
+// Flow rates into month i from month i - 1, as fractions:
+//   roll31 — 31-60 last month that is 61-90 now
+//   roll61 — 61-90 and 91+ last month that is 91+ now
+//   cure31, cure61 — the remainder, which was paid, arranged, written off or
+//   otherwise left the bucket
+// Rates above 1 mean the later bucket grew by more than could have rolled in
+// (e.g. late charges added to aged balances); cures are then reported as 0.
+export const rollRates = (metrics, basis, utilityIds, i) => {
+  if (i < 1) return null;
+  const prev = agingBuckets(metrics, basis, utilityIds, i - 1);
+  const curr = agingBuckets(metrics, basis, utilityIds, i);
+  const roll31 = ratio(curr.b61, prev.b31);
+  const roll61 = ratio(curr.b91, isNum(prev.b61) && isNum(prev.b91) ? prev.b61 + prev.b91 : null);
+  return {
+    roll31,
+    roll61,
+    cure31: roll31 === null ? null : Math.max(0, 1 - roll31),
+    cure61: roll61 === null ? null : Math.max(0, 1 - roll61)
+  };
+};
+
+// Sankey nodes and links for the move from month i - 1 to month i. The 91+
+// bucket's inflow is shared between last month's 61-90 and 91+ balances in
+// proportion to their size, since filings do not say which is which.
+export const agingFlow = (metrics, basis, utilityIds, i) => {
+  if (i < 1) return null;
+  const prev = agingBuckets(metrics, basis, utilityIds, i - 1);
+  const curr = agingBuckets(metrics, basis, utilityIds, i);
+  if (![prev.b31, prev.b61, prev.b91, curr.b31, curr.b61, curr.b91].every(isNum)) return null;
+
+  const rolled31 = Math.min(curr.b61, prev.b31);
+  const agedPool = prev.b61 + prev.b91;
+  const rolled61 = Math.min(curr.b91, agedPool);
+  const share61 = agedPool > 0 ? prev.b61 / agedPool : 0;
+
+  const nodes = [
+    { name: '31-60 days (prior)' },
+    { name: '61-90 days (prior)' },
+    { name: '91+ days (prior)' },
+    { name: 'Newly 31-60 days' },
+    { name: '31-60 days' },
+    { name: '61-90 days' },
+    { name: '91+ days' },
+    { name: 'Cured / exited' }
+  ];
+  const links = [
+    { source: 3, target: 4, value: curr.b31 },
+    { source: 0, target: 5, value: rolled31 },
+    { source: 0, target: 7, value: prev.b31 - rolled31 },
+    { source: 1, target: 6, value: rolled61 * share61 },
+    { source: 2, target: 6, value: rolled61 * (1 - share61) },
+    { source: 1, target: 7, value: prev.b61 - rolled61 * share61 },
+    { source: 2, target: 7, value: prev.b91 - rolled61 * (1 - share61) }
+  ].filter(link => link.value > 0);
+
+  // Drop nodes with no flow and renumber the links to match
+  const used = nodes.map((_, n) => links.some(l => l.source === n || l.target === n));
+  const index = used.map((u, n) => used.slice(0, n).filter(Boolean).length);
+  return {
+    nodes: nodes.filter((_, n) => used[n]),
+    links: links.map(l => ({ ...l, source: index[l.source], target: index[l.target] }))
+  };
+};
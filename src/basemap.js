@@ -0,0 +1,49 @@
+// ==================== BASEMAP ====================
+// Projection and outline layers for the Geographic View, from the bundled
+// public/data/oregon.topo.json (built by scripts/basemap.mjs). The topology
+// always has `state` and `counties`; `zcta` (ZIP Code Tabulation Areas, keyed
+// by 5-digit ZIP) is optional, and ZIPs without a polygon are drawn as points.
+
+import { geoConicConformal, geoContains, geoDistance, geoPath } from 'd3-geo';
+import { feature, mesh } from 'topojson-client';
+
+// Oregon Lambert conformal conic (as EPSG:2992: standard parallels 43° and
+// 45.5°, central meridian 120.5°W), fitted to a region's lat/lng box
+export const oregonProjection = ({ latMin, latMax, lngMin, lngMax }, width, height, padding = 30) =>
+  geoConicConformal()
+    .parallels([43, 45.5])
+    .rotate([120.5, 0])
+    .fitExtent([[padding, padding], [width - padding, height - padding]], {
+      type: 'MultiPoint',
+      coordinates: [[lngMin, latMin], [lngMin, latMax], [lngMax, latMin], [lngMax, latMax]]
+    });
+
+// GeoJSON layers: the state, county features, the interior county borders as
+// one line, and the ZCTA features keyed by ZIP (null when the file has none)
+export const basemapLayers = (topology) => {
+  const { state, counties, zcta } = topology.objects;
+  return {
+    state: feature(topology, state),
+    counties: feature(topology, counties).features,
+    countyBorders: mesh(topology, counties, (a, b) => a !== b),
+    zcta: zcta ? Object.fromEntries(feature(topology, zcta).features.map(f => [f.id, f])) : null
+  };
+};
+
+// Angular distance from a point to the nearest vertex of a county outline
+const outlineDistance = (feature, point) => {
+  let nearest = Infinity;
+  const visit = (coords) => {
+    if (typeof coords[0] === 'number') nearest = Math.min(nearest, geoDistance(coords, point));
+    else coords.forEach(visit);
+  };
+  visit(feature.geometry.coordinates);
+  return nearest;
+};
+
+// County feature containing a point. Points just across a river border (e.g.
+// Ontario on the Snake) fall to the county with the nearest outline.
+export const countyAt = (counties, lng, lat) => counties.find(f => geoContains(f, [lng, lat]))
+  || counties.reduce((best, f) => (outlineDistance(f, [lng, lat]) < outlineDistance(best, [lng, lat]) ? f : best));
+
+export { geoPath };
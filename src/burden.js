@@ -0,0 +1,110 @@
+// ==================== ENERGY BURDEN ====================
+// Energy burden is the share of household income spent on home energy. The
+// EBMR filings report bills but not incomes, so incomes come from a separate
+// ZIP/county median household income table (public/data/income.csv, e.g. an
+// American Community Survey extract). Bills are utility-wide averages, so a
+// ZIP's burden varies with its income and the utilities serving it, not with
+// local usage.
+
+import { parseCsv } from './data.js';
+import { isNum, mean } from './metrics.js';
+
+export const burdenTypes = {
+  combined: { label: 'Electric + Gas' },
+  electric: { label: 'Electric' },
+  gas: { label: 'Gas' }
+};
+
+// Commonly used affordability benchmark for total home energy costs
+export const HIGH_BURDEN_PERCENT = 6;
+
+export const incomeColumns = ['zip', 'county', 'median_household_income'];
+
+const countyKey = (name) => name.toLowerCase().replace(/\s+county$/, '').trim();
+
+// Reads the income table. Rows with a ZIP give that ZIP's median income;
+// rows with only a county give a county median, used for listed ZIPs whose
+// own income is blank (small ZIPs often have no reliable ACS estimate).
+// Returns { zips: { [zip]: { income, county } }, counties: { [key]: { name, income } }, problems }.
+export const parseIncomeTable = (text) => {
+  const [head, ...rows] = parseCsv(text);
+  const problems = [];
+  const zips = {};
+  const counties = {};
+  if (!head) return { zips, counties, problems };
+
+  const header = head.map(h => h.toLowerCase());
+  const missing = incomeColumns.filter(c => !header.includes(c));
+  if (missing.length) {
+    problems.push(`Missing column(s): ${missing.join(', ')}`);
+    return { zips, counties, problems };
+  }
+  const col = Object.fromEntries(incomeColumns.map(c => [c, header.indexOf(c)]));
+
+  rows.forEach((fields, n) => {
+    const zip = fields[col.zip] || '';
+    const county = fields[col.county] || '';
+    const rawIncome = (fields[col.median_household_income] || '').replace(/[$,]/g, '');
+    const income = rawIncome === '' ? null : Number(rawIncome);
+    if (income !== null && !(isNum(income) && income > 0)) {
+      problems.push(`Row ${n + 2}: income "${fields[col.median_household_income]}" is not a positive number`);
+      return;
+    }
+    if (zip) {
+      if (!/^\d{5}$/.test(zip)) problems.push(`Row ${n + 2}: "${zip}" is not a 5-digit ZIP code`);
+      else zips[zip] = { income, county };
+    } else if (county && income !== null) {
+      counties[countyKey(county)] = { name: county, income };
+    } else {
+      problems.push(`Row ${n + 2}: needs a ZIP code or a county with an income`);
+    }
+  });
+  return { zips, counties, problems };
+};
+
+// { income, level: 'zip' | 'county', county } for a ZIP, or null if unknown.
+// A ZIP the table does not list falls back to `mapCounty` (the county holding
+// its map point), so a table of county medians alone still covers every ZIP.
+export const zipIncome = (table, zip, mapCounty = null) => {
+  const row = table?.zips[zip];
+  if (row && isNum(row.income)) return { income: row.income, level: 'zip', county: row.county };
+  const countyName = row?.county || mapCounty;
+  const county = table && countyName ? table.counties[countyKey(countyName)] : null;
+  return county ? { income: county.income, level: 'county', county: county.name } : null;
+};
+
+// Annual bill from the 12 months ending at month index `end`: the mean of the
+// months reported, times 12, so one missing month does not zero the year.
+// Null when fewer than 6 of the 12 were reported.
+export const annualBill = (series, end) => {
+  const values = (series || []).slice(Math.max(0, end - 11), end + 1).filter(isNum);
+  return values.length >= 6 ? (values.reduce((a, b) => a + b, 0) / values.length) * 12 : null;
+};
+
+// Burden by ZIP for the ZIP rows of one month. `servedBy` maps each ZIP to
+// the ids of utilities with active accounts there; `types` maps utility id to
+// 'Electric' or 'Gas'; `bills` maps utility id to its annual bill.
+// Combined burden adds the electric and gas bills where both serve the ZIP and
+// is flagged `partial` where only one does. `mapCounties` maps ZIP to the
+// county of its map point, for ZIPs the income table does not list.
+export const zipBurdens = (servedBy, types, bills, table, mapCounties = {}) => Object.fromEntries(
+  Object.entries(servedBy).map(([zip, ids]) => {
+    const found = zipIncome(table, zip, mapCounties[zip]);
+    const billOf = (type) => mean(ids.filter(id => types[id] === type).map(id => bills[id]).filter(isNum));
+    const electricBill = billOf('Electric');
+    const gasBill = billOf('Gas');
+    const burden = (bill) => (found && isNum(bill) ? (bill / found.income) * 100 : null);
+    const combinedBill = isNum(electricBill) || isNum(gasBill) ? (electricBill || 0) + (gasBill || 0) : null;
+    return [zip, {
+      income: found?.income ?? null,
+      incomeLevel: found?.level ?? null,
+      county: found?.county || null,
+      electricBill,
+      gasBill,
+      electric: burden(electricBill),
+      gas: burden(gasBill),
+      combined: burden(combinedBill),
+      partial: !(isNum(electricBill) && isNum(gasBill))
+    }];
+  })
+);
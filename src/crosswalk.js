@@ -0,0 +1,126 @@
+// ==================== GEOGRAPHIC ROLLUPS ====================
+// Rolls ZIP-level accounts, arrears and disconnections up to counties and
+// Oregon House and Senate districts. ZIP codes do not nest in either, so a
+// crosswalk (public/data/zip-crosswalk.csv, e.g. from the HUD USPS ZIP
+// crosswalk files) can split a ZIP across areas by its residential share.
+// ZIPs the crosswalk does not list are placed in the county containing their
+// map point; they have no district unless the crosswalk lists one.
+
+import { countyAt } from './basemap.js';
+import { parseCsv } from './data.js';
+import { isNum } from './metrics.js';
+
+export const rollupLevels = {
+  county: { label: 'County' },
+  house: { label: 'House District', districts: 60 },
+  senate: { label: 'Senate District', districts: 30 }
+};
+
+export const crosswalkColumns = ['zip', 'type', 'area', 'share'];
+
+// District number from "HD 33", "33" etc., or null if out of range
+const districtNumber = (type, area) => {
+  const n = Number(String(area).replace(/\D/g, '') || NaN);
+  return Number.isInteger(n) && n >= 1 && n <= rollupLevels[type].districts ? n : null;
+};
+
+const areaName = (type, area) =>
+  type === 'county' ? area.replace(/\s+county$/i, '') : `${type === 'house' ? 'HD' : 'SD'} ${districtNumber(type, area)}`;
+
+// Reads the crosswalk: one row per ZIP and area, with `type` county, house or
+// senate and `share` the fraction of the ZIP's residential addresses in the
+// area (blank = an even split). Shares are rescaled to total 1 per ZIP and type.
+// Returns { zips: { [zip]: { county: [{ area, share }], house, senate } }, problems }.
+export const parseCrosswalk = (text) => {
+  const [head, ...rows] = parseCsv(text);
+  const problems = [];
+  const zips = {};
+  if (!head) return { zips, problems };
+
+  const header = head.map(h => h.toLowerCase());
+  const missing = crosswalkColumns.filter(c => c !== 'share' && !header.includes(c));
+  if (missing.length) {
+    problems.push(`Missing column(s): ${missing.join(', ')}`);
+    return { zips, problems };
+  }
+  const col = Object.fromEntries(crosswalkColumns.map(c => [c, header.indexOf(c)]));
+
+  rows.forEach((fields, n) => {
+    const zip = fields[col.zip] || '';
+    const type = (fields[col.type] || '').toLowerCase();
+    const area = fields[col.area] || '';
+    const rawShare = col.share >= 0 ? fields[col.share] || '' : '';
+    const share = rawShare === '' ? null : Number(rawShare);
+    const problem = !/^\d{5}$/.test(zip) ? `"${zip}" is not a 5-digit ZIP code`
+      : !rollupLevels[type] ? 'type must be county, house or senate'
+      : !area ? 'area is blank'
+      : type !== 'county' && districtNumber(type, area) === null ? `"${area}" is not a ${rollupLevels[type].label.toLowerCase()} (1-${rollupLevels[type].districts})`
+      : share !== null && !(isNum(share) && share > 0 && share <= 1) ? 'share must be between 0 and 1'
+      : null;
+    if (problem) {
+      problems.push(`Row ${n + 2}: ${problem}`);
+      return;
+    }
+    const entry = zips[zip] = zips[zip] || {};
+    (entry[type] = entry[type] || []).push({ area: areaName(type, area), share });
+  });
+
+  Object.values(zips).forEach(entry => Object.values(entry).forEach(list => {
+    list.forEach(a => { if (a.share === null) a.share = 1 / list.length; });
+    const sum = list.reduce((s, a) => s + a.share, 0);
+    list.forEach(a => { a.share /= sum; });
+  }));
+  return { zips, problems };
+};
+
+// Senate district k is made up of House districts 2k - 1 and 2k
+const senateFromHouse = (house) => house.map(({ area, share }) => ({
+  area: `SD ${Math.ceil(Number(area.replace(/\D/g, '')) / 2)}`,
+  share
+}));
+
+// Areas a ZIP is allocated to at `level`, as [{ area, share }] plus the
+// source of the assignment, or null when it cannot be placed.
+export const zipAllocation = (crosswalk, counties, level, zip, lng, lat) => {
+  const listed = crosswalk?.zips[zip];
+  if (listed?.[level]) return { areas: listed[level], source: 'crosswalk' };
+  if (level === 'senate' && listed?.house) return { areas: senateFromHouse(listed.house), source: 'crosswalk' };
+  if (level === 'county' && counties?.length) {
+    const county = countyAt(counties, lng, lat);
+    return { areas: [{ area: county.properties.name, share: 1 }], source: 'location' };
+  }
+  return null;
+};
+
+// Sums ZIP rows ({ zip, lng, lat, active, arrears, disc }) into areas.
+// Returns { rows: [{ area, zips, active, arrears, disc, arrearsRate,
+// discRate, fromLocation }], unplaced: [zip] }; split ZIPs count toward
+// every area they touch.
+export const rollupZips = (items, crosswalk, counties, level) => {
+  const areas = {};
+  const unplaced = new Set();
+  items.forEach(item => {
+    const allocation = zipAllocation(crosswalk, counties, level, item.zip, item.lng, item.lat);
+    if (!allocation) {
+      unplaced.add(item.zip);
+      return;
+    }
+    allocation.areas.forEach(({ area, share }) => {
+      const a = areas[area] = areas[area] || { area, zips: new Set(), active: 0, arrears: 0, disc: 0, fromLocation: false };
+      a.zips.add(item.zip);
+      a.active += item.active * share;
+      a.arrears += item.arrears * share;
+      a.disc += item.disc * share;
+      if (allocation.source === 'location') a.fromLocation = true;
+    });
+  });
+  return {
+    rows: Object.values(areas).map(a => ({
+      ...a,
+      zips: a.zips.size,
+      arrearsRate: a.active > 0 ? (a.arrears / a.active) * 100 : null,
+      discRate: a.active > 0 ? (a.disc / a.active) * 100 : null
+    })),
+    unplaced: [...unplaced]
+  };
+};
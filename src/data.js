@@ -0,0 +1,266 @@
+// ==================== DATA LAYER ====================
+// Loads the versioned EBMR dataset published in public/data/ebmr.json.
+// Analysts publish a new month by appending it to `months` and to every
+// series in `metrics`; the dashboard picks it up on the next page load.
+
+export const DATASET_URL = `${import.meta.env.BASE_URL}data/ebmr.json`;
+
+// Pre-calculated tables retired from ebmr.json, kept for reconciliation only
+export const legacyTableUrl = (metric) => `${import.meta.env.BASE_URL}data/legacy/${metric}.json`;
+
+// Oregon state, county and (optionally) ZCTA outlines for the Geographic View
+export const BASEMAP_URL = `${import.meta.env.BASE_URL}data/oregon.topo.json`;
+
+// ZIP to county and legislative district assignments (see crosswalk.js)
+export const CROSSWALK_URL = `${import.meta.env.BASE_URL}data/zip-crosswalk.csv`;
+
+// Median household income by ZIP/county, for energy burden (see burden.js)
+export const INCOME_URL = `${import.meta.env.BASE_URL}data/income.csv`;
+
+// Series every tab depends on. Each is keyed by utility id and holds one
+// value per entry in `months` (null marks a month a utility has not filed).
+// Only reported counts and dollars belong here; rates are derived in metrics.js.
+export const requiredMetrics = [
+  'accounts',
+  'disconnections',
+  'reconnections',
+  'disconnectionNotices',
+  'arrearsCustomers',
+  'arrearsBalance',
+  'arrearsBalance31_60',
+  'arrearsBalance61_90',
+  'arrearsBalance91Plus',
+  'arrearsCustomers31_60',
+  'arrearsCustomers61_90',
+  'arrearsCustomers91Plus',
+  'billDiscountParticipants',
+  'billDiscountDollars',
+  'billDiscountDisconnections',
+  'billDiscountParticipantsWithArrears',
+  'billDiscountArrearsBalance',
+  'avgBill',
+  'avgUsage'
+];
+
+// Further OAR 860-021-0408 series that filings do not all report yet. Each has
+// the shape of a required series, but may be left out of `metrics` entirely or
+// filed by only some utilities; tabs show an empty state until it is reported.
+// `format` is 'count', 'dollars' or 'usage' (kWh for electric utilities, therms
+// for gas); `defKey` points into the glossary.
+export const optionalMetrics = {
+  newEnrollments: { label: 'New Enrollments', format: 'count', defKey: 'newEnrollments' },
+  disenrollments: { label: 'Disenrollments', format: 'count', defKey: 'disenrollments' },
+  preDiscountBill: { label: 'Pre-Discount Participant Bill', format: 'dollars', defKey: 'preDiscountBill' },
+  postDiscountBill: { label: 'Post-Discount Participant Bill', format: 'dollars', defKey: 'postDiscountBill' },
+  appliedCredits: { label: 'Applied Credits', format: 'dollars', defKey: 'appliedCredits' },
+  billDiscountProgramCosts: { label: 'Total Program Costs', format: 'dollars', defKey: 'billDiscountProgramCosts' },
+  administrativeCosts: { label: 'Administrative Costs', format: 'dollars', defKey: 'administrativeCosts' },
+  highUsageCustomers: { label: 'High-Usage Customers', format: 'count', defKey: 'highUsageCustomer' },
+  highUsageArrears: { label: 'High-Usage Arrears Balance', format: 'dollars', defKey: 'highUsageArrears' },
+  highUsageAvgBill: { label: 'High-Usage Average Bill', format: 'dollars', defKey: 'highUsageAvgBill' },
+  highUsageAvgUsage: { label: 'High-Usage Average Usage', format: 'usage', defKey: 'highUsageAvgUsage' },
+  energyAssistanceRecipients: { label: 'Energy Assistance Recipients', format: 'count', defKey: 'energyAssistanceRecipient' },
+  energyAssistanceDollars: { label: 'Energy Assistance Dollars', format: 'dollars', defKey: 'energyAssistanceDollars' }
+};
+
+// Ids of the utilities that report an optional metric in any month
+export const reportingUtilities = (metrics, key) =>
+  Object.keys(metrics[key] || {}).filter(id => metrics[key][id].some(v => v !== null));
+
+const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const monthNamesLong = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const monthLabelPattern = /^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d{2}$/;
+
+// 'Sep 25' -> 'September 2025'
+export const formatMonthLong = (label) => {
+  const [mon, yy] = label.split(' ');
+  return `${monthNamesLong[monthNames.indexOf(mon)]} ${2000 + Number(yy)}`;
+};
+
+// 'Sep 25' -> 'Sep 2025'
+export const formatMonthYear = (label) => {
+  const [mon, yy] = label.split(' ');
+  return `${mon} ${2000 + Number(yy)}`;
+};
+
+// Sortable month index: 'Sep 25' -> 2025 * 12 + 8
+export const monthOrdinal = (label) => {
+  const [mon, yy] = label.split(' ');
+  return (2000 + Number(yy)) * 12 + monthNames.indexOf(mon);
+};
+
+// Inverse of monthOrdinal: 2025 * 12 + 9 -> 'Oct 25'
+export const monthFromOrdinal = (ordinal) => `${monthNames[ordinal % 12]} ${String(Math.floor(ordinal / 12) % 100).padStart(2, '0')}`;
+
+// ZIP rows hold their location next to one object per month, keyed by the
+// ids in `zip.months` (e.g. "jun25": "Jun 25")
+const zipRowFields = ['zip', 'lat', 'lng'];
+
+// ZIP month keys in date order, whatever order they were added in
+export const zipMonthKeys = (zip) =>
+  Object.keys(zip.months).sort((a, b) => monthOrdinal(zip.months[a]) - monthOrdinal(zip.months[b]));
+
+// Checks the raw JSON before any chart touches it. Collects every problem so
+// an analyst fixing a bad file sees the full list in one pass.
+export const validateDataset = (raw) => {
+  const problems = [];
+
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('EBMR dataset is not a JSON object');
+  }
+
+  const { months, utilities, metrics, zip } = raw;
+
+  if (!Array.isArray(months) || months.length === 0) {
+    problems.push('`months` must be a non-empty array');
+  } else {
+    months.forEach((m, i) => {
+      if (!monthLabelPattern.test(m)) problems.push(`months[${i}] "${m}" is not in "Mon YY" form`);
+    });
+    if (new Set(months).size !== months.length) problems.push('`months` contains duplicate labels');
+  }
+
+  if (!Array.isArray(utilities) || utilities.length === 0) {
+    problems.push('`utilities` must be a non-empty array');
+  } else {
+    utilities.forEach((u, i) => {
+      ['id', 'name', 'short', 'type', 'color'].forEach(field => {
+        if (!u?.[field]) problems.push(`utilities[${i}] is missing "${field}"`);
+      });
+      if (u?.type && u.type !== 'Electric' && u.type !== 'Gas') {
+        problems.push(`utilities[${i}] type must be "Electric" or "Gas", got "${u.type}"`);
+      }
+    });
+  }
+
+  if (!metrics || typeof metrics !== 'object') {
+    problems.push('`metrics` must be an object');
+  } else if (Array.isArray(months) && Array.isArray(utilities)) {
+    const checkValues = (key, id, values) => {
+      if (!Array.isArray(values)) {
+        problems.push(`metrics.${key}.${id} is missing`);
+      } else if (values.length !== months.length) {
+        problems.push(`metrics.${key}.${id} has ${values.length} values for ${months.length} months`);
+      } else {
+        values.forEach((v, i) => {
+          if (v !== null && !Number.isFinite(v)) problems.push(`metrics.${key}.${id}[${i}] (${months[i]}) is not a number`);
+        });
+      }
+    };
+    requiredMetrics.forEach(key => {
+      const series = metrics[key];
+      if (!series) {
+        problems.push(`metrics.${key} is missing`);
+        return;
+      }
+      utilities.forEach(u => checkValues(key, u.id, series[u.id]));
+    });
+    // Optional series are checked only where present
+    Object.keys(optionalMetrics).forEach(key => {
+      Object.entries(metrics[key] || {}).forEach(([id, values]) => {
+        if (!utilities.some(u => u.id === id)) problems.push(`metrics.${key}.${id} is not a listed utility`);
+        else checkValues(key, id, values);
+      });
+    });
+  }
+
+  if (!zip?.months || !zip?.utilities) {
+    problems.push('`zip` must contain `months` and `utilities`');
+  } else {
+    const monthKeys = Object.keys(zip.months);
+    monthKeys.forEach(mk => {
+      const label = zip.months[mk];
+      if (zipRowFields.includes(mk)) problems.push(`zip.months key "${mk}" clashes with a ZIP row field`);
+      if (!monthLabelPattern.test(label)) problems.push(`zip.months.${mk} "${label}" is not in "Mon YY" form`);
+      else if (Array.isArray(months) && !months.includes(label)) problems.push(`zip.months.${mk} "${label}" is not in \`months\``);
+    });
+    if (new Set(Object.values(zip.months)).size !== monthKeys.length) problems.push('`zip.months` contains duplicate labels');
+    Object.entries(zip.utilities).forEach(([uid, rows]) => {
+      rows.forEach((row, i) => {
+        if (!row.zip || !Number.isFinite(row.lat) || !Number.isFinite(row.lng)) {
+          problems.push(`zip.utilities.${uid}[${i}] needs zip, lat and lng`);
+        }
+        monthKeys.filter(mk => !zipRowFields.includes(mk)).forEach(mk => {
+          const d = row[mk];
+          if (d && !['active', 'arrears', 'disc'].every(f => Number.isFinite(d[f]))) {
+            problems.push(`zip.utilities.${uid}[${i}] (${row.zip}) ${mk} needs active, arrears and disc`);
+          }
+        });
+      });
+    });
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid EBMR dataset:\n- ${problems.join('\n- ')}`);
+  }
+  return raw;
+};
+
+// Writes a dataset back out in the layout of public/data/ebmr.json: one line
+// per utility, per metric series and per ZIP row, so published updates diff
+// cleanly in review.
+export const serializeDataset = (dataset) => {
+  const j = (v) => JSON.stringify(v);
+  const inline = (v) => j(v).replace(/,(?=["\d\-n{[])/g, ', ').replace(/":(?=\S)/g, '": ');
+  const block = (entries, indent, render) =>
+    `{\n${entries.map(([k, v]) => `${indent}  ${j(k)}: ${render(v)}`).join(',\n')}\n${indent}}`;
+
+  const { months, utilities, notes, metrics, zip, ...rest } = dataset;
+  const head = Object.entries(rest).map(([k, v]) => `  ${j(k)}: ${j(v)}`);
+  const zipRows = (rows) => `[\n${rows.map(r => `        ${j(r)}`).join(',\n')}\n      ]`;
+
+  return `{\n${[
+    ...head,
+    `  "months": ${inline(months)}`,
+    `  "utilities": [\n${utilities.map(u => `    ${inline(u)}`).join(',\n')}\n  ]`,
+    `  "notes": ${block(Object.entries(notes || {}), '  ', j)}`,
+    `  "metrics": ${block(Object.entries(metrics), '  ', series => block(Object.entries(series), '    ', inline))}`,
+    `  "zip": {\n    "months": ${j(zip.months).replace(/,/g, ', ').replace(/":/g, '": ').replace(/^\{/, '{ ').replace(/\}$/, ' }')},\n    "utilities": ${block(Object.entries(zip.utilities), '    ', zipRows)}\n  }`
+  ].join(',\n')}\n}\n`;
+};
+
+// Splits one CSV line, honouring double-quoted fields ("Baker, OR")
+const splitCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { fields.push(field.trim()); field = ''; }
+    else field += c;
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+// Rows of fields from CSV text, skipping blank lines
+export const parseCsv = (text) => text.split(/\r?\n/).filter(line => line.trim()).map(splitCsvLine);
+
+const fetchJson = async (url) => {
+  const res = await fetch(url, { cache: 'no-cache' });
+  if (!res.ok) throw new Error(`Could not load ${url} (HTTP ${res.status})`);
+  return res.json();
+};
+
+export const loadDataset = async (url = DATASET_URL) => validateDataset(await fetchJson(url));
+
+export const loadLegacyTable = (metric) => fetchJson(legacyTableUrl(metric));
+
+export const loadBasemap = () => fetchJson(BASEMAP_URL);
+
+// Optional tables: a missing file means the feature has no data, not a broken dashboard
+const fetchOptionalText = async (url) => {
+  const res = await fetch(url, { cache: 'no-cache' });
+  if (res.status === 404) return '';
+  if (!res.ok) throw new Error(`Could not load ${url} (HTTP ${res.status})`);
+  return res.text();
+};
+
+export const loadIncomeText = () => fetchOptionalText(INCOME_URL);
+
+export const loadCrosswalkText = () => fetchOptionalText(CROSSWALK_URL);
@@ -0,0 +1,111 @@
+// ==================== FORECASTING ====================
+// Short-range projections of monthly EBMR series, drawn as a dashed extension
+// with a shaded prediction interval on the Arrears and Disconnections charts.
+// Both methods are seasonal so the projection carries the winter pattern
+// forward rather than extending the most recent slope.
+
+import { isNum } from './metrics.js';
+
+const SEASON = 12;
+// Two-sided 80% prediction interval
+export const INTERVAL_LEVEL = 80;
+const Z = 1.2816;
+
+export const forecastMethods = {
+  holtWinters: {
+    label: 'Holt-Winters',
+    minMonths: SEASON + 3,
+    description: 'Additive Holt-Winters (level, trend and monthly seasonal terms), with smoothing weights chosen to minimize one-step-ahead error'
+  },
+  seasonalNaive: {
+    label: 'Seasonal naive',
+    minMonths: SEASON + 1,
+    description: 'Each future month repeats the same month a year earlier'
+  }
+};
+export const forecastHorizons = [3, 6];
+
+const rms = (errors) => Math.sqrt(errors.reduce((a, e) => a + e * e, 0) / errors.length);
+
+// Counts and balances cannot go below zero
+const point = (offset, mean, spread) => ({
+  offset,
+  mean: Math.max(0, mean),
+  lower: Math.max(0, mean - Z * spread),
+  upper: Math.max(0, mean + Z * spread)
+});
+
+const seasonalNaive = (y, horizon) => {
+  const n = y.length;
+  const sigma = rms(y.slice(SEASON).map((v, i) => v - y[i]));
+  return Array.from({ length: horizon }, (_, k) => {
+    const h = k + 1;
+    const cycles = Math.ceil(h / SEASON);
+    return point(h, y[n - 1 + h - SEASON * cycles], sigma * Math.sqrt(cycles));
+  });
+};
+
+// One pass of additive Holt-Winters. The first year seeds the level and the
+// seasonal terms; the trend starts flat and is learned from the rest.
+const fitHoltWinters = (y, alpha, beta, gamma) => {
+  let level = y.slice(0, SEASON).reduce((a, b) => a + b, 0) / SEASON;
+  let trend = 0;
+  const season = y.slice(0, SEASON).map(v => v - level);
+  const errors = [];
+  for (let t = SEASON; t < y.length; t++) {
+    const s = season[t % SEASON];
+    errors.push(y[t] - (level + trend + s));
+    const prevLevel = level;
+    level = alpha * (y[t] - s) + (1 - alpha) * (level + trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * trend;
+    season[t % SEASON] = gamma * (y[t] - level) + (1 - gamma) * s;
+  }
+  return { level, trend, season, errors, sse: errors.reduce((a, e) => a + e * e, 0) };
+};
+
+const grid = {
+  alpha: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9],
+  beta: [0.01, 0.05, 0.1, 0.2],
+  gamma: [0.05, 0.1, 0.2, 0.3, 0.5]
+};
+
+const holtWinters = (y, horizon) => {
+  let best = null;
+  grid.alpha.forEach(alpha => grid.beta.forEach(beta => grid.gamma.forEach(gamma => {
+    const fit = fitHoltWinters(y, alpha, beta, gamma);
+    if (!best || fit.sse < best.sse) best = { ...fit, alpha, beta, gamma };
+  })));
+  const { level, trend, season, errors, alpha, beta, gamma } = best;
+  const sigma = rms(errors);
+  const n = y.length;
+  // Forecast variance grows with the horizon (Hyndman et al., ETS(A,A,A)).
+  // The fit's weights are in Holt-Winters form; in error-correction form the
+  // trend weight is alpha * beta and the seasonal weight (1 - alpha) * gamma.
+  let variance = 1;
+  return Array.from({ length: horizon }, (_, k) => {
+    const h = k + 1;
+    if (h > 1) {
+      const j = h - 1;
+      const c = alpha * (1 + j * beta) + (j % SEASON === 0 ? (1 - alpha) * gamma : 0);
+      variance += c * c;
+    }
+    return point(h, level + h * trend + season[(n - 1 + h) % SEASON], sigma * Math.sqrt(variance));
+  });
+};
+
+// Projects `horizon` months past the end of `values`, using the run of
+// reported months that ends with the last one. Returns { method, points } with
+// points [{ offset, mean, lower, upper }] (offset 1 = the month after the
+// last), or empty points and a `reason` when the history is too short.
+export const forecastSeries = (values, { method = 'holtWinters', horizon = 6 } = {}) => {
+  const history = [];
+  for (let i = values.length - 1; i >= 0 && isNum(values[i]); i--) history.unshift(values[i]);
+  const { minMonths, label } = forecastMethods[method];
+  if (history.length < minMonths) {
+    return { method, points: [], reason: `${label} needs at least ${minMonths} consecutive reported months; ${history.length} available.` };
+  }
+  return {
+    method,
+    points: method === 'seasonalNaive' ? seasonalNaive(history, horizon) : holtWinters(history, horizon)
+  };
+};
@@ -0,0 +1,34 @@
+// ==================== DISCONNECTION FUNNEL ====================
+// Follows the collection process from disconnection notice to disconnection
+// to reconnection. Filings report monthly counts, not which notice led to which
+// disconnection, so conversion rates are ratios of aggregate counts. Notices
+// usually precede a disconnection by weeks, so the lagged variant compares
+// each month's disconnections with the previous month's notices.
+
+import { ratio, total } from './metrics.js';
+
+export const funnelLags = {
+  0: { label: 'Same month' },
+  1: { label: 'Notices lagged 1 month' }
+};
+
+// Sum across utilities for month i; null unless every utility filed
+const sum = (series, utilityIds, i) => total(utilityIds.map(id => series?.[id]?.[i]));
+
+// Funnel stages ending in month i. With lag 1 the notices are month i - 1's.
+// Returns { notices, disconnections, reconnections, noticeToDisconnection,
+// disconnectionToReconnection, noticeMonth } with rates as percentages.
+export const funnelStages = (metrics, utilityIds, i, lag = 0) => {
+  const noticeMonth = i - lag;
+  const notices = noticeMonth < 0 ? null : sum(metrics.disconnectionNotices, utilityIds, noticeMonth);
+  const disconnections = sum(metrics.disconnections, utilityIds, i);
+  const reconnections = sum(metrics.reconnections, utilityIds, i);
+  return {
+    notices,
+    disconnections,
+    reconnections,
+    noticeToDisconnection: ratio(disconnections, notices, 100),
+    disconnectionToReconnection: ratio(reconnections, disconnections, 100),
+    noticeMonth
+  };
+};
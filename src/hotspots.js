@@ -0,0 +1,57 @@
+// ==================== SPATIAL HOTSPOTS ====================
+// Getis-Ord Gi* over ZIP codes: each ZIP's rate is compared with the rates of
+// the ZIPs within a distance band around it (itself included). A high z-score
+// means a cluster of high values (a hotspot), a low one a cluster of low
+// values (a coldspot); a single high ZIP among ordinary neighbors is neither.
+
+import { geoDistance } from 'd3-geo';
+
+export const hotspotMetrics = {
+  arrears_rate: { label: 'Arrears Rate' },
+  disc_rate: { label: 'Disconnection Rate' }
+};
+
+export const hotspotBands = {
+  auto: { label: 'Auto distance' },
+  10: { label: 'Within 10 km' },
+  25: { label: 'Within 25 km' },
+  50: { label: 'Within 50 km' }
+};
+
+// Two-sided critical z-scores, strictest first
+export const confidenceLevels = [
+  { level: 99, z: 2.576 },
+  { level: 95, z: 1.96 },
+  { level: 90, z: 1.645 }
+];
+
+const EARTH_RADIUS_KM = 6371;
+
+const distanceKm = (a, b) => geoDistance([a.lng, a.lat], [b.lng, b.lat]) * EARTH_RADIUS_KM;
+
+// Smallest whole-km band that gives every ZIP at least one neighbor
+export const autoBand = (points) => {
+  const nearest = points.map(p => Math.min(...points.filter(q => q !== p).map(q => distanceKm(p, q))));
+  return nearest.length > 1 ? Math.ceil(Math.max(...nearest)) : null;
+};
+
+// Gi* for points [{ zip, lat, lng, value }] with binary weights inside
+// `bandKm`. Returns { [zip]: { z, neighbors, type: 'hot' | 'cold' | null,
+// level } } where level is the highest confidence the z-score reaches, or
+// an empty object when there are too few ZIPs or no variation.
+export const getisOrdGiStar = (points, bandKm) => {
+  const n = points.length;
+  if (n < 3 || !bandKm) return {};
+  const mean = points.reduce((s, p) => s + p.value, 0) / n;
+  const sd = Math.sqrt(points.reduce((s, p) => s + p.value * p.value, 0) / n - mean * mean);
+  if (!(sd > 0)) return {};
+
+  return Object.fromEntries(points.map(p => {
+    const near = points.filter(q => q === p || distanceKm(p, q) <= bandKm);
+    const w = near.length;
+    const denominator = sd * Math.sqrt((n * w - w * w) / (n - 1));
+    const z = denominator > 0 ? (near.reduce((s, q) => s + q.value, 0) - mean * w) / denominator : 0;
+    const level = confidenceLevels.find(c => Math.abs(z) >= c.z)?.level ?? null;
+    return [p.zip, { z, neighbors: w - 1, type: level ? (z > 0 ? 'hot' : 'cold') : null, level }];
+  }));
+};
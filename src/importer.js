@@ -0,0 +1,190 @@
+// ==================== EBMR FILING IMPORTER ====================
+// Reads a utility's EBMR workbook (as filed in Docket RO 16) with SheetJS,
+// maps its row labels to dataset metric keys, and merges the values into the
+// dataset so staff no longer transcribe filings by hand.
+
+import * as XLSX from 'xlsx';
+import { monthOrdinal, requiredMetrics } from './data.js';
+
+// Row label patterns for each metric. Rows are matched top to bottom against
+// the first text cell in the row; the first matching entry wins, so bill
+// discount rows and customer-count rows come before the general balances.
+// Several rows may map to one key (e.g. 0-1 day and 2-7 day reconnections),
+// in which case their values are summed.
+const general = (re) => new RegExp(`^(?!.*(discount|high[- ]usage|assistance)).*${re.source}`, 'i');
+const counted = '(number|customers|accounts|count)';
+const bucket31 = '31\\s*-\\s*60';
+const bucket61 = '61\\s*-\\s*90';
+const bucket91 = '(91\\s*\\+|91 or more|over 90|greater than 90)';
+
+export const ebmrRowMap = [
+  // Optional program rows (see optionalMetrics in data.js) come first, since
+  // most also name the bill discount program
+  { key: 'disenrollments', patterns: [/dis-?enroll/i, /(removed|exited) from.*(bill discount|discount program)/i] },
+  { key: 'newEnrollments', patterns: [/new(ly)?[\s-]+enroll/i] },
+  { key: 'preDiscountBill', patterns: [/pre-?\s?discount/i, /bill.*before.*discount/i] },
+  { key: 'postDiscountBill', patterns: [/post-?\s?discount/i, /bill.*after.*discount/i] },
+  { key: 'appliedCredits', patterns: [/applied credits?/i, /credits? applied/i] },
+  { key: 'administrativeCosts', patterns: [/administrative (costs?|expenses?)/i] },
+  { key: 'billDiscountProgramCosts', patterns: [/(bill discount|discount program).*costs?/i, /total program costs?/i] },
+  { key: 'highUsageArrears', patterns: [/high[- ]usage.*arrear/i] },
+  { key: 'highUsageAvgBill', patterns: [/high[- ]usage.*average.*bill/i] },
+  { key: 'highUsageAvgUsage', patterns: [/high[- ]usage.*average.*(usage|consumption)/i] },
+  { key: 'highUsageCustomers', patterns: [/high[- ]usage.*(customers|accounts|count)/i] },
+  { key: 'energyAssistanceDollars', patterns: [/(assistance|liheap|oeap).*(dollars|amount|payments?|\$)/i] },
+  { key: 'energyAssistanceRecipients', patterns: [/(assistance|liheap|oeap).*(recipients|customers|households)/i, /(customers|households) (receiving|who received).*(assistance|liheap|oeap)/i] },
+  { key: 'billDiscountDisconnections', patterns: [/(bill discount|discount program).*disconnect/i, /disconnect.*(bill discount|discount program)/i] },
+  { key: 'billDiscountParticipantsWithArrears', patterns: [/(bill discount|discount program).*(participants?|customers?) with (an )?arrear/i] },
+  { key: 'billDiscountArrearsBalance', patterns: [/arrear.*balance.*(bill discount|discount program)/i, /(bill discount|discount program).*arrear.*(balance|\$)/i] },
+  { key: 'billDiscountDollars', patterns: [/(total )?dollars provided/i] },
+  { key: 'billDiscountParticipants', patterns: [/(bill discount|discount program).*(participants|enrolled)/i] },
+  { key: 'disconnectionNotices', patterns: [general(/disconnection notices?/)] },
+  { key: 'reconnections', patterns: [general(/reconnect/)] },
+  { key: 'disconnections', patterns: [general(/disconnections?/)] },
+  { key: 'arrearsCustomers31_60', patterns: [general(new RegExp(`${counted}.*${bucket31}`))] },
+  { key: 'arrearsCustomers61_90', patterns: [general(new RegExp(`${counted}.*${bucket61}`))] },
+  { key: 'arrearsCustomers91Plus', patterns: [general(new RegExp(`${counted}.*${bucket91}`))] },
+  { key: 'arrearsBalance31_60', patterns: [general(new RegExp(bucket31))] },
+  { key: 'arrearsBalance61_90', patterns: [general(new RegExp(bucket61))] },
+  { key: 'arrearsBalance91Plus', patterns: [general(new RegExp(bucket91))] },
+  { key: 'arrearsCustomers', patterns: [general(new RegExp(`${counted}.*arrear`))] },
+  { key: 'arrearsBalance', patterns: [general(/arrear(age|s)? balances?/)] },
+  { key: 'avgBill', patterns: [general(/average (residential |monthly )*bill/)] },
+  { key: 'avgUsage', patterns: [general(/average (residential |monthly )*usage/)] },
+  { key: 'accounts', patterns: [general(/residential (accounts|customers)/)] }
+];
+
+const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Normalizes a header cell to the dataset's 'Mon YY' label, or null.
+// Accepts Date cells and text like 'Jan 2025', 'January 2025', 'Jan-25', '2025-01'.
+export const toMonthLabel = (cell) => {
+  const label = (m, y) => `${monthNames[m][0].toUpperCase()}${monthNames[m].slice(1)} ${String(y % 100).padStart(2, '0')}`;
+  if (cell instanceof Date && !isNaN(cell)) return label(cell.getMonth(), cell.getFullYear());
+  if (typeof cell !== 'string') return null;
+  const text = cell.trim().toLowerCase();
+  let match = text.match(/^([a-z]{3})[a-z]*\.?[\s\-/]+(\d{2}|\d{4})$/);
+  if (match && monthNames.includes(match[1])) return label(monthNames.indexOf(match[1]), Number(match[2]));
+  match = text.match(/^(\d{4})[-/](\d{1,2})$/);
+  if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) return label(Number(match[2]) - 1, Number(match[1]));
+  return null;
+};
+
+const toNumber = (cell) => {
+  if (typeof cell === 'number') return Number.isFinite(cell) ? cell : null;
+  if (typeof cell !== 'string') return null;
+  const cleaned = cell.replace(/[$,\s]/g, '');
+  if (cleaned === '' || isNaN(cleaned)) return null;
+  return Number(cleaned);
+};
+
+const matchMetric = (text) => ebmrRowMap.find(entry => entry.patterns.some(p => p.test(text)))?.key || null;
+
+// Parses a workbook into { months, values: { [metric]: { [month]: number } }, unmatched }.
+// When no month header row is found, `fallbackMonth` labels the first numeric
+// column (single-month filings).
+export const parseEbmrWorkbook = (data, { fallbackMonth } = {}) => {
+  const wb = XLSX.read(data, { type: 'array', cellDates: true });
+  const values = {};
+  const unmatched = [];
+  const found = new Set();
+
+  wb.SheetNames.forEach(sheetName => {
+    const rows = XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { header: 1, raw: true, defval: null });
+    let monthColumns = null;
+
+    rows.forEach(row => {
+      const headerMonths = row.map(toMonthLabel);
+      if (headerMonths.filter(Boolean).length >= 1 && !row.some(c => typeof c === 'number')) {
+        monthColumns = headerMonths;
+        return;
+      }
+
+      const labelIdx = row.findIndex(c => typeof c === 'string' && c.trim() !== '');
+      if (labelIdx === -1) return;
+      const label = row[labelIdx].trim();
+      const numbers = row.map((c, i) => (i > labelIdx ? toNumber(c) : null));
+      if (!numbers.some(n => n !== null)) return;
+
+      const key = matchMetric(label);
+      if (!key) {
+        unmatched.push(`${sheetName}: ${label}`);
+        return;
+      }
+
+      const cells = monthColumns
+        ? numbers.map((n, i) => [monthColumns[i], n]).filter(([m, n]) => m && n !== null)
+        : fallbackMonth ? [[fallbackMonth, numbers.find(n => n !== null)]] : [];
+
+      cells.forEach(([month, n]) => {
+        values[key] = values[key] || {};
+        values[key][month] = (values[key][month] || 0) + n;
+        found.add(month);
+      });
+    });
+  });
+
+  // Totals not filed directly are rebuilt from the age buckets
+  [['arrearsBalance', ['arrearsBalance31_60', 'arrearsBalance61_90', 'arrearsBalance91Plus']],
+   ['arrearsCustomers', ['arrearsCustomers31_60', 'arrearsCustomers61_90', 'arrearsCustomers91Plus']]].forEach(([total, buckets]) => {
+    if (values[total] || !buckets.every(b => values[b])) return;
+    values[total] = {};
+    Object.keys(values[buckets[0]]).forEach(month => {
+      values[total][month] = buckets.reduce((sum, b) => sum + (values[b][month] || 0), 0);
+    });
+  });
+
+  return {
+    months: [...found].sort((a, b) => monthOrdinal(a) - monthOrdinal(b)),
+    values,
+    unmatched
+  };
+};
+
+// Compares a parsed filing with the utility's current values.
+export const diffFiling = (dataset, utilityId, filing) => {
+  const rows = [];
+  Object.entries(filing.values).forEach(([key, byMonth]) => {
+    Object.entries(byMonth).forEach(([month, incoming]) => {
+      const idx = dataset.months.indexOf(month);
+      const current = idx === -1 ? null : dataset.metrics[key]?.[utilityId]?.[idx] ?? null;
+      const status = current === null ? 'new' : Math.abs(current - incoming) < 1e-9 ? 'unchanged' : 'changed';
+      rows.push({ key, month, current, incoming, status });
+    });
+  });
+  return rows.sort((a, b) => monthOrdinal(a.month) - monthOrdinal(b.month) || a.key.localeCompare(b.key));
+};
+
+// Returns a new dataset with the filing merged in. Months the dataset does not
+// have yet are inserted in order, with null for every other utility.
+export const applyFiling = (dataset, utilityId, filing) => {
+  const months = [...new Set([...dataset.months, ...filing.months])].sort((a, b) => monthOrdinal(a) - monthOrdinal(b));
+  const metrics = {};
+
+  Object.entries(dataset.metrics).forEach(([key, series]) => {
+    metrics[key] = {};
+    Object.entries(series).forEach(([uid, values]) => {
+      metrics[key][uid] = months.map(m => {
+        const idx = dataset.months.indexOf(m);
+        return idx === -1 ? null : values[idx];
+      });
+    });
+  });
+
+  Object.entries(filing.values).forEach(([key, byMonth]) => {
+    if (!metrics[key]) metrics[key] = {};
+    if (!metrics[key][utilityId]) metrics[key][utilityId] = months.map(() => null);
+    Object.entries(byMonth).forEach(([month, v]) => {
+      metrics[key][utilityId][months.indexOf(month)] = v;
+    });
+  });
+
+  const latest = months[months.length - 1];
+  const [mon, yy] = latest.split(' ');
+  const version = `20${yy}-${String(monthNames.indexOf(mon.toLowerCase()) + 1).padStart(2, '0')}`;
+
+  return { ...dataset, version, months, metrics };
+};
+
+// Metric keys the workbook did not supply for each of its months
+export const missingMetrics = (filing) => requiredMetrics.filter(key => !filing.values[key]);
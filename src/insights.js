@@ -0,0 +1,196 @@
+// ==================== NARRATIVE INSIGHTS ====================
+// Rules that turn each tab's numbers into short plain-English findings, shown
+// in a callout at the top of the tab and in the Insights export sheet:
+//   mover     the utility whose series changed most, by the dashboard's trend settings
+//   record    a value at its highest or lowest since reporting began (12+ months back)
+//   peer      a rate more than twice, or under half, the median of the other utilities
+//   seasonal  a month-over-month change 25+ points away from the same months last year
+// Findings are ranked by a rough size score, with at most two of each kind per tab.
+
+import { computeTrend, trendComparison } from './trends.js';
+import { formatMonthYear, monthOrdinal } from './data.js';
+import { isNum, median, percent } from './metrics.js';
+
+export const insightKinds = {
+  mover: { label: 'Largest mover' },
+  record: { label: 'Record' },
+  peer: { label: 'Outside peer range' },
+  seasonal: { label: 'Seasonal anomaly' }
+};
+
+// Reported series and derived rates (metrics.js) the rules read. `sameType`
+// compares a utility only with others of its type (electric or gas).
+export const insightMetrics = {
+  accounts: { label: 'residential accounts', format: 'count' },
+  arrearsCustomers: { label: 'customers in arrears', format: 'count' },
+  arrearsBalance: { label: 'arrears balance', format: 'dollars' },
+  arrearsBalance91Plus: { label: '91+ day arrears balance', format: 'dollars' },
+  disconnections: { label: 'disconnections', format: 'count' },
+  disconnectionNotices: { label: 'disconnection notices', format: 'count' },
+  billDiscountParticipants: { label: 'bill discount participants', format: 'count' },
+  billDiscountDollars: { label: 'bill discount dollars', format: 'dollars' },
+  avgBill: { label: 'average residential bill', format: 'dollars', sameType: true },
+  avgUsage: { label: 'average residential usage', format: 'usage', sameType: true },
+  arrearsRate: { label: 'arrears rate', format: 'percent', digits: 1 },
+  averageArrears: { label: 'average arrears per customer', format: 'dollars' },
+  discPct: { label: 'disconnection rate', format: 'percent', digits: 2 },
+  reconnectionRate: { label: 'reconnection rate', format: 'percent', digits: 1 },
+  billDiscountArrearsRate: { label: 'participant arrears rate', format: 'percent', digits: 1 },
+  billDiscountDisconnectionRate: { label: 'participant disconnection rate', format: 'percent', digits: 2 }
+};
+
+// Which metrics each rule checks on each tab
+export const tabInsightRules = {
+  overview: {
+    mover: ['arrearsCustomers', 'arrearsBalance', 'disconnections'],
+    record: ['arrearsCustomers', 'arrearsBalance', 'disconnections'],
+    peer: ['arrearsRate', 'discPct'],
+    seasonal: ['disconnections', 'arrearsBalance']
+  },
+  arrears: {
+    mover: ['arrearsCustomers', 'arrearsBalance', 'arrearsBalance91Plus'],
+    record: ['arrearsBalance', 'arrearsBalance91Plus', 'averageArrears'],
+    peer: ['arrearsRate', 'averageArrears'],
+    seasonal: ['arrearsBalance', 'arrearsCustomers']
+  },
+  disconnections: {
+    mover: ['disconnections', 'disconnectionNotices'],
+    record: ['disconnections', 'discPct'],
+    peer: ['discPct', 'reconnectionRate'],
+    seasonal: ['disconnections', 'disconnectionNotices']
+  },
+  billDiscount: {
+    mover: ['billDiscountParticipants', 'billDiscountDollars'],
+    record: ['billDiscountParticipants', 'billDiscountDollars'],
+    peer: ['billDiscountArrearsRate', 'billDiscountDisconnectionRate'],
+    seasonal: ['billDiscountDollars']
+  },
+  comparison: {
+    mover: ['avgBill', 'accounts'],
+    record: ['avgBill', 'arrearsRate'],
+    peer: ['arrearsRate', 'averageArrears', 'discPct', 'avgBill', 'avgUsage'],
+    seasonal: ['avgBill']
+  }
+};
+
+const MIN_RECORD_HISTORY = 12;
+const SEASONAL_GAP = 25;
+const PER_KIND = 2;
+
+
+const formatValue = (key, v, utility) => {
+  const { format, digits } = insightMetrics[key];
+  if (format === 'percent') return `${v.toFixed(digits)}%`;
+  if (format === 'usage') return `${Math.round(v).toLocaleString()} ${utility.type === 'Electric' ? 'kWh' : 'therms'}`;
+  if (format === 'dollars') {
+    if (v >= 1e6) return `$${(v / 1e6).toFixed(1)}M`;
+    if (v >= 1e4) return `$${(v / 1e3).toFixed(0)}K`;
+    return `$${Math.round(v).toLocaleString()}`;
+  }
+  return Math.round(v).toLocaleString();
+};
+
+
+// Largest percent change among the utilities, by the trend settings
+const moverRule = ({ series, utilities, end, settings }, key) => {
+  const moves = utilities
+    .map(u => ({ u, trend: computeTrend(series(key, u.id).slice(0, end + 1), settings) }))
+    .filter(m => m.trend.change !== null && m.trend.direction !== 'flat');
+  if (!moves.length) return [];
+  const { u, trend } = moves.reduce((a, b) => (Math.abs(b.trend.change) > Math.abs(a.trend.change) ? b : a));
+  const rise = trend.change > 0;
+  const among = utilities.length > 1 ? `, the largest ${rise ? 'increase' : 'decrease'} among the ${utilities.length} utilities` : '';
+  return [{
+    kind: 'mover',
+    utility: u.id,
+    metric: key,
+    score: Math.min(Math.abs(trend.change) / 20, 3),
+    text: `${u.name}'s ${insightMetrics[key].label} ${rise ? 'rose' : 'fell'} ${percent(trend.change)} ${trendComparison(settings)}${among}.`
+  }];
+};
+
+// As-of value above or below every earlier reported value
+const recordRule = ({ series, utilities, end, months }, key) => utilities.flatMap(u => {
+  const values = series(key, u.id).slice(0, end + 1);
+  const current = values[end];
+  const earlier = values.slice(0, end).filter(isNum);
+  if (!isNum(current) || earlier.length < MIN_RECORD_HISTORY) return [];
+  const high = current > Math.max(...earlier);
+  if (!high && !(current < Math.min(...earlier))) return [];
+  const since = formatMonthYear(months[values.findIndex(isNum)]);
+  return [{
+    kind: 'record',
+    utility: u.id,
+    metric: key,
+    score: 2.5,
+    text: `${u.name}'s ${insightMetrics[key].label} reached ${formatValue(key, current, u)}, the ${high ? 'highest' : 'lowest'} since reporting began in ${since}.`
+  }];
+});
+
+// Rate far from the median of the other utilities in the as-of month
+const peerRule = ({ series, utilities, allUtilities, end }, key) => utilities.flatMap(u => {
+  const value = series(key, u.id)[end];
+  const peers = allUtilities
+    .filter(p => p.id !== u.id && (!insightMetrics[key].sameType || p.type === u.type))
+    .map(p => series(key, p.id)[end])
+    .filter(isNum);
+  if (!isNum(value) || peers.length < 2) return [];
+  const typical = median(peers);
+  if (!(typical > 0) || !(value > 0)) return [];
+  const ratio = value / typical;
+  if (ratio < 2 && ratio > 0.5) return [];
+  const peerLabel = insightMetrics[key].sameType ? `other ${u.type.toLowerCase()} utilities` : 'the other utilities';
+  return [{
+    kind: 'peer',
+    utility: u.id,
+    metric: key,
+    score: Math.abs(Math.log2(ratio)) * 2,
+    text: `${u.name}'s ${insightMetrics[key].label} (${formatValue(key, value, u)}) is ${ratio >= 2 ? `${ratio.toFixed(1)}×` : `${Math.round(ratio * 100)}% of`} the median of ${peerLabel} (${formatValue(key, typical, u)}).`
+  }];
+});
+
+// Month-over-month change unlike the same two months a year earlier
+const seasonalRule = ({ series, utilities, end, months }, key) => {
+  if (end < 13 || monthOrdinal(months[end]) - monthOrdinal(months[end - 13]) !== 13) return [];
+  const change = (a, b) => (isNum(a) && isNum(b) && b > 0 ? ((a - b) / b) * 100 : null);
+  return utilities.flatMap(u => {
+    const values = series(key, u.id);
+    const now = change(values[end], values[end - 1]);
+    const before = change(values[end - 12], values[end - 13]);
+    if (now === null || before === null || Math.abs(now - before) < SEASONAL_GAP) return [];
+    const moved = (c) => (c >= 0 ? `a ${percent(c)} rise` : `a ${percent(c)} fall`);
+    return [{
+      kind: 'seasonal',
+      utility: u.id,
+      metric: key,
+      score: Math.min(Math.abs(now - before) / SEASONAL_GAP, 3),
+      text: `${u.name}'s ${insightMetrics[key].label} ${now >= 0 ? 'rose' : 'fell'} ${percent(now)} from ${formatMonthYear(months[end - 1])} to ${formatMonthYear(months[end])}, against ${moved(before)} over the same months last year.`
+    }];
+  });
+};
+
+const rules = { mover: moverRule, record: recordRule, peer: peerRule, seasonal: seasonalRule };
+
+// Findings for one tab as of month index `end`, for the utilities in
+// `utilityIds` (peers are always all utilities). `derived` is deriveMetrics().
+// Returns [{ kind, utility, metric, score, text }], strongest first.
+export const tabInsights = (dataset, derived, tab, { end, utilityIds, settings, limit = 5 }) => {
+  const config = tabInsightRules[tab];
+  if (!config) return [];
+  const context = {
+    series: (key, id) => (derived[key] || dataset.metrics[key])?.[id] || [],
+    utilities: dataset.utilities.filter(u => utilityIds.includes(u.id)),
+    allUtilities: dataset.utilities,
+    months: dataset.months,
+    end,
+    settings
+  };
+  const found = Object.entries(config)
+    .flatMap(([kind, keys]) => keys.flatMap(key => rules[kind](context, key)))
+    .sort((a, b) => b.score - a.score);
+  const perKind = {};
+  return found.filter(f => {
+    perKind[f.kind] = (perKind[f.kind] || 0) + 1;
+    return perKind[f.kind] <= PER_KIND;
+  }).slice(0, limit);
+};
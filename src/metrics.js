@@ -0,0 +1,259 @@
+// ==================== DERIVED METRICS ====================
+// Every rate the dashboard shows is computed here from reported counts, using
+// the formulas in docs/methodology.md. Nothing derived is stored in
+// public/data/ebmr.json, so a rate can never disagree with its inputs.
+
+export const derivedMetrics = {
+  discPct: {
+    label: 'Disconnection Rate',
+    numerator: 'disconnections',
+    denominator: 'accounts',
+    scale: 100
+  },
+  reconnectionRate: {
+    label: 'Reconnection Rate',
+    numerator: 'reconnections',
+    denominator: 'disconnections',
+    scale: 100
+  },
+  averageArrears: {
+    label: 'Average Arrears per Customer',
+    numerator: 'arrearsBalance',
+    denominator: 'arrearsCustomers',
+    scale: 1
+  },
+  arrearsRate: {
+    label: 'Arrears Rate',
+    numerator: 'arrearsCustomers',
+    denominator: 'accounts',
+    scale: 100
+  },
+  billDiscountArrearsRate: {
+    label: 'Bill Discount Arrears Rate',
+    numerator: 'billDiscountParticipantsWithArrears',
+    denominator: 'billDiscountParticipants',
+    scale: 100
+  },
+  billDiscountAverageArrears: {
+    label: 'Average Arrears per Bill Discount Participant in Arrears',
+    numerator: 'billDiscountArrearsBalance',
+    denominator: 'billDiscountParticipantsWithArrears',
+    scale: 1
+  },
+  billDiscountDisconnectionRate: {
+    label: 'Bill Discount Disconnection Rate',
+    numerator: 'billDiscountDisconnections',
+    denominator: 'billDiscountParticipants',
+    scale: 100
+  },
+  billDiscountDisconnectionShare: {
+    label: 'Bill Discount Share of Disconnections',
+    numerator: 'billDiscountDisconnections',
+    denominator: 'disconnections',
+    scale: 100
+  },
+  // Customers not enrolled in the bill discount: system totals less participants
+  nonParticipantArrearsRate: {
+    label: 'Non-Participant Arrears Rate',
+    numerator: 'arrearsCustomers',
+    numeratorLess: 'billDiscountParticipantsWithArrears',
+    denominator: 'accounts',
+    denominatorLess: 'billDiscountParticipants',
+    scale: 100
+  },
+  nonParticipantAverageArrears: {
+    label: 'Average Arrears per Non-Participant in Arrears',
+    numerator: 'arrearsBalance',
+    numeratorLess: 'billDiscountArrearsBalance',
+    denominator: 'arrearsCustomers',
+    denominatorLess: 'billDiscountParticipantsWithArrears',
+    scale: 1
+  },
+  nonParticipantDisconnectionRate: {
+    label: 'Non-Participant Disconnection Rate',
+    numerator: 'disconnections',
+    numeratorLess: 'billDiscountDisconnections',
+    denominator: 'accounts',
+    denominatorLess: 'billDiscountParticipants',
+    scale: 100
+  },
+  // Compared with the high-usage arrears below: the average balance spread
+  // over every account, whether in arrears or not
+  arrearsPerAccount: {
+    label: 'Arrears Balance per Account',
+    numerator: 'arrearsBalance',
+    denominator: 'accounts',
+    scale: 1
+  },
+  // From the optional program series (see optionalMetrics in data.js); empty
+  // until a utility files them
+  disenrollmentRate: {
+    label: 'Disenrollment Rate',
+    numerator: 'disenrollments',
+    denominator: 'billDiscountParticipants',
+    scale: 100
+  },
+  programCostPerParticipant: {
+    label: 'Program Cost per Participant',
+    numerator: 'billDiscountProgramCosts',
+    denominator: 'billDiscountParticipants',
+    scale: 1
+  },
+  administrativeCostShare: {
+    label: 'Administrative Share of Program Costs',
+    numerator: 'administrativeCosts',
+    denominator: 'billDiscountProgramCosts',
+    scale: 100
+  },
+  creditsPerProgramDollar: {
+    label: 'Applied Credits per Program Dollar',
+    numerator: 'appliedCredits',
+    denominator: 'billDiscountProgramCosts',
+    scale: 1
+  },
+  highUsageShare: {
+    label: 'High-Usage Share of Participants',
+    numerator: 'highUsageCustomers',
+    denominator: 'billDiscountParticipants',
+    scale: 100
+  },
+  highUsageArrearsPerCustomer: {
+    label: 'High-Usage Arrears Balance per Customer',
+    numerator: 'highUsageArrears',
+    denominator: 'highUsageCustomers',
+    scale: 1
+  },
+  energyAssistanceRate: {
+    label: 'Energy Assistance Recipients per 100 Accounts',
+    numerator: 'energyAssistanceRecipients',
+    denominator: 'accounts',
+    scale: 100
+  },
+  energyAssistanceToArrears: {
+    label: 'Energy Assistance Dollars as % of Arrears Balance',
+    numerator: 'energyAssistanceDollars',
+    denominator: 'arrearsBalance',
+    scale: 100
+  }
+};
+
+// A reported value: a finite number rather than null or a blank cell
+export const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// null when either input is missing or the denominator is zero
+export const ratio = (numerator, denominator, scale = 1) =>
+  isNum(numerator) && isNum(denominator) && denominator !== 0 ? (numerator / denominator) * scale : null;
+
+// Average of the reported values; null when there are none
+export const mean = (values) => {
+  const nums = values.filter(isNum);
+  return nums.length ? nums.reduce((a, b) => a + b, 0) / nums.length : null;
+};
+
+// Middle value of a non-empty list of numbers
+export const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Size of a percent change for a sentence: "12%", "4.5%"
+export const percent = (change) => `${Math.abs(change).toFixed(Math.abs(change) >= 10 ? 0 : 1)}%`;
+
+// Total of a group's values for one month; null unless every member reported
+export const total = (values) => (values.length && values.every(isNum) ? values.reduce((a, b) => a + b, 0) : null);
+
+// One input of a derived metric for a utility and month: a reported value,
+// less another reported value when the metric names one (null if either is missing)
+const inputValue = (metrics, key, less, utilityId, i) => {
+  const v = metrics[key]?.[utilityId]?.[i];
+  if (!less) return v;
+  const w = metrics[less]?.[utilityId]?.[i];
+  return isNum(v) && isNum(w) ? v - w : null;
+};
+
+// One utility's monthly series for a derived metric
+export const deriveSeries = (metrics, key, utilityId) => {
+  const { numerator, numeratorLess, denominator, denominatorLess, scale } = derivedMetrics[key];
+  const length = metrics[denominator]?.[utilityId]?.length || 0;
+  return Array.from({ length }, (_, i) => ratio(
+    inputValue(metrics, numerator, numeratorLess, utilityId, i),
+    inputValue(metrics, denominator, denominatorLess, utilityId, i),
+    scale
+  ));
+};
+
+// Combined rate for a group of utilities: sum of numerators over sum of
+// denominators, skipping utilities that have not filed either input that month
+export const derivePooled = (metrics, key, utilityIds) => {
+  const { numerator, numeratorLess, denominator, denominatorLess, scale } = derivedMetrics[key];
+  const length = Math.max(0, ...utilityIds.map(id => metrics[denominator]?.[id]?.length || 0));
+  return Array.from({ length }, (_, i) => {
+    let num = 0;
+    let den = 0;
+    utilityIds.forEach(id => {
+      const n = inputValue(metrics, numerator, numeratorLess, id, i);
+      const d = inputValue(metrics, denominator, denominatorLess, id, i);
+      if (!isNum(n) || !isNum(d)) return;
+      num += n;
+      den += d;
+    });
+    return ratio(num, den, scale);
+  });
+};
+
+// All derived series, shaped like dataset.metrics: { [key]: { [utilityId]: [...] } }
+export const deriveMetrics = (dataset) =>
+  Object.fromEntries(Object.keys(derivedMetrics).map(key => [
+    key,
+    Object.fromEntries(dataset.utilities.map(u => [u.id, deriveSeries(dataset.metrics, key, u.id)]))
+  ]));
+
+// Combined series for every derived metric across a group of utilities
+export const derivePooledMetrics = (dataset, utilityIds) =>
+  Object.fromEntries(Object.keys(derivedMetrics).map(key => [key, derivePooled(dataset.metrics, key, utilityIds)]));
+
+// Account-weighted average of a per-utility average (bill, usage) across a
+// group of utilities: Σ(accounts × value) ÷ Σ(accounts)
+export const weightedAverage = (metrics, key, utilityIds, weightKey = 'accounts') => {
+  const length = Math.max(0, ...utilityIds.map(id => metrics[key]?.[id]?.length || 0));
+  return Array.from({ length }, (_, i) => {
+    let sum = 0;
+    let weight = 0;
+    utilityIds.forEach(id => {
+      const v = metrics[key]?.[id]?.[i];
+      const w = metrics[weightKey]?.[id]?.[i];
+      if (!isNum(v) || !isNum(w)) return;
+      sum += v * w;
+      weight += w;
+    });
+    return ratio(sum, weight);
+  });
+};
+
+// Compares a legacy pre-calculated table ({ months, values: { [utilityId]: [...] } })
+// with the derived series. Legacy values were published to three decimals, so
+// differences within `tolerance` are rounding.
+export const reconcileLegacy = (dataset, key, legacy, tolerance = 0.0005) => {
+  const rows = [];
+  dataset.utilities.forEach(u => {
+    const derived = deriveSeries(dataset.metrics, key, u.id);
+    const legacyValues = legacy.values[u.id] || [];
+    legacy.months.forEach((month, li) => {
+      const i = dataset.months.indexOf(month);
+      const reported = legacyValues[li];
+      const value = i === -1 ? null : derived[i];
+      if (!isNum(reported) && value === null) return;
+      const difference = isNum(reported) && value !== null ? reported - value : null;
+      rows.push({
+        utility: u.id,
+        month,
+        legacy: isNum(reported) ? reported : null,
+        derived: value,
+        difference,
+        diverges: difference === null || Math.abs(difference) > tolerance
+      });
+    });
+  });
+  return rows;
+};
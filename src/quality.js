@@ -0,0 +1,147 @@
+// ==================== DATA QUALITY CHECKS ====================
+// Automates the verification steps in docs/methodology.md so that transcription
+// and filing errors (like Pacific Power's October 2024 arrears total, filed as
+// $59.5M instead of $5.95M) are caught before they reach a chart.
+
+import { isNum, median } from './metrics.js';
+
+// Relative tolerance when comparing a total with the sum of its age buckets
+const BUCKET_TOLERANCE = 0.005;
+// Month-over-month outliers: robust z-score on log changes, and a minimum swing
+const OUTLIER_Z = 3.5;
+const OUTLIER_MIN_CHANGE = 0.5;
+// Small counts (a few dozen disconnections) swing 10× on their own
+const MAGNITUDE_MIN_BASE = 100;
+// How far from an exact power of 10 a decimal slip may be (8–12× for 10×)
+const MAGNITUDE_TOLERANCE = 0.2;
+
+export const qualityRules = {
+  bucketSum: {
+    label: 'Total vs. age buckets',
+    description: 'Total arrears (balance and customers) must equal the sum of the 31-60, 61-90 and 91+ day buckets.'
+  },
+  magnitude: {
+    label: 'Order-of-magnitude shift',
+    description: 'A value about 10×, 100× or 1000× larger or smaller than the surrounding months usually means a misplaced decimal.'
+  },
+  outlier: {
+    label: 'Month-over-month outlier',
+    description: `A change of ${OUTLIER_MIN_CHANGE * 100}% or more that is unusual for the series (robust z-score above ${OUTLIER_Z}). Often seasonal (e.g. winter moratoriums) but worth confirming against the filing.`
+  }
+};
+
+const bucketChecks = [
+  ['arrearsBalance', ['arrearsBalance31_60', 'arrearsBalance61_90', 'arrearsBalance91Plus']],
+  ['arrearsCustomers', ['arrearsCustomers31_60', 'arrearsCustomers61_90', 'arrearsCustomers91Plus']]
+];
+
+
+const checkBucketSums = (dataset, utilityId, push) => {
+  const { metrics, months } = dataset;
+  bucketChecks.forEach(([total, buckets]) => {
+    const totals = metrics[total]?.[utilityId];
+    if (!totals || !buckets.every(b => metrics[b]?.[utilityId])) return;
+    months.forEach((month, i) => {
+      const parts = buckets.map(b => metrics[b][utilityId][i]);
+      if (!isNum(totals[i]) || !parts.every(isNum)) return;
+      const sum = parts.reduce((a, b) => a + b, 0);
+      if (Math.abs(totals[i] - sum) <= Math.max(1, sum * BUCKET_TOLERANCE)) return;
+      push({
+        rule: 'bucketSum',
+        severity: 'error',
+        metric: total,
+        index: i,
+        value: totals[i],
+        expected: sum,
+        message: `Total is ${totals[i].toLocaleString()} but buckets sum to ${sum.toLocaleString()}`
+      });
+    });
+  });
+};
+
+// Compares each value with the median of up to two months on each side
+const checkMagnitude = (values, metric, push) => {
+  values.forEach((v, i) => {
+    if (!isNum(v) || v === 0) return;
+    const usable = (n) => isNum(n) && n > 0;
+    const before = [values[i - 2], values[i - 1]].filter(usable);
+    const after = [values[i + 1], values[i + 2]].filter(usable);
+    // Need context on both sides, except at the ends of the series (a newly
+    // imported month is exactly where a decimal slip is most likely)
+    if ((!before.length && i > 0) || (!after.length && i < values.length - 1)) return;
+    const neighbours = [...before, ...after];
+    if (neighbours.length < 2 || median(neighbours) < MAGNITUDE_MIN_BASE) return;
+    const ratio = v / median(neighbours);
+    // Nearest power of 10 (10, 100, 0.01, ...); a slip lands close to one
+    const power = Math.round(Math.log10(ratio));
+    if (power === 0 || Math.abs(ratio / 10 ** power - 1) > MAGNITUDE_TOLERANCE) return;
+    push({
+      rule: 'magnitude',
+      severity: 'error',
+      metric,
+      index: i,
+      value: v,
+      expected: Math.round(median(neighbours)),
+      message: `About ${power > 0 ? 10 ** power : `1/${10 ** -power}`}× the surrounding months — possible decimal error`
+    });
+  });
+};
+
+const checkOutliers = (values, metric, push) => {
+  const changes = [];
+  values.forEach((v, i) => {
+    if (i > 0 && isNum(v) && isNum(values[i - 1]) && v > 0 && values[i - 1] > 0) {
+      changes.push({ i, log: Math.log(v / values[i - 1]) });
+    }
+  });
+  if (changes.length < 6) return;
+  const med = median(changes.map(c => c.log));
+  const mad = median(changes.map(c => Math.abs(c.log - med)));
+  if (mad === 0) return;
+  changes.forEach(({ i, log }) => {
+    const z = (0.6745 * (log - med)) / mad;
+    const change = Math.exp(log) - 1;
+    if (Math.abs(z) <= OUTLIER_Z || Math.abs(change) < OUTLIER_MIN_CHANGE) return;
+    push({
+      rule: 'outlier',
+      severity: 'warning',
+      metric,
+      index: i,
+      value: values[i],
+      expected: null,
+      message: `${change > 0 ? '+' : ''}${(change * 100).toFixed(0)}% from prior month (${values[i - 1].toLocaleString()} → ${values[i].toLocaleString()})`
+    });
+  });
+};
+
+export const cellKey = (metric, utilityId, index) => `${metric}.${utilityId}.${index}`;
+
+// Runs every rule over the dataset. Returns the list of issues, each tied to a
+// single cell (metric, utility, month), plus a lookup keyed by cellKey().
+export const runQualityChecks = (dataset) => {
+  const issues = [];
+
+  dataset.utilities.forEach(u => {
+    const push = (issue) => issues.push({ ...issue, utility: u.id, month: dataset.months[issue.index] });
+    checkBucketSums(dataset, u.id, push);
+    Object.entries(dataset.metrics).forEach(([metric, series]) => {
+      if (!series[u.id]) return;
+      const before = issues.length;
+      checkMagnitude(series[u.id], metric, push);
+      // A decimal error also registers as an outlier, both going in and coming
+      // back out; report it once
+      const flagged = new Set(issues.slice(before).map(x => x.index));
+      checkOutliers(series[u.id], metric, (issue) => {
+        if (!flagged.has(issue.index) && !flagged.has(issue.index - 1)) push(issue);
+      });
+    });
+  });
+
+  const byCell = {};
+  issues.forEach(issue => {
+    const key = cellKey(issue.metric, issue.utility, issue.index);
+    (byCell[key] = byCell[key] || []).push(issue);
+  });
+
+  return { issues, byCell };
+};
@@ -0,0 +1,74 @@
+// ==================== MONTHLY REPORT ====================
+// Plain-language sentences for the printable Commission report, such as
+// "Disconnections rose 12% vs prior 3 months, led by Portland General
+// Electric." Statewide totals are compared with the same trend settings as the
+// dashboard's badges, and the utility whose own change moved the total most is
+// named.
+
+import { computeTrend, trendComparison } from './trends.js';
+import { deriveSeries, isNum, percent, total, weightedAverage } from './metrics.js';
+import { formatMonthYear } from './data.js';
+
+// `weighted` series are account-weighted averages rather than totals, so no
+// single utility "leads" their change
+export const narrativeMetrics = [
+  { key: 'disconnections', label: 'Disconnections' },
+  { key: 'arrearsCustomers', label: 'Customers in arrears' },
+  { key: 'arrearsBalance', label: 'The arrears balance' },
+  { key: 'billDiscountParticipants', label: 'Bill discount enrollment' },
+  { key: 'avgBill', label: 'The average residential bill', weighted: true }
+];
+
+const signed = (change) => `${change >= 0 ? '+' : '−'}${percent(change)}`;
+
+// Sum across utilities; null for a month any utility has not filed
+const statewide = (metrics, key, ids, end) => Array.from({ length: end + 1 }, (_, i) => (
+  total(ids.map(id => metrics[key]?.[id]?.[i]))
+));
+
+// One sentence for a metric. `end` is the as-of month index.
+export const trendSentence = (dataset, metric, end, settings) => {
+  const ids = dataset.utilities.map(u => u.id);
+  const series = metric.weighted
+    ? weightedAverage(dataset.metrics, metric.key, ids).slice(0, end + 1)
+    : statewide(dataset.metrics, metric.key, ids, end);
+  const trend = computeTrend(series, settings);
+  const comparison = trendComparison(settings);
+  if (trend.change === null) return `${metric.label}: not enough history to compare ${comparison}.`;
+  if (trend.direction === 'flat') return `${metric.label} held roughly steady (${signed(trend.change)}) ${comparison}.`;
+
+  const verb = trend.direction === 'up' ? 'rose' : 'fell';
+  let leader = null;
+  if (!metric.weighted) {
+    // The utility with the largest change in the same direction as the total
+    dataset.utilities.forEach(u => {
+      const own = computeTrend((dataset.metrics[metric.key]?.[u.id] || []).slice(0, end + 1), settings);
+      if (!isNum(own.current) || !isNum(own.prior)) return;
+      const delta = own.current - own.prior;
+      if (Math.sign(delta) === Math.sign(trend.change) && (!leader || Math.abs(delta) > Math.abs(leader.delta))) {
+        leader = { utility: u, delta, change: own.change };
+      }
+    });
+  }
+  const led = leader ? `, led by ${leader.utility.name}${isNum(leader.change) ? ` (${signed(leader.change)})` : ''}` : '';
+  return `${metric.label} ${verb} ${percent(trend.change)} ${comparison}${led}.`;
+};
+
+// Highest and lowest disconnection rates among utilities in the as-of month
+export const disconnectionRateSentence = (dataset, end) => {
+  const rates = dataset.utilities
+    .map(u => ({ utility: u, rate: deriveSeries(dataset.metrics, 'discPct', u.id)[end] }))
+    .filter(r => isNum(r.rate))
+    .sort((a, b) => b.rate - a.rate);
+  if (rates.length < 2) return null;
+  const high = rates[0];
+  const low = rates[rates.length - 1];
+  return `${high.utility.name} had the highest disconnection rate in ${formatMonthYear(dataset.months[end])} `
+    + `(${high.rate.toFixed(2)}% of accounts) and ${low.utility.name} the lowest (${low.rate.toFixed(2)}%).`;
+};
+
+// The report's summary paragraph, one sentence per entry
+export const reportNarrative = (dataset, end, settings) => [
+  ...narrativeMetrics.map(metric => trendSentence(dataset, metric, end, settings)),
+  disconnectionRateSentence(dataset, end)
+].filter(Boolean);
@@ -0,0 +1,72 @@
+// ==================== SERVICE TERRITORY OVERLAP ====================
+// Which electric and gas utilities serve each ZIP code, taken from the ZIP
+// rows of the EBMR dataset, grouped into service areas: sets of ZIPs served
+// by the same utilities (e.g. PGE + NW Natural). Average bills are reported
+// per utility, so a household served by both pays roughly the sum of an
+// electric and a gas bill, which a single account-weighted average hides.
+
+import { isNum, mean } from './metrics.js';
+
+// Groups the ZIPs with active accounts in `monthKey` by the utilities serving
+// them. `types` maps utility id to 'Electric' or 'Gas'. Returns areas sorted
+// with dual-fuel areas first, each { id, electric, gas, zips, accounts,
+// arrears, dualFuelHouseholds } where accounts and arrears are keyed by
+// utility id. Dual-fuel households are estimated per ZIP as the smaller of the
+// electric and gas account counts, since nearly every gas customer also buys
+// electricity from the local electric utility.
+export const serviceAreas = (zipData, types, monthKey) => {
+  const byZip = {};
+  Object.entries(zipData).forEach(([uid, rows]) => rows.forEach(row => {
+    const d = row[monthKey];
+    if (!d?.active) return;
+    byZip[row.zip] = byZip[row.zip] || { zip: row.zip, lat: row.lat, lng: row.lng, accounts: {}, arrears: {} };
+    byZip[row.zip].accounts[uid] = d.active;
+    byZip[row.zip].arrears[uid] = d.arrears;
+  }));
+
+  const areas = {};
+  Object.values(byZip).forEach(z => {
+    const ids = Object.keys(z.accounts);
+    const electric = ids.filter(id => types[id] === 'Electric').sort();
+    const gas = ids.filter(id => types[id] === 'Gas').sort();
+    const id = [...electric, ...gas].join('+');
+    const area = areas[id] = areas[id] || { id, electric, gas, zips: [], accounts: {}, arrears: {}, dualFuelHouseholds: 0 };
+    area.zips.push(z.zip);
+    ids.forEach(uid => {
+      area.accounts[uid] = (area.accounts[uid] || 0) + z.accounts[uid];
+      area.arrears[uid] = (area.arrears[uid] || 0) + z.arrears[uid];
+    });
+    if (electric.length && gas.length) {
+      const sum = (list) => list.reduce((s, uid) => s + z.accounts[uid], 0);
+      area.dualFuelHouseholds += Math.min(sum(electric), sum(gas));
+    }
+  });
+
+  return Object.values(areas).sort((a, b) =>
+    (b.dualFuelHouseholds - a.dualFuelHouseholds) || (b.zips.length - a.zips.length));
+};
+
+// Combined monthly energy cost for an area in month i: the electric bill plus
+// the gas bill (each the mean across the area's utilities of that fuel). Null
+// unless every fuel the area has reported a bill.
+export const combinedBill = (area, avgBill, i) => {
+  const fuel = (ids) => (ids.length ? mean(ids.map(id => avgBill[id]?.[i])) : 0);
+  const electric = fuel(area.electric);
+  const gas = fuel(area.gas);
+  return isNum(electric) && isNum(gas) ? electric + gas : null;
+};
+
+// Estimated arrears owed in the area in month i: each utility's accounts in
+// arrears there, times that utility's statewide average arrears per customer
+// (ZIP rows report counts, not balances). Returns { total, byUtility }.
+export const arrearsExposure = (area, averageArrears, i) => {
+  const byUtility = Object.fromEntries(Object.entries(area.arrears).map(([uid, count]) => {
+    const avg = averageArrears[uid]?.[i];
+    return [uid, isNum(avg) ? count * avg : null];
+  }));
+  const values = Object.values(byUtility);
+  return {
+    total: values.every(isNum) ? values.reduce((a, b) => a + b, 0) : null,
+    byUtility
+  };
+};
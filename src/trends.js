@@ -0,0 +1,103 @@
+// ==================== TREND ANALYSIS ====================
+// Period-over-period comparisons behind the trend badges and trend panels, and
+// a classical seasonal decomposition. Arrears and disconnections swing with the
+// heating season and winter disconnection moratoria, so a rolling comparison
+// mostly measures the calendar; year-over-year compares like months instead.
+
+import { isNum, mean } from './metrics.js';
+
+export const trendModes = {
+  rolling: { label: 'Rolling' },
+  yoy: { label: 'Year over Year' }
+};
+export const trendWindows = [1, 3, 6, 12];
+export const trendThresholds = [1, 2, 5, 10];
+export const defaultTrendSettings = { mode: 'rolling', window: 3, threshold: 2 };
+
+const SEASON = 12;
+
+// Indices of the current and prior periods for a series ending at `end`
+const periods = (end, { mode, window }) => {
+  const lag = mode === 'yoy' ? SEASON : window;
+  const current = Array.from({ length: window }, (_, k) => end - window + 1 + k);
+  return { current, prior: current.map(i => i - lag) };
+};
+
+// Compares the average of the last `window` values with the `window` before
+// them (rolling) or with the same months a year earlier (yoy). `data` ends at
+// the as-of month. `change` is a percentage, or null when the series is too
+// short or the prior period is zero.
+export const computeTrend = (data, settings = defaultTrendSettings) => {
+  const { threshold } = settings;
+  const end = (data?.length || 0) - 1;
+  const { current, prior } = periods(end, settings);
+  if (prior[0] < 0) return { direction: 'flat', change: null, current: null, prior: null };
+  const recent = mean(current.map(i => data[i]));
+  const before = mean(prior.map(i => data[i]));
+  if (recent === null || !before) return { direction: 'flat', change: null, current: recent, prior: before };
+  const change = ((recent - before) / before) * 100;
+  return {
+    direction: change > threshold ? 'up' : change < -threshold ? 'down' : 'flat',
+    change,
+    current: recent,
+    prior: before
+  };
+};
+
+// Month labels of the two periods compared for a series ending at `end`
+export const trendPeriods = (months, end, settings = defaultTrendSettings) => {
+  const { current, prior } = periods(end, settings);
+  const span = (idx) => (idx[0] < 0 ? null : idx.length === 1 ? months[idx[0]] : `${months[idx[0]]}–${months[idx[idx.length - 1]]}`);
+  return { current: span(current), prior: span(prior) };
+};
+
+// Short phrase for what a change is measured against, e.g. "vs prior 3 months"
+export const trendComparison = ({ mode, window }) => {
+  const months = window === 1 ? 'month' : `${window} months`;
+  return mode === 'yoy' ? `vs same ${months} last year` : `vs prior ${months}`;
+};
+
+// Additive decomposition: value = trend + seasonal + residual.
+// Trend is the centered 2×12 moving average; each calendar month's seasonal
+// factor is the mean of its detrended values, adjusted to sum to zero over the
+// year. Months without a full year on each side have no trend or residual.
+// Returns one row per value plus `seasonalFactors` by calendar position (null
+// where no month of that kind has a trend yet) and `cycles`, the fewest
+// detrended observations behind any factor.
+export const decomposeSeries = (values, monthOfYear) => {
+  const half = SEASON / 2;
+  const trend = values.map((_, i) => {
+    if (i < half || i + half >= values.length) return null;
+    const window = values.slice(i - half, i + half + 1);
+    if (!window.every(isNum)) return null;
+    // 2×12 MA: half weight on the two ends
+    const sum = window.reduce((a, b) => a + b, 0) - (window[0] + window[SEASON]) / 2;
+    return sum / SEASON;
+  });
+
+  const detrended = Array.from({ length: SEASON }, () => []);
+  values.forEach((v, i) => {
+    if (isNum(v) && trend[i] !== null) detrended[monthOfYear[i]].push(v - trend[i]);
+  });
+  const raw = detrended.map(mean);
+  const known = raw.filter(isNum);
+  const offset = known.length ? known.reduce((a, b) => a + b, 0) / known.length : 0;
+  const seasonalFactors = raw.map(f => (isNum(f) ? f - offset : null));
+
+  const rows = values.map((v, i) => {
+    const seasonal = seasonalFactors[monthOfYear[i]];
+    return {
+      value: isNum(v) ? v : null,
+      trend: trend[i],
+      seasonal,
+      adjusted: isNum(v) && seasonal !== null ? v - seasonal : null,
+      residual: isNum(v) && trend[i] !== null && seasonal !== null ? v - trend[i] - seasonal : null
+    };
+  });
+
+  return {
+    rows,
+    seasonalFactors,
+    cycles: Math.min(...detrended.map(d => d.length).filter(n => n > 0))
+  };
+};
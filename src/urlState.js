@@ -0,0 +1,53 @@
+// ==================== URL STATE ====================
+// Keeps the dashboard's view (tab, filters, geographic selections, reporting
+// window) in the query string so any view can be shared as a link. Only values
+// that differ from their defaults are written, and each change is a history
+// entry so the browser's back and forward buttons step between views.
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+const readParams = (defaults) => {
+  const params = new URLSearchParams(window.location.search);
+  return Object.fromEntries(Object.entries(defaults).map(([key, value]) => [key, params.has(key) ? params.get(key) : value]));
+};
+
+const buildUrl = (state, defaults) => {
+  // Unrelated parameters already in the URL are left alone
+  const params = new URLSearchParams(window.location.search);
+  Object.entries(state).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === defaults[key]) params.delete(key);
+    else params.set(key, value);
+  });
+  // Commas are legal in a query string; leaving them unescaped keeps
+  // utility lists like `pge,pac` readable in a shared link
+  const query = params.toString().replace(/%2C/g, ',');
+  return `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+};
+
+// Like useState for a flat object of string (or null) values. `update` merges
+// a partial object and pushes a history entry, or replaces the current one
+// with `{ replace: true }` (e.g. for each frame of an animation).
+export const useUrlState = (defaults) => {
+  const defaultsRef = useRef(defaults);
+  defaultsRef.current = defaults;
+
+  const [state, setState] = useState(() => readParams(defaults));
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  useEffect(() => {
+    const onPopState = () => setState(readParams(defaultsRef.current));
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  const update = useCallback((patch, { replace = false } = {}) => {
+    const next = { ...stateRef.current, ...patch };
+    if (Object.keys(next).every(key => next[key] === stateRef.current[key])) return;
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', buildUrl(next, defaultsRef.current));
+    stateRef.current = next;
+    setState(next);
+  }, []);
+
+  return [state, update];
+};
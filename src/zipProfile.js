@@ -0,0 +1,65 @@
+// ==================== ZIP PROFILE ====================
+// What the ZIP drill-down shows for one ZIP code: its monthly counts and rates
+// for each serving utility and combined, the map regions it falls in, and
+// where it ranks among the ZIPs of each region. ZIP rows with 20 or fewer
+// active accounts are left out, as on the map, since their rates swing on a
+// handful of customers.
+
+export const MIN_ZIP_ACCOUNTS = 20;
+
+const withRates = (d) => ({
+  ...d,
+  arrearsRate: d.active > 0 ? (d.arrears / d.active) * 100 : null,
+  discRate: d.active > 0 ? (d.disc / d.active) * 100 : null
+});
+
+// One row per ZIP for a month, summed across `utilityIds`:
+// { [zip]: { zip, lat, lng, active, arrears, disc, arrearsRate, discRate } }
+export const zipTotals = (zipData, monthKey, utilityIds) => {
+  const totals = {};
+  utilityIds.forEach(uid => (zipData[uid] || []).forEach(row => {
+    const d = row[monthKey];
+    if (!(d?.active > MIN_ZIP_ACCOUNTS)) return;
+    const t = totals[row.zip] = totals[row.zip] || { zip: row.zip, lat: row.lat, lng: row.lng, active: 0, arrears: 0, disc: 0 };
+    ['active', 'arrears', 'disc'].forEach(f => { t[f] += d[f]; });
+  }));
+  return Object.fromEntries(Object.entries(totals).map(([zip, t]) => [zip, withRates(t)]));
+};
+
+// Month-by-month rows for one ZIP, one entry per key in `monthKeys` (null
+// where not reported): { location: { lat, lng } | null, utilities: { [uid]: [...] },
+// combined: [...] }. Only utilities reporting the ZIP in some month appear.
+export const zipHistory = (zipData, zip, monthKeys) => {
+  let location = null;
+  const utilities = {};
+  Object.entries(zipData).forEach(([uid, rows]) => {
+    const row = rows.find(r => r.zip === zip);
+    if (!row) return;
+    location = location || { lat: row.lat, lng: row.lng };
+    const series = monthKeys.map(mk => (row[mk]?.active > MIN_ZIP_ACCOUNTS ? withRates(row[mk]) : null));
+    if (series.some(Boolean)) utilities[uid] = series;
+  });
+  const combined = monthKeys.map((_, i) => {
+    const reported = Object.values(utilities).map(series => series[i]).filter(Boolean);
+    if (!reported.length) return null;
+    const sum = (f) => reported.reduce((s, d) => s + d[f], 0);
+    return withRates({ active: sum('active'), arrears: sum('arrears'), disc: sum('disc') });
+  });
+  return { location, utilities, combined };
+};
+
+const inBounds = ({ lat, lng }, b) => lat >= b.latMin && lat <= b.latMax && lng >= b.lngMin && lng <= b.lngMax;
+
+// Ids of the regions whose bounds contain the point
+export const regionsContaining = (regions, point) =>
+  Object.keys(regions).filter(id => inBounds(point, regions[id]));
+
+// Rank of `zip` (1 = highest) by `key` among the ZIPs inside `bounds`, as
+// { rank, of }, or null when the ZIP has no value
+export const zipRank = (totals, zip, bounds, key) => {
+  const ranked = Object.values(totals)
+    .filter(t => t[key] !== null && inBounds(t, bounds))
+    .sort((a, b) => b[key] - a[key]);
+  const index = ranked.findIndex(t => t.zip === zip);
+  return index < 0 ? null : { rank: index + 1, of: ranked.length };
+};